@@ -0,0 +1,115 @@
+/**
+ * Auto Exposure
+ *
+ * Meters the linear scene render a few times a second and eases the
+ * exposure toward middle gray. The frame is box-filtered down to a small
+ * float target on the GPU and read back; the histogram and adaptation math
+ * live in exposure.js.
+ */
+
+import * as THREE from 'three/webgpu';
+import { Fn, texture, uv, vec2, vec3, vec4 } from 'three/tsl';
+import { meterLuminance, autoExposureEV, adaptExposure } from './exposure.js';
+
+// Metering target size. 64 RGBA float texels are 1024 bytes, so rows stay
+// 256-byte aligned for the readback.
+const METER_WIDTH = 64;
+const METER_HEIGHT = 36;
+
+// Source samples averaged per metering texel, per axis
+const METER_TAPS = 4;
+
+// Seconds between meter readings
+const METER_INTERVAL = 0.1;
+
+export class AutoExposure {
+  /**
+   * @param {THREE.WebGPURenderer} renderer
+   * @param {THREE.Texture} sourceTexture - The linear scene render, before exposure
+   */
+  constructor(renderer, sourceTexture) {
+    this.renderer = renderer;
+    this.target = new THREE.RenderTarget(METER_WIDTH, METER_HEIGHT, { type: THREE.FloatType });
+
+    const material = new THREE.NodeMaterial();
+    material.fragmentNode = Fn(() => {
+      const sum = vec3(0.0).toVar();
+      for (let y = 0; y < METER_TAPS; y++) {
+        for (let x = 0; x < METER_TAPS; x++) {
+          const offset = vec2((x + 0.5) / METER_TAPS - 0.5, (y + 0.5) / METER_TAPS - 0.5)
+            .div(vec2(METER_WIDTH, METER_HEIGHT));
+          sum.addAssign(texture(sourceTexture, uv().add(offset)).rgb);
+        }
+      }
+      return vec4(sum.div(METER_TAPS * METER_TAPS), 1.0);
+    })();
+    this.quad = new THREE.QuadMesh(material);
+
+    // Current exposure in stops, and the latest metered luminance
+    this.ev = 0;
+    this.meteredLuminance = null;
+    this.sinceReading = METER_INTERVAL;
+    this.reading = null;
+    // Bumped by reset() so a reading still in flight is ignored
+    this.generation = 0;
+  }
+
+  /**
+   * Start from a given exposure (e.g. the manual one when switching to
+   * auto), forgetting the last reading and any still being taken.
+   */
+  reset(ev) {
+    this.generation++;
+    this.ev = ev;
+    this.meteredLuminance = null;
+    this.sinceReading = METER_INTERVAL;
+  }
+
+  /**
+   * Take a reading if one is due, and adapt toward the last one. Call after
+   * the frame has been rendered.
+   * @param {number} deltaTime - Seconds since the last call
+   * @param {Object} options
+   * @param {number} options.compensation - Stops added to the metered exposure
+   * @param {number} options.speed - Adaptation rate per second
+   * @returns {number} Exposure to use, in stops
+   */
+  update(deltaTime, { compensation, speed }) {
+    this.sinceReading += deltaTime;
+    if (!this.reading && this.sinceReading >= METER_INTERVAL) {
+      this.sinceReading = 0;
+      const generation = this.generation;
+      this.reading = this.measure()
+        .then((luminance) => {
+          if (generation === this.generation) {
+            this.meteredLuminance = luminance;
+          }
+        })
+        .catch((e) => {
+          console.warn('Exposure metering failed:', e);
+        })
+        .finally(() => {
+          this.reading = null;
+        });
+    }
+
+    if (this.meteredLuminance !== null) {
+      this.ev = adaptExposure(this.ev, autoExposureEV(this.meteredLuminance, compensation), deltaTime, speed);
+    }
+    return this.ev;
+  }
+
+  /**
+   * Average luminance of the current scene render.
+   * @returns {Promise<number|null>}
+   */
+  async measure() {
+    const previous = this.renderer.getRenderTarget();
+    this.renderer.setRenderTarget(this.target);
+    this.quad.render(this.renderer);
+    this.renderer.setRenderTarget(previous);
+
+    const pixels = await this.renderer.readRenderTargetPixelsAsync(this.target, 0, 0, METER_WIDTH, METER_HEIGHT);
+    return meterLuminance(pixels);
+  }
+}
@@ -7,260 +7,246 @@ import {
   vec3,
   vec4,
   float,
+  int,
+  ivec2,
   Fn,
   length,
+  lengthSq,
   normalize,
   cross,
   dot,
   sin,
   cos,
   atan,
-  asin,
   sqrt,
   pow,
-  fract,
   clamp,
   smoothstep,
   mix,
   floor,
+  mod,
   step,
-  sign,
   abs,
   exp,
+  exp2,
+  log,
+  log2,
+  acos,
+  select,
+  dFdx,
+  dFdy,
   Loop,
   Break,
   If,
-  screenUV
+  screenUV,
+  texture,
+  cubeTexture,
+  equirectUV,
+  sRGBTransferEOTF
 } from 'three/tsl';
+import { tslMath } from './shader-math-tsl.js';
+import { STAR_TEXTURE_WIDTH } from './star-catalog.js';
+import { NEBULA_DRIFT_DIRECTION } from './nebula-layers.js';
 
-// Hash functions for pseudo-random number generation
-const hash21 = Fn(([p]) => {
-  const n = sin(dot(p, vec2(127.1, 311.7))).mul(43758.5453);
-  return fract(n);
-});
-
-const hash31 = Fn(([p]) => {
-  const n = sin(dot(p, vec3(127.1, 311.7, 74.7))).mul(43758.5453);
-  return fract(n);
-});
+/**
+ * Output modes selected by the renderMode uniform.
+ */
+export const RENDER_MODES = {
+  FINAL: 0,
+  IMAGE_ORDER: 1,
+  STEP_COUNT: 2,
+  RAY_FATE: 3,
+  DEFLECTION: 4,
+  DISK_RADIUS: 5,
+  DISK_ANGLE: 6,
+  TEMPERATURE: 7,
+  DOPPLER: 8
+};
 
-const hash22 = Fn(([p]) => {
-  const px = fract(sin(dot(p, vec2(127.1, 311.7))).mul(43758.5453));
-  const py = fract(sin(dot(p, vec2(269.5, 183.3))).mul(43758.5453));
-  return vec2(px, py);
-});
+// Fractal Brownian Motion - layered noise from shader-math.js, shared with
+// the CPU reference renderer. Wrapped in an Fn so it's emitted once as a
+// shader function rather than inlined at every call. The octave loop is
+// unrolled at build time, so each octave count gets its own cached function.
+const fbmVariants = new Map();
+
+const fbm = (p, lacunarity, persistence, octaves = 4) => {
+  if (!fbmVariants.has(octaves)) {
+    fbmVariants.set(octaves, Fn(([p, lacunarity, persistence]) => {
+      return tslMath.fbm(p, lacunarity, persistence, octaves);
+    }));
+  }
+  return fbmVariants.get(octaves)(p, lacunarity, persistence);
+};
 
-// 3D value noise
-const noise3D = Fn(([p]) => {
-  const i = floor(p);
-  const f = fract(p);
-  const u = f.mul(f).mul(float(3.0).sub(f.mul(2.0)));
-
-  const a = hash31(i);
-  const b = hash31(i.add(vec3(1, 0, 0)));
-  const c = hash31(i.add(vec3(0, 1, 0)));
-  const d = hash31(i.add(vec3(1, 1, 0)));
-  const e = hash31(i.add(vec3(0, 0, 1)));
-  const f2 = hash31(i.add(vec3(1, 0, 1)));
-  const g = hash31(i.add(vec3(0, 1, 1)));
-  const h = hash31(i.add(vec3(1, 1, 1)));
-
-  return mix(
-    mix(mix(a, b, u.x), mix(c, d, u.x), u.y),
-    mix(mix(e, f2, u.x), mix(g, h, u.x), u.y),
-    u.z
+// Debug tint for each disk image order: primary, secondary, tertiary+
+const imageOrderTint = Fn(([order]) => {
+  return select(
+    order.lessThan(1.5),
+    vec3(1.0, 0.25, 0.1),
+    select(order.lessThan(2.5), vec3(0.2, 1.0, 0.2), vec3(0.2, 0.45, 1.0))
   );
 });
 
-// Fractal Brownian Motion - 4 octaves of layered noise
-const fbm = Fn(([p, lacunarity, persistence]) => {
-  const value = float(0.0).toVar();
-  const amplitude = float(0.5).toVar();
-  const pos = p.toVar();
-
-  value.addAssign(noise3D(pos).mul(amplitude));
-  pos.mulAssign(lacunarity);
-  amplitude.mulAssign(persistence);
-
-  value.addAssign(noise3D(pos).mul(amplitude));
-  pos.mulAssign(lacunarity);
-  amplitude.mulAssign(persistence);
-
-  value.addAssign(noise3D(pos).mul(amplitude));
-  pos.mulAssign(lacunarity);
-  amplitude.mulAssign(persistence);
-
-  value.addAssign(noise3D(pos).mul(amplitude));
-
-  return value;
+// Debug colormap: blue → cyan → green → yellow → red over t ∈ [0, 1]
+const heatmap = Fn(([t]) => {
+  const x = clamp(t, float(0.0), float(1.0));
+  return clamp(vec3(
+    x.mul(4.0).sub(1.5).min(x.mul(-4.0).add(4.5)),
+    x.mul(4.0).sub(0.5).min(x.mul(-4.0).add(3.5)),
+    x.mul(4.0).add(0.5).min(x.mul(-4.0).add(2.5))
+  ), float(0.0), float(1.0));
 });
 
-// Mitchell Charity Blackbody Colors (CIE 1931 2-deg, sRGB)
-// Source: http://www.vendian.org/mncharity/dir3/blackbody/
-// Temperature range: 1000K - 40000K (100K steps for 1000-10000K, 1000K steps above)
-const BLACKBODY_COLORS = {
-  1000: [1, 0.0337, 0], 1100: [1, 0.0592, 0], 1200: [1, 0.0846, 0], 1300: [1, 0.1096, 0], 1400: [1, 0.1341, 0],
-  1500: [1, 0.1578, 0], 1600: [1, 0.1806, 0], 1700: [1, 0.2025, 0], 1800: [1, 0.2235, 0], 1900: [1, 0.2434, 0],
-  2000: [1, 0.2647, 0.0033], 2100: [1, 0.2889, 0.012], 2200: [1, 0.3126, 0.0219], 2300: [1, 0.336, 0.0331], 2400: [1, 0.3589, 0.0454],
-  2500: [1, 0.3814, 0.0588], 2600: [1, 0.4034, 0.0734], 2700: [1, 0.425, 0.0889], 2800: [1, 0.4461, 0.1054], 2900: [1, 0.4668, 0.1229],
-  3000: [1, 0.487, 0.1411], 3100: [1, 0.5067, 0.1602], 3200: [1, 0.5259, 0.18], 3300: [1, 0.5447, 0.2005], 3400: [1, 0.563, 0.2216],
-  3500: [1, 0.5809, 0.2433], 3600: [1, 0.5983, 0.2655], 3700: [1, 0.6153, 0.2881], 3800: [1, 0.6318, 0.3112], 3900: [1, 0.648, 0.3346],
-  4000: [1, 0.6636, 0.3583], 4100: [1, 0.6789, 0.3823], 4200: [1, 0.6938, 0.4066], 4300: [1, 0.7083, 0.431], 4400: [1, 0.7223, 0.4556],
-  4500: [1, 0.736, 0.4803], 4600: [1, 0.7494, 0.5051], 4700: [1, 0.7623, 0.5299], 4800: [1, 0.775, 0.5548], 4900: [1, 0.7872, 0.5797],
-  5000: [1, 0.7992, 0.6045], 5100: [1, 0.8108, 0.6293], 5200: [1, 0.8221, 0.6541], 5300: [1, 0.833, 0.6787], 5400: [1, 0.8437, 0.7032],
-  5500: [1, 0.8541, 0.7277], 5600: [1, 0.8642, 0.7519], 5700: [1, 0.874, 0.776], 5800: [1, 0.8836, 0.8], 5900: [1, 0.8929, 0.8238],
-  6000: [1, 0.9019, 0.8473], 6100: [1, 0.9107, 0.8707], 6200: [1, 0.9193, 0.8939], 6300: [1, 0.9276, 0.9168], 6400: [1, 0.9357, 0.9396],
-  6500: [1, 0.9436, 0.9621], 6600: [1, 0.9513, 0.9844], 6700: [0.9937, 0.9526, 1], 6800: [0.9726, 0.9395, 1], 6900: [0.9526, 0.927, 1],
-  7000: [0.9337, 0.915, 1], 7100: [0.9157, 0.9035, 1], 7200: [0.8986, 0.8925, 1], 7300: [0.8823, 0.8819, 1], 7400: [0.8668, 0.8718, 1],
-  7500: [0.852, 0.8621, 1], 7600: [0.8379, 0.8527, 1], 7700: [0.8244, 0.8437, 1], 7800: [0.8115, 0.8351, 1], 7900: [0.7992, 0.8268, 1],
-  8000: [0.7874, 0.8187, 1], 8100: [0.7761, 0.811, 1], 8200: [0.7652, 0.8035, 1], 8300: [0.7548, 0.7963, 1], 8400: [0.7449, 0.7894, 1],
-  8500: [0.7353, 0.7827, 1], 8600: [0.726, 0.7762, 1], 8700: [0.7172, 0.7699, 1], 8800: [0.7086, 0.7638, 1], 8900: [0.7004, 0.7579, 1],
-  9000: [0.6925, 0.7522, 1], 9100: [0.6848, 0.7467, 1], 9200: [0.6774, 0.7414, 1], 9300: [0.6703, 0.7362, 1], 9400: [0.6635, 0.7311, 1],
-  9500: [0.6568, 0.7263, 1], 9600: [0.6504, 0.7215, 1], 9700: [0.6442, 0.7169, 1], 9800: [0.6382, 0.7124, 1], 9900: [0.6324, 0.7081, 1],
-  10000: [0.6268, 0.7039, 1], 11000: [0.5791, 0.6674, 1], 12000: [0.5431, 0.6389, 1], 13000: [0.5152, 0.6162, 1], 14000: [0.493, 0.5978, 1],
-  15000: [0.4749, 0.5824, 1], 16000: [0.4599, 0.5696, 1], 17000: [0.4474, 0.5586, 1], 18000: [0.4367, 0.5492, 1], 19000: [0.4275, 0.541, 1],
-  20000: [0.4196, 0.5339, 1], 25000: [0.3917, 0.5083, 1], 30000: [0.3751, 0.4926, 1], 35000: [0.3641, 0.4821, 1], 40000: [0.3563, 0.4745, 1]
-};
-
-// Helper to interpolate blackbody colors
-function getBlackbodyColor(tempK) {
-  const temps = Object.keys(BLACKBODY_COLORS).map(Number).sort((a, b) => a - b);
-  const clampedTemp = Math.max(1000, Math.min(40000, tempK));
-
-  let lowTemp = temps[0], highTemp = temps[0];
-  for (let i = 0; i < temps.length - 1; i++) {
-    if (clampedTemp >= temps[i] && clampedTemp <= temps[i + 1]) {
-      lowTemp = temps[i];
-      highTemp = temps[i + 1];
-      break;
-    }
-  }
-
-  const t = highTemp === lowTemp ? 0 : (clampedTemp - lowTemp) / (highTemp - lowTemp);
-  const cLow = BLACKBODY_COLORS[lowTemp];
-  const cHigh = BLACKBODY_COLORS[highTemp];
-
-  return [
-    cLow[0] + (cHigh[0] - cLow[0]) * t,
-    cLow[1] + (cHigh[1] - cLow[1]) * t,
-    cLow[2] + (cHigh[2] - cLow[2]) * t
-  ];
-}
-
-// Pre-build arrays for shader lookup (100K steps from 1000K-10000K, then 1000K steps to 40000K)
-const BLACKBODY_TEMPS = [];
-const BLACKBODY_R = [];
-const BLACKBODY_G = [];
-const BLACKBODY_B = [];
-for (let t = 1000; t <= 10000; t += 100) {
-  BLACKBODY_TEMPS.push(t);
-  const c = getBlackbodyColor(t);
-  BLACKBODY_R.push(c[0]);
-  BLACKBODY_G.push(c[1]);
-  BLACKBODY_B.push(c[2]);
-}
-for (let t = 11000; t <= 40000; t += 1000) {
-  BLACKBODY_TEMPS.push(t);
-  const c = getBlackbodyColor(t);
-  BLACKBODY_R.push(c[0]);
-  BLACKBODY_G.push(c[1]);
-  BLACKBODY_B.push(c[2]);
-}
-
-// Convert temperature to RGB using lookup table with linear interpolation
-const blackbodyColor = Fn(([tempK]) => {
-  const temp = clamp(tempK, float(1000.0), float(40000.0));
-
-  const r = float(0.0).toVar();
-  const g = float(0.0).toVar();
-  const b = float(0.0).toVar();
-
-  // Search through temperature breakpoints and interpolate
-  for (let i = 0; i < BLACKBODY_TEMPS.length - 1; i++) {
-    const tLow = float(BLACKBODY_TEMPS[i]);
-    const tHigh = float(BLACKBODY_TEMPS[i + 1]);
-
-    const inRange = step(tLow, temp).mul(step(temp, tHigh));
-    const t = temp.sub(tLow).div(tHigh.sub(tLow));
-
-    r.addAssign(mix(float(BLACKBODY_R[i]), float(BLACKBODY_R[i + 1]), t).mul(inRange));
-    g.addAssign(mix(float(BLACKBODY_G[i]), float(BLACKBODY_G[i + 1]), t).mul(inRange));
-    b.addAssign(mix(float(BLACKBODY_B[i]), float(BLACKBODY_B[i + 1]), t).mul(inRange));
-  }
-
-  return vec3(r, g, b);
+// Debug colormap for angles: hue wheel over t ∈ [0, 1]
+const hueWheel = Fn(([t]) => {
+  const angle = t.mul(6.283185);
+  return vec3(cos(angle), cos(angle.sub(2.094395)), cos(angle.add(2.094395))).mul(0.5).add(0.5);
 });
 
-// Procedural star field using grid-based placement
-const createStarField = (uniforms) => Fn(([rayDir]) => {
-  const theta = atan(rayDir.z, rayDir.x);
-  const phi = asin(clamp(rayDir.y, float(-1.0), float(1.0)));
+// Convert temperature to RGB using lookup table with linear interpolation
+const blackbodyColor = Fn(([tempK]) => tslMath.blackbody(tempK));
 
+// Procedural star field, uniform over the sphere (see starCell() in
+// shader-math.js) and blurred to the ray footprint
+const createStarField = (uniforms) => Fn(([rayDir, footprint]) => {
   const gridScale = float(60.0).div(uniforms.starSize);
-  const scaledCoord = vec2(theta, phi).mul(gridScale);
-  const cell = floor(scaledCoord);
-  const cellUV = fract(scaledCoord);
-
-  const cellHash = hash21(cell);
-  const starProb = step(float(1.0).sub(uniforms.starDensity), cellHash);
-
-  const starPos = hash22(cell.add(42.0)).mul(0.8).add(0.1);
-  const distToStar = length(cellUV.sub(starPos));
-
-  const baseSizeVar = hash21(cell.add(100.0)).mul(0.03).add(0.01);
-  const finalStarSize = baseSizeVar.mul(uniforms.starSize);
+  const base = floor(rayDir.mul(gridScale));
+  const light = vec3(0.0, 0.0, 0.0).toVar('starLight');
+
+  Loop(3, 3, 3, ({ i, j, k }) => {
+    const cell = base.add(vec3(i, j, k)).sub(1.0);
+    light.addAssign(tslMath.starCell(cell, rayDir, {
+      gridScale,
+      footprint,
+      density: uniforms.starDensity,
+      size: uniforms.starSize
+    }));
+  });
+
+  return light.mul(uniforms.starBrightness);
+});
 
-  const starCore = smoothstep(finalStarSize, float(0.0), distToStar);
-  const starGlow = smoothstep(finalStarSize.mul(3.0), float(0.0), distToStar).mul(0.3);
-  const starIntensity = starCore.add(starGlow).mul(starProb);
+// Procedural nebula clouds - one FBM layer per entry of nebulaOctaves, each
+// with its own uniforms and an octave count compiled in
+const createNebulaField = (uniforms, { nebulaOctaves }) => Fn(([rayDir]) => {
+  const driftDirection = vec3(...NEBULA_DRIFT_DIRECTION);
+  const color = vec3(0.0).toVar();
+
+  nebulaOctaves.forEach((octaves, i) => {
+    const layer = uniforms.nebulaLayers[i];
+    const drift = driftDirection.mul(uniforms.time.mul(layer.driftSpeed));
+    const noisePos = rayDir.mul(layer.scale).add(layer.offset).add(drift);
+    const n = fbm(noisePos, float(2.0), float(0.5), octaves).mul(2.0).sub(1.0);
+    const density = clamp(n.add(layer.density), float(0.0), float(1.0));
+    color.addAssign(layer.color.mul(density).mul(layer.brightness));
+  });
+
+  return color;
+});
 
-  const colorTemp = hash21(cell.add(200.0));
-  const starColor = mix(vec3(0.8, 0.9, 1.0), vec3(1.0, 0.95, 0.8), colorTemp);
+// Turn a direction into the sky's frame: tilt about X, then rotate about
+// the vertical axis (same as skyOrientation() in celestial.js)
+const createSkyOrientation = (uniforms) => Fn(([rayDir]) => {
+  const ct = cos(uniforms.backgroundTilt);
+  const st = sin(uniforms.backgroundTilt);
+  const tilted = vec3(rayDir.x, rayDir.y.mul(ct).add(rayDir.z.mul(st)), rayDir.z.mul(ct).sub(rayDir.y.mul(st)));
 
-  return starColor.mul(starIntensity).mul(uniforms.starBrightness);
+  const c = cos(uniforms.backgroundRotation);
+  const s = sin(uniforms.backgroundRotation);
+  return vec3(tilted.x.mul(c).sub(tilted.z.mul(s)), tilted.y, tilted.x.mul(s).add(tilted.z.mul(c)));
 });
 
-// Procedural nebula clouds - two FBM layers
-const createNebulaField = (uniforms) => Fn(([rayDir]) => {
-  const noisePos1 = rayDir.mul(uniforms.nebula1Scale);
-  const n1 = fbm(noisePos1, float(2.0), float(0.5)).mul(2.0).sub(1.0);
-  const layer1 = clamp(n1.add(uniforms.nebula1Density), float(0.0), float(1.0));
-  const color1 = uniforms.nebula1Color.mul(layer1).mul(uniforms.nebula1Brightness);
+// Lensed sky image, sampled with the ray's final (bent) direction. Returns
+// null unless an image source is showing. Sampled at level 0: the seam in
+// the equirect u coordinate and the branch it's in rule out mip selection.
+const createSkyImage = (uniforms, { backgroundSource, backgroundTexture }) => {
+  if ((backgroundSource !== 'equirect' && backgroundSource !== 'cubemap') || !backgroundTexture) {
+    return null;
+  }
+  const map = backgroundSource === 'cubemap' ? cubeTexture(backgroundTexture) : texture(backgroundTexture);
+  const orientSky = createSkyOrientation(uniforms);
+
+  return Fn(([rayDir]) => {
+    const dir = orientSky(rayDir);
+    const uv = backgroundSource === 'cubemap' ? dir : equirectUV(dir);
+    return map.sample(uv).level(0).rgb.mul(exp2(uniforms.backgroundExposure));
+  });
+};
 
-  const noisePos2 = rayDir.mul(uniforms.nebula2Scale);
-  const n2 = fbm(noisePos2, float(2.0), float(0.5)).mul(2.0).sub(1.0);
-  const layer2 = clamp(n2.add(uniforms.nebula2Density), float(0.0), float(1.0));
-  const color2 = uniforms.nebula2Color.mul(layer2).mul(uniforms.nebula2Brightness);
+// Catalog stars as point sources: look up the ray's cell in the star grid
+// (see buildStarGrid() in star-catalog.js) and add a Gaussian for each star
+// listed there, as wide as the ray footprint. Returns null unless a catalog
+// is showing.
+const createCatalogStars = (uniforms, { backgroundSource, backgroundTexture }) => {
+  if (backgroundSource !== 'catalog' || !backgroundTexture) {
+    return null;
+  }
+  const { gridSize, radius, cellTexture, entryTexture } = backgroundTexture;
+  const cells = texture(cellTexture);
+  const entries = texture(entryTexture);
+  const width = int(STAR_TEXTURE_WIDTH);
+  const texel = (index) => ivec2(mod(index, width), index.div(width));
+  const orientSky = createSkyOrientation(uniforms);
+
+  return Fn(([rayDir, pixelAngle, footprint]) => {
+    const dir = orientSky(rayDir);
+    const cellCoord = clamp(floor(dir.mul(0.5).add(0.5).mul(gridSize)), float(0.0), float(gridSize - 1));
+    const cellIndex = int(cellCoord.z.mul(gridSize).add(cellCoord.y).mul(gridSize).add(cellCoord.x));
+    const cell = cells.load(texel(cellIndex));
+    const first = int(cell.x);
+
+    // Width in radians; stars can't spread past the radius they're binned with
+    const sigma = clamp(footprint.mul(0.7), float(1e-5), float(radius / 3));
+    const twoSigmaSq = sigma.mul(sigma).mul(2.0);
+    const light = vec3(0.0, 0.0, 0.0).toVar('catalogLight');
+
+    Loop({ start: first, end: first.add(int(cell.y)), type: 'int', condition: '<' }, ({ i }) => {
+      const entry = i.mul(int(2));
+      const star = entries.load(texel(entry));
+      const starColor = entries.load(texel(entry.add(int(1)))).rgb;
+      const falloff = exp(lengthSq(dir.sub(star.xyz)).div(twoSigmaSq).negate());
+      light.addAssign(starColor.mul(star.w.mul(falloff)));
+    });
 
-  return color1.add(color2);
-});
+    // A star's light over the image is its flux times the lensing
+    // magnification: the footprint's area relative to the pixel's
+    const normalization = pixelAngle.mul(pixelAngle).div(twoSigmaSq.mul(Math.PI));
+    return light.mul(normalization).mul(uniforms.starBrightness).mul(exp2(uniforms.backgroundExposure));
+  });
+};
 
-// Accretion disk color with blackbody temperature, Doppler beaming, and turbulence
-const createAccretionDiskColor = (uniforms) => Fn(([hitR, hitAngle, time, rayDir]) => {
+// Disk temperature profile: T(r) = T_peak × (r_inner / r)^α
+// Inner disk is hotter (more gravitational energy released)
+// Standard thin disk model uses α ≈ 0.75
+const createDiskTemperature = (uniforms) => Fn(([hitR]) => tslMath.diskTemperature(
+  hitR, uniforms.diskInnerRadius, uniforms.diskTemperature, uniforms.temperatureFalloff
+));
+
+// Frequency shift of disk light toward the camera: the full relativistic
+// shift or Doppler beaming only (see diskDopplerShift in shader-math.js).
+// Returns vec3(temperature scale g, intensity scale, Doppler factor).
+const createDiskDopplerShift = (uniforms) => Fn(([hitR, hitAngle, rayDir]) => tslMath.diskDopplerShift({
+  hitR,
+  hitAngle,
+  rayDir,
+  mass: uniforms.blackHoleMass,
+  innerRadius: uniforms.diskInnerRadius,
+  rotationSpeed: uniforms.diskRotationSpeed,
+  dopplerStrength: uniforms.dopplerStrength,
+  relativistic: uniforms.relativisticColor
+}));
+
+// Accretion disk color with blackbody temperature, Doppler beaming (or the full
+// relativistic frequency shift), and turbulence
+const createAccretionDiskColor = (uniforms, { noiseOctaves }) => Fn(([hitR, hitAngle, time, rayDir]) => {
   const innerR = uniforms.diskInnerRadius;
   const outerR = uniforms.diskOuterRadius;
   const normR = clamp(hitR.sub(innerR).div(outerR.sub(innerR)), float(0.0), float(1.0));
 
-  // Temperature profile: T(r) = T_peak × (r_inner / r)^α
-  // Inner disk is hotter (more gravitational energy released)
-  // Standard thin disk model uses α ≈ 0.75
-  const peakTempK = uniforms.diskTemperature.mul(1000.0);
-  const tempK = peakTempK.mul(pow(innerR.div(hitR), uniforms.temperatureFalloff));
-  const diskColor = blackbodyColor(tempK).toVar('diskColor');
-
-  // Doppler beaming: D = 1/(1 - β·cos(θ)), brightness ∝ D³
-  const rotationSign = sign(uniforms.diskRotationSpeed);
-  const velocityDir = vec3(
-    sin(hitAngle).negate().mul(rotationSign),
-    float(0.0),
-    cos(hitAngle).mul(rotationSign)
-  );
-  const velocityMagnitude = float(1.0).div(sqrt(hitR.div(innerR)));
-  const beta = velocityMagnitude.mul(0.3);
-  const cosTheta = dot(velocityDir, rayDir);
-  const dopplerFactor = float(1.0).div(float(1.0).sub(beta.mul(cosTheta)));
-  const dopplerBoost = pow(dopplerFactor, float(3.0).mul(uniforms.dopplerStrength));
-  diskColor.mulAssign(clamp(dopplerBoost, float(0.1), float(5.0)));
+  // Apparent temperature shifts by g (g = 1 unless relativistic color is on)
+  const shift = createDiskDopplerShift(uniforms)(hitR, hitAngle, rayDir);
+  const tempK = createDiskTemperature(uniforms)(hitR);
+  const diskColor = blackbodyColor(tempK.mul(shift.x)).mul(shift.y).toVar('diskColor');
 
   // Edge falloff
   const edgeFalloff = smoothstep(float(0.0), uniforms.diskEdgeSoftnessInner, normR)
@@ -290,8 +276,8 @@ const createAccretionDiskColor = (uniforms) => Fn(([hitR, hitAngle, time, rayDir
     sin(rotatedAngle2).div(uniforms.turbulenceStretch.max(0.1))
   );
 
-  const turbulence1 = fbm(noiseCoord1, uniforms.turbulenceLacunarity, uniforms.turbulencePersistence);
-  const turbulence2 = fbm(noiseCoord2, uniforms.turbulenceLacunarity, uniforms.turbulencePersistence);
+  const turbulence1 = fbm(noiseCoord1, uniforms.turbulenceLacunarity, uniforms.turbulencePersistence, noiseOctaves);
+  const turbulence2 = fbm(noiseCoord2, uniforms.turbulenceLacunarity, uniforms.turbulencePersistence, noiseOctaves);
   const turbulence = mix(turbulence2, turbulence1, blendFactor);
   ringOpacity.assign(pow(clamp(turbulence, float(0.0), float(1.0)), uniforms.turbulenceSharpness));
 
@@ -301,33 +287,62 @@ const createAccretionDiskColor = (uniforms) => Fn(([hitR, hitAngle, time, rayDir
 });
 
 // Main raymarching shader
-export function createBlackHoleShader(uniforms) {
+// Options are baked into the generated shader and need a rebuild to change:
+//   raySteps     - maximum raymarching iterations per pixel
+//   noiseOctaves - FBM octaves for disk turbulence
+//   nebulaOctaves - FBM octaves of each nebula layer (one entry per layer)
+//   backgroundSource  - 'procedural', 'equirect', 'cubemap' or 'catalog'
+//   backgroundTexture - sky image, or star catalog textures for 'catalog'
+export function createBlackHoleShader(uniforms, {
+  raySteps = 64,
+  noiseOctaves = 4,
+  nebulaOctaves = [],
+  backgroundSource = 'procedural',
+  backgroundTexture = null
+} = {}) {
   const starField = createStarField(uniforms);
-  const nebulaField = createNebulaField(uniforms);
-  const accretionDiskColor = createAccretionDiskColor(uniforms);
+  const nebulaField = createNebulaField(uniforms, { nebulaOctaves });
+  const skyImage = createSkyImage(uniforms, { backgroundSource, backgroundTexture });
+  const catalogStars = createCatalogStars(uniforms, { backgroundSource, backgroundTexture });
+  const accretionDiskColor = createAccretionDiskColor(uniforms, { noiseOctaves });
+  const diskTemperature = createDiskTemperature(uniforms);
+  const diskDopplerShift = createDiskDopplerShift(uniforms);
 
   return Fn(() => {
     const rs = uniforms.blackHoleMass.mul(2.0); // Schwarzschild radius
 
-    // Camera setup
-    const uv = screenUV.sub(0.5).mul(2.0);
-    const aspect = uniforms.resolution.x.div(uniforms.resolution.y);
-    const screenPos = vec2(uv.x.mul(aspect), uv.y);
-
-    const camPos = uniforms.cameraPosition;
-    const camTarget = uniforms.cameraTarget;
-    const camForward = normalize(camTarget.sub(camPos));
-    const worldUp = vec3(0.0, 1.0, 0.0);
-    const camRight = normalize(cross(worldUp, camForward));
-    const camUp = cross(camForward, camRight);
-
-    const fov = float(1.0);
+    // Kerr spin: a = a* × M. The hole spins about +Y, the sense the disk
+    // visibly turns at a positive rotation speed; the disk animation doesn't
+    // set the spin.
+    const spinA = uniforms.blackHoleSpin.mul(uniforms.blackHoleMass);
+    const spinAxis = vec3(0.0, 1.0, 0.0);
+    const angularMomentum = spinAxis.mul(spinA.mul(uniforms.blackHoleMass)); // J = aM
+
+    // Outer event horizon: r+ = M + sqrt(M² - a²), equals rs when a = 0
+    const horizonR = uniforms.blackHoleMass.add(
+      sqrt(uniforms.blackHoleMass.mul(uniforms.blackHoleMass).sub(spinA.mul(spinA)).max(0.0))
+    );
+
+    // Camera setup: unproject the pixel through the camera's projection, then
+    // rotate into world space, so FOV, aspect, roll and zoom all match Three.js.
+    // screenUV has Y pointing down, NDC has Y pointing up. When rendering in
+    // tiles, the tile offset/scale map screenUV onto its part of the full image.
+    const imageUV = uniforms.tileOffset.add(screenUV.mul(uniforms.tileScale));
+    const ndc = vec2(imageUV.x.mul(2.0).sub(1.0), float(1.0).sub(imageUV.y.mul(2.0)));
+    const viewPos = uniforms.cameraProjectionMatrixInverse.mul(vec4(ndc.x, ndc.y, 1.0, 1.0));
+    const viewDir = viewPos.xyz.div(viewPos.w);
     const rayDir = normalize(
-      camForward.mul(fov)
-        .add(camRight.mul(screenPos.x))
-        .add(camUp.mul(screenPos.y))
+      uniforms.cameraWorldMatrix.mul(vec4(viewDir, 0.0)).xyz
     ).toVar('rayDir');
 
+    // Angle one pixel spans, from the change in direction to the next pixel.
+    // Taken here, before any branching, where screen derivatives are valid.
+    const pixelAngle = catalogStars
+      ? length(dFdx(rayDir)).max(length(dFdy(rayDir))).toVar('pixelAngle')
+      : null;
+
+    const camPos = uniforms.cameraPosition;
+
     // Ray state
     const rayPos = camPos.toVar('rayPos');
     const prevPos = camPos.toVar('prevPos');
@@ -335,12 +350,21 @@ export function createBlackHoleShader(uniforms) {
     const alpha = float(0.0).toVar('alpha');
     const escaped = float(0.0).toVar('escaped');
     const captured = float(0.0).toVar('captured');
+    const planeCrossings = float(0.0).toVar('planeCrossings');
+    const imageOrderColor = vec3(0.0, 0.0, 0.0).toVar('imageOrderColor');
+
+    // Debug state: steps taken, initial direction and the first disk hit
+    const stepCount = float(0.0).toVar('stepCount');
+    const initialDir = rayDir.toVar('initialDir');
+    const diskHitR = float(-1.0).toVar('diskHitR');
+    const diskHitAngle = float(0.0).toVar('diskHitAngle');
+    const diskHitDir = vec3(0.0, 0.0, 0.0).toVar('diskHitDir');
 
     const innerR = uniforms.diskInnerRadius;
     const outerR = uniforms.diskOuterRadius;
 
     // Raymarching loop
-    Loop(64, () => {
+    Loop(raySteps, () => {
       If(escaped.greaterThan(0.5).or(captured.greaterThan(0.5)).or(alpha.greaterThan(0.99)), () => {
         Break();
       });
@@ -348,43 +372,126 @@ export function createBlackHoleShader(uniforms) {
       const r = length(rayPos);
 
       // Captured by black hole
-      If(r.lessThan(rs.mul(1.01)), () => {
+      If(r.lessThan(horizonR.mul(1.01)), () => {
         captured.assign(1.0);
         Break();
       });
 
       // Escaped to infinity
-      If(r.greaterThan(100.0), () => {
+      If(r.greaterThan(uniforms.maxRayDistance), () => {
         escaped.assign(1.0);
         Break();
       });
 
-      // Gravitational light bending: a = -rs/r² toward center
-      const toCenter = rayPos.negate().div(r);
-      const bendStrength = rs.div(r.mul(r)).mul(uniforms.stepSize).mul(uniforms.gravitationalLensing);
-      rayDir.addAssign(toCenter.mul(bendStrength));
-      rayDir.assign(normalize(rayDir));
+      stepCount.addAssign(1.0);
 
-      prevPos.assign(rayPos);
-      rayPos.addAssign(rayDir.mul(uniforms.stepSize));
+      // Adaptive step: full length beyond 5 rs, shrinking linearly with r
+      // toward the horizon where bending is strongest
+      const dt = clamp(
+        uniforms.stepSize.mul(r.div(rs.mul(5.0))),
+        uniforms.adaptiveMinStep.min(uniforms.stepSize),
+        uniforms.stepSize
+      );
 
-      // Disk plane intersection (Y = 0)
-      const crossedPlane = prevPos.y.mul(rayPos.y).lessThan(0.0);
+      // Frame dragging (Lense-Thirring): gravitomagnetic field of spin J,
+      // B = 2/r³ × (3(J·r̂)r̂ - J). Prograde rays are pulled in less than
+      // retrograde ones, which flattens and shifts the shadow.
+      const rHat = rayPos.div(r);
+      const gravitomagnetic = rHat.mul(dot(angularMomentum, rHat).mul(3.0)).sub(angularMomentum)
+        .mul(float(2.0).div(r.mul(r).mul(r)));
+      rayDir.addAssign(cross(gravitomagnetic, rayDir).mul(dt).mul(uniforms.gravitationalLensing));
 
-      If(crossedPlane.and(alpha.lessThan(0.99)), () => {
-        const t = prevPos.y.negate().div(rayPos.y.sub(prevPos.y));
-        const hitPos = mix(prevPos, rayPos, t);
-        const hitR = sqrt(hitPos.x.mul(hitPos.x).add(hitPos.z.mul(hitPos.z)));
-        const inDisk = hitR.greaterThan(innerR).and(hitR.lessThan(outerR));
+      prevPos.assign(rayPos);
+
+      If(uniforms.integrator.greaterThan(0.5), () => {
+        // Schwarzschild null geodesic (u'' + u = 3Mu²), integrated with RK4.
+        // Lensing strength is physical at 1.0; other values exaggerate.
+        // Position first: the new direction only reads the step's shared
+        // terms, while the new position reads rayDir itself.
+        const step = tslMath.geodesicStep(rayPos, rayDir, dt, rs, uniforms.gravitationalLensing);
+        rayPos.assign(step.pos);
+        rayDir.assign(step.dir);
+      }).Else(() => {
+        // Classic bend step: a = -rs/r² toward center, scaled by lensing strength
+        const bent = tslMath.bendStep(rayPos, rayDir, r, dt, rs, uniforms.gravitationalLensing);
+        rayDir.assign(bent.dir);
+        rayPos.assign(bent.pos);
+      });
 
-        If(inDisk, () => {
-          const hitAngle = atan(hitPos.z, hitPos.x);
-          const diskResult = accretionDiskColor(hitR, hitAngle, uniforms.time, rayDir);
+      // Image order: the n-th crossing of the equatorial plane forms the n-th
+      // order image (1 = primary, 2 = secondary, 3+ = photon ring)
+      If(prevPos.y.mul(rayPos.y).lessThan(0.0), () => {
+        planeCrossings.addAssign(1.0);
+      });
+      const imageOrder = planeCrossings.max(1.0);
+      const orderIntensity = select(
+        imageOrder.lessThan(1.5),
+        uniforms.primaryImageIntensity,
+        select(imageOrder.lessThan(2.5), uniforms.secondaryImageIntensity, uniforms.higherOrderImageIntensity)
+      );
+
+      // Front-to-back alpha compositing of a disk sample. Intensity multipliers
+      // above 1 brighten an image; below 1 they also make it transparent.
+      const compositeDisk = (emission, opacity, hitR, hitAngle) => {
+        If(diskHitR.lessThan(0.0).and(opacity.greaterThan(0.01)), () => {
+          diskHitR.assign(hitR);
+          diskHitAngle.assign(hitAngle);
+          diskHitDir.assign(rayDir);
+        });
 
-          // Front-to-back alpha compositing
-          const remainingAlpha = float(1.0).sub(alpha);
-          color.addAssign(diskResult.xyz.mul(diskResult.w).mul(remainingAlpha));
-          alpha.addAssign(remainingAlpha.mul(diskResult.w));
+        const weight = opacity.mul(float(1.0).sub(alpha));
+        color.addAssign(emission.mul(weight).mul(orderIntensity));
+        imageOrderColor.addAssign(imageOrderTint(imageOrder).mul(weight));
+        alpha.addAssign(weight.mul(orderIntensity.min(1.0)));
+      };
+
+      If(uniforms.diskVolumetric.greaterThan(0.5), () => {
+        // Volumetric disk: integrate emission and absorption through a slab
+        // whose thickness varies from inner to outer edge, sampled at the
+        // midpoint of each step
+        const samplePos = mix(prevPos, rayPos, 0.5);
+        const sampleR = length(samplePos.xz);
+        const normR = clamp(sampleR.sub(innerR).div(outerR.sub(innerR)), float(0.0), float(1.0));
+        const halfHeight = uniforms.diskThickness
+          .mul(mix(uniforms.diskInnerThickness, uniforms.diskOuterThickness, normR))
+          .mul(0.5)
+          .max(0.001);
+        const heightRatio = abs(samplePos.y).div(halfHeight);
+        const inSlab = sampleR.greaterThan(innerR).and(sampleR.lessThan(outerR)).and(heightRatio.lessThan(1.0));
+
+        If(inSlab.and(alpha.lessThan(0.99)), () => {
+          const hitAngle = atan(samplePos.z, samplePos.x);
+          const diskResult = accretionDiskColor(sampleR, hitAngle, uniforms.time, rayDir);
+
+          // Vertical profile: Gaussian in y/H, faded out at the slab surface
+          const verticalDensity = exp(heightRatio.mul(heightRatio).mul(uniforms.heightDensityFalloff).negate())
+            .mul(float(1.0).sub(smoothstep(float(0.8), float(1.0), heightRatio)));
+
+          // 3D turbulence breaks the slab into puffs above and below the midplane
+          const puffCoord = vec3(samplePos.x, samplePos.y.mul(3.0), samplePos.z).mul(uniforms.turbulenceScale);
+          const puff = fbm(puffCoord, uniforms.turbulenceLacunarity, uniforms.turbulencePersistence, noiseOctaves).mul(2.0);
+
+          // Beer-Lambert absorption over this step
+          const density = diskResult.w.mul(verticalDensity).mul(puff).mul(uniforms.diskDensity);
+          const stepAlpha = float(1.0).sub(exp(density.mul(length(rayPos.sub(prevPos))).negate()));
+
+          compositeDisk(diskResult.xyz, stepAlpha, sampleR, hitAngle);
+        });
+      }).Else(() => {
+        // Disk plane intersection (Y = 0)
+        const crossedPlane = prevPos.y.mul(rayPos.y).lessThan(0.0);
+
+        If(crossedPlane.and(alpha.lessThan(0.99)), () => {
+          const t = prevPos.y.negate().div(rayPos.y.sub(prevPos.y));
+          const hitPos = mix(prevPos, rayPos, t);
+          const hitR = sqrt(hitPos.x.mul(hitPos.x).add(hitPos.z.mul(hitPos.z)));
+          const inDisk = hitR.greaterThan(innerR).and(hitR.lessThan(outerR));
+
+          If(inDisk, () => {
+            const hitAngle = atan(hitPos.z, hitPos.x);
+            const diskResult = accretionDiskColor(hitR, hitAngle, uniforms.time, rayDir);
+            compositeDisk(diskResult.xyz, diskResult.w, hitR, hitAngle);
+          });
         });
       });
     });
@@ -393,12 +500,23 @@ export function createBlackHoleShader(uniforms) {
       escaped.assign(1.0);
     });
 
-    // Background for escaped rays
+    // Ray footprint: the angle one pixel spans on the sky after bending,
+    // from the change in final direction to the next pixel. Stars are
+    // filtered to it. Taken here, where every pixel's ray is done.
+    const footprint = length(dFdx(rayDir)).max(length(dFdy(rayDir))).toVar('footprint');
+
+    // Background for escaped rays: a sky image, or stars (procedural or
+    // from a catalog) and nebula
     If(escaped.greaterThan(0.5).and(alpha.lessThan(0.99)), () => {
+      if (skyImage) {
+        color.addAssign(skyImage(rayDir).mul(float(1.0).sub(alpha)));
+        return;
+      }
+
       const bgColor = uniforms.starBackgroundColor.toVar('bgColor');
 
       If(uniforms.starsEnabled.greaterThan(0.5), () => {
-        bgColor.addAssign(starField(rayDir));
+        bgColor.addAssign(catalogStars ? catalogStars(rayDir, pixelAngle, footprint) : starField(rayDir, footprint));
       });
 
       If(uniforms.nebulaEnabled.greaterThan(0.5), () => {
@@ -408,8 +526,77 @@ export function createBlackHoleShader(uniforms) {
       color.addAssign(bgColor.mul(float(1.0).sub(alpha)));
     });
 
-    // Gamma correction
-    const finalColor = pow(color, vec3(1.0 / 2.2));
+    // Linear HDR; exposure, tone mapping and sRGB encoding happen in the
+    // output pass
+    const finalColor = color.toVar('finalColor');
+
+    // Debug views replace the final color
+    const diskHit = diskHitR.greaterThan(0.0);
+    const mode = uniforms.renderMode;
+
+    // Disk images color-coded by order
+    // (red = primary, green = secondary, blue = tertiary and higher)
+    If(mode.equal(RENDER_MODES.IMAGE_ORDER), () => {
+      finalColor.assign(imageOrderColor);
+    });
+
+    // Iterations used before the ray terminated
+    If(mode.equal(RENDER_MODES.STEP_COUNT), () => {
+      finalColor.assign(heatmap(stepCount.div(float(raySteps))));
+    });
+
+    // Red = captured, blue = escaped, green = disk (by accumulated opacity)
+    If(mode.equal(RENDER_MODES.RAY_FATE), () => {
+      const fate = select(captured.greaterThan(0.5), vec3(1.0, 0.0, 0.0), vec3(0.0, 0.0, 1.0));
+      finalColor.assign(mix(fate, vec3(0.0, 1.0, 0.0), alpha));
+    });
+
+    // Angle between initial and final ray direction, 0 to π
+    If(mode.equal(RENDER_MODES.DEFLECTION), () => {
+      const deflection = acos(clamp(dot(initialDir, rayDir), float(-1.0), float(1.0)));
+      finalColor.assign(heatmap(deflection.div(3.141593)).mul(float(1.0).sub(captured.mul(0.8))));
+    });
+
+    // Radius of the first disk hit, inner edge to outer edge
+    If(mode.equal(RENDER_MODES.DISK_RADIUS), () => {
+      const normR = diskHitR.sub(innerR).div(outerR.sub(innerR));
+      finalColor.assign(select(diskHit, heatmap(normR), vec3(0.0)));
+    });
+
+    // Azimuth of the first disk hit
+    If(mode.equal(RENDER_MODES.DISK_ANGLE), () => {
+      const normAngle = diskHitAngle.div(6.283185).add(0.5);
+      finalColor.assign(select(diskHit, hueWheel(normAngle), vec3(0.0)));
+    });
+
+    // Observed temperature at the first disk hit, log scale 1000K to 40000K
+    If(mode.equal(RENDER_MODES.TEMPERATURE), () => {
+      const shift = diskDopplerShift(diskHitR.max(0.001), diskHitAngle, diskHitDir);
+      const tempK = diskTemperature(diskHitR.max(0.001)).mul(shift.x);
+      const normTemp = log(tempK.div(1000.0)).div(log(float(40.0)));
+      finalColor.assign(select(diskHit, heatmap(normTemp), vec3(0.0)));
+    });
+
+    // Doppler factor at the first disk hit: red < 1 (receding), white = 1,
+    // blue > 1 (approaching), on a log2 scale spanning 0.25 to 4
+    If(mode.equal(RENDER_MODES.DOPPLER), () => {
+      const shift = diskDopplerShift(diskHitR.max(0.001), diskHitAngle, diskHitDir);
+      const t = clamp(log2(shift.z).mul(0.5), float(-1.0), float(1.0));
+      const doppler = select(
+        t.lessThan(0.0),
+        mix(vec3(1.0), vec3(1.0, 0.1, 0.05), t.negate()),
+        mix(vec3(1.0), vec3(0.1, 0.3, 1.0), t)
+      );
+      finalColor.assign(select(diskHit, doppler, vec3(0.0)));
+    });
+
+    // Debug colors are display values. The output pass skips exposure and
+    // tone mapping for them, so decoding here makes its sRGB encoding
+    // show them unchanged.
+    If(mode.notEqual(RENDER_MODES.FINAL), () => {
+      finalColor.assign(sRGBTransferEOTF(finalColor));
+    });
+
     return vec4(finalColor, 1.0);
   })();
 }
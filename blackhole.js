@@ -3,11 +3,15 @@
  * BLACK HOLE SIMULATION WITH RAYMARCHED GRAVITATIONAL LENSING
  * ============================================================================
  *
- * This simulation renders a Schwarzschild (non-rotating) black hole with:
+ * This simulation renders a Schwarzschild (non-rotating) or Kerr (rotating)
+ * black hole with:
  * - Gravitational lensing of light rays through curved spacetime
+ * - Frame dragging around a spinning black hole
  * - Accretion disk with temperature-based coloring and turbulence
  * - Doppler beaming (relativistic brightness variation)
- * - Procedural star field and nebula background
+ * - Optional Doppler + gravitational redshift of disk color
+ * - Procedural star field and nebula background, a lensed sky image, or
+ *   stars from a real catalog
  * - Photon ring at the critical impact parameter
  *
  * The code is organized pedagogically for use in a blog post explaining
@@ -30,6 +34,9 @@ export class BlackHoleSimulation {
     this.scene = scene;
     this.config = config;
     this.blackHoleMesh = null;
+    // Loaded sky images by background source ('equirect', 'cubemap'), and
+    // the star catalog textures for 'catalog'
+    this.backgroundTextures = {};
     this.initializeUniforms(config);
   }
 
@@ -41,13 +48,28 @@ export class BlackHoleSimulation {
     this.uniforms = {
       // === Physics ===
       blackHoleMass: uniform(config.blackHoleMass ?? 1.0),
+      // Dimensionless spin a* = a/M: 0 = Schwarzschild, 0.998 = near-extremal Kerr
+      blackHoleSpin: uniform(config.blackHoleSpin ?? 0.0),
 
       // === Accretion Disk Geometry ===
       // Inner radius constrained to ISCO (Innermost Stable Circular Orbit)
       // For Schwarzschild black hole: ISCO = 3 × rs (where rs = 2M = 2.0 in our units)
+      // With spin the prograde ISCO moves inward, down to ~1.24M at a* = 0.998
       diskInnerRadius: uniform(config.diskInnerRadius ?? 3.0),
       diskOuterRadius: uniform(config.diskOuterRadius ?? 12.0),
 
+      // === Volumetric Disk ===
+      // When enabled the disk is a slab with vertical extent instead of a plane
+      diskVolumetric: uniform(config.diskVolumetric ? 1.0 : 0.0),
+      // Overall thickness scale, multiplied by the inner/outer edge thickness
+      diskThickness: uniform(config.diskThickness ?? 1.0),
+      diskInnerThickness: uniform(config.diskInnerThickness ?? 0.5),
+      diskOuterThickness: uniform(config.diskOuterThickness ?? 1.0),
+      // Gaussian falloff of density with height: ρ ∝ exp(-k (y/H)²)
+      heightDensityFalloff: uniform(config.heightDensityFalloff ?? 3.0),
+      // Absorption coefficient scale
+      diskDensity: uniform(config.diskDensity ?? 1.0),
+
       // === Accretion Disk Appearance ===
       // Peak temperature in thousands of Kelvin (at inner edge)
       // Typical values: 5-50 (5,000K - 50,000K)
@@ -70,11 +92,39 @@ export class BlackHoleSimulation {
       diskEdgeSoftnessOuter: uniform(config.diskEdgeSoftnessOuter ?? 0.15),
 
       // === Relativistic Effects ===
+      // Ray integrator: 0 = classic bend step, 1 = Schwarzschild geodesic (RK4)
+      integrator: uniform(config.integrator ?? 0),
+      // Classic mode needs > 1 to look right; geodesic mode is physical at 1.0
       gravitationalLensing: uniform(config.gravitationalLensing ?? 1.5),
       dopplerStrength: uniform(config.dopplerStrength ?? 1.0),
+      // Shift disk color temperature by the Doppler + gravitational redshift
+      // factor g and scale intensity by g⁴, instead of brightness-only beaming
+      relativisticColor: uniform(config.relativisticColor ? 1.0 : 0.0),
+
+      // === Disk Image Orders ===
+      // Intensity of the disk image formed on the n-th crossing of the disk plane.
+      // Higher orders make up the thin photon ring hugging the shadow.
+      primaryImageIntensity: uniform(config.primaryImageIntensity ?? 1.0),
+      secondaryImageIntensity: uniform(config.secondaryImageIntensity ?? 1.0),
+      higherOrderImageIntensity: uniform(config.higherOrderImageIntensity ?? 1.0),
+
+      // === Debug ===
+      // Output mode, see RENDER_MODES in blackhole-shader.js
+      renderMode: uniform(config.renderMode ?? 0),
 
       // === Performance ===
       stepSize: uniform(config.stepSize ?? 0.3),
+      // Shortest step taken near the horizon (adaptive step sizing)
+      adaptiveMinStep: uniform(config.adaptiveMinStep ?? 0.15),
+      // Rays farther than this from the black hole sample the background
+      maxRayDistance: uniform(config.maxRayDistance ?? 100.0),
+
+      // === Background Image / Catalog ===
+      // Sky orientation in radians (rotation about the vertical axis, tilt
+      // about X), and brightness in stops
+      backgroundRotation: uniform(THREE.MathUtils.degToRad(config.backgroundRotation ?? 0)),
+      backgroundTilt: uniform(THREE.MathUtils.degToRad(config.backgroundTilt ?? 0)),
+      backgroundExposure: uniform(config.backgroundExposure ?? 0),
 
       // === Stars ===
       starsEnabled: uniform(config.starsEnabled ? 1.0 : 0.0),
@@ -83,18 +133,11 @@ export class BlackHoleSimulation {
       starSize: uniform(config.starSize ?? 2.0),
       starBrightness: uniform(config.starBrightness ?? 1.0),
 
-      // === Nebula Layer 1 ===
+      // === Nebula ===
       nebulaEnabled: uniform(config.nebulaEnabled ? 1.0 : 0.0),
-      nebula1Scale: uniform(config.nebula1Scale ?? 2.0),
-      nebula1Density: uniform(config.nebula1Density ?? 0.5),
-      nebula1Brightness: uniform(config.nebula1Brightness ?? 0.15),
-      nebula1Color: uniform(new THREE.Color(config.nebula1Color ?? '#1a0033')),
-
-      // === Nebula Layer 2 ===
-      nebula2Scale: uniform(config.nebula2Scale ?? 6.0),
-      nebula2Density: uniform(config.nebula2Density ?? 0.5),
-      nebula2Brightness: uniform(config.nebula2Brightness ?? 0.15),
-      nebula2Color: uniform(new THREE.Color(config.nebula2Color ?? '#4d1a26')),
+      // One set per layer, added as the list grows (see
+      // updateNebulaLayerUniforms); the shader reads as many as there are layers
+      nebulaLayers: [],
 
       // === Animation State ===
       time: uniform(0),
@@ -102,8 +145,15 @@ export class BlackHoleSimulation {
       // === Camera ===
       resolution: uniform(new THREE.Vector2(window.innerWidth, window.innerHeight)),
       cameraPosition: uniform(new THREE.Vector3(0, 5, 20)),
-      cameraTarget: uniform(new THREE.Vector3(0, 0, 0))
+      cameraWorldMatrix: uniform(new THREE.Matrix4()),
+      cameraProjectionMatrixInverse: uniform(new THREE.Matrix4()),
+
+      // === Tiled Rendering ===
+      // Region of the full image covered by the current render, in screen UV
+      tileOffset: uniform(new THREE.Vector2(0, 0)),
+      tileScale: uniform(new THREE.Vector2(1, 1))
     };
+    this.updateNebulaLayerUniforms(config.nebulaLayers ?? []);
   }
 
   /**
@@ -136,7 +186,49 @@ export class BlackHoleSimulation {
    * Builds the complete raymarching shader using Three.js TSL.
    */
   createRaymarchingShader() {
-    return createBlackHoleShader(this.uniforms);
+    this.shaderOptions = this.getShaderOptions();
+    // Layers can be added to the config before their uniforms are pushed
+    this.updateNebulaLayerUniforms(this.config.nebulaLayers ?? []);
+    return createBlackHoleShader(this.uniforms, this.shaderOptions);
+  }
+
+  /**
+   * Options compiled into the shader (as opposed to uniforms).
+   */
+  getShaderOptions() {
+    // An image or catalog source with nothing loaded draws the procedural sky
+    const source = this.config.backgroundSource ?? 'procedural';
+    const backgroundTexture = this.backgroundTextures[source] ?? null;
+    return {
+      raySteps: this.config.raySteps ?? 64,
+      noiseOctaves: this.config.noiseOctaves ?? 4,
+      nebulaOctaves: (this.config.nebulaLayers ?? []).map((layer) => layer.octaves),
+      backgroundSource: backgroundTexture ? source : 'procedural',
+      backgroundTexture
+    };
+  }
+
+  /**
+   * Whether an image (or catalog) is loaded for a background source.
+   */
+  hasBackgroundTexture(source) {
+    return Boolean(this.backgroundTextures[source]);
+  }
+
+  /**
+   * Use a sky image for a background source, replacing (and disposing) the
+   * previous one. The shader is rebuilt if that source is showing.
+   * @param {'equirect'|'cubemap'|'catalog'} source
+   * @param {THREE.Texture|Object} texture - Equirectangular texture, cube
+   *   texture, or star catalog from createStarCatalog()
+   */
+  setBackgroundTexture(source, texture) {
+    const previous = this.backgroundTextures[source];
+    this.backgroundTextures[source] = texture;
+    this.refreshShaderOptions();
+    if (previous && previous !== texture) {
+      previous.dispose();
+    }
   }
 
   // ==========================================================================
@@ -152,11 +244,20 @@ export class BlackHoleSimulation {
 
     // Physics
     if (config.blackHoleMass !== undefined) u.blackHoleMass.value = config.blackHoleMass;
+    if (config.blackHoleSpin !== undefined) u.blackHoleSpin.value = config.blackHoleSpin;
 
     // Disk geometry
     if (config.diskInnerRadius !== undefined) u.diskInnerRadius.value = config.diskInnerRadius;
     if (config.diskOuterRadius !== undefined) u.diskOuterRadius.value = config.diskOuterRadius;
 
+    // Volumetric disk
+    if (config.diskVolumetric !== undefined) u.diskVolumetric.value = config.diskVolumetric ? 1.0 : 0.0;
+    if (config.diskThickness !== undefined) u.diskThickness.value = config.diskThickness;
+    if (config.diskInnerThickness !== undefined) u.diskInnerThickness.value = config.diskInnerThickness;
+    if (config.diskOuterThickness !== undefined) u.diskOuterThickness.value = config.diskOuterThickness;
+    if (config.heightDensityFalloff !== undefined) u.heightDensityFalloff.value = config.heightDensityFalloff;
+    if (config.diskDensity !== undefined) u.diskDensity.value = config.diskDensity;
+
     // Disk appearance
     if (config.diskTemperature !== undefined) u.diskTemperature.value = config.diskTemperature;
     if (config.temperatureFalloff !== undefined) u.temperatureFalloff.value = config.temperatureFalloff;
@@ -176,11 +277,32 @@ export class BlackHoleSimulation {
     if (config.diskEdgeSoftnessOuter !== undefined) u.diskEdgeSoftnessOuter.value = config.diskEdgeSoftnessOuter;
 
     // Relativistic effects
+    if (config.integrator !== undefined) u.integrator.value = config.integrator;
     if (config.gravitationalLensing !== undefined) u.gravitationalLensing.value = config.gravitationalLensing;
     if (config.dopplerStrength !== undefined) u.dopplerStrength.value = config.dopplerStrength;
+    if (config.relativisticColor !== undefined) u.relativisticColor.value = config.relativisticColor ? 1.0 : 0.0;
+
+    // Disk image orders
+    if (config.primaryImageIntensity !== undefined) u.primaryImageIntensity.value = config.primaryImageIntensity;
+    if (config.secondaryImageIntensity !== undefined) u.secondaryImageIntensity.value = config.secondaryImageIntensity;
+    if (config.higherOrderImageIntensity !== undefined) u.higherOrderImageIntensity.value = config.higherOrderImageIntensity;
+
+    // Debug
+    if (config.renderMode !== undefined) u.renderMode.value = config.renderMode;
 
     // Performance
     if (config.stepSize !== undefined) u.stepSize.value = config.stepSize;
+    if (config.adaptiveMinStep !== undefined) u.adaptiveMinStep.value = config.adaptiveMinStep;
+    if (config.maxRayDistance !== undefined) u.maxRayDistance.value = config.maxRayDistance;
+
+    // Background image / catalog
+    if (config.backgroundRotation !== undefined) {
+      u.backgroundRotation.value = THREE.MathUtils.degToRad(config.backgroundRotation);
+    }
+    if (config.backgroundTilt !== undefined) {
+      u.backgroundTilt.value = THREE.MathUtils.degToRad(config.backgroundTilt);
+    }
+    if (config.backgroundExposure !== undefined) u.backgroundExposure.value = config.backgroundExposure;
 
     // Star uniforms
     if (config.starsEnabled !== undefined) u.starsEnabled.value = config.starsEnabled ? 1.0 : 0.0;
@@ -189,33 +311,46 @@ export class BlackHoleSimulation {
     if (config.starSize !== undefined) u.starSize.value = config.starSize;
     if (config.starBrightness !== undefined) u.starBrightness.value = config.starBrightness;
 
-    // Nebula Layer 1 uniforms
+    // Nebula uniforms (the layer count and octaves are shader options)
     if (config.nebulaEnabled !== undefined) u.nebulaEnabled.value = config.nebulaEnabled ? 1.0 : 0.0;
-    if (config.nebula1Scale !== undefined) u.nebula1Scale.value = config.nebula1Scale;
-    if (config.nebula1Density !== undefined) u.nebula1Density.value = config.nebula1Density;
-    if (config.nebula1Brightness !== undefined) u.nebula1Brightness.value = config.nebula1Brightness;
-    if (config.nebula1Color !== undefined) u.nebula1Color.value.set(config.nebula1Color);
-
-    // Nebula Layer 2 uniforms
-    if (config.nebula2Scale !== undefined) u.nebula2Scale.value = config.nebula2Scale;
-    if (config.nebula2Density !== undefined) u.nebula2Density.value = config.nebula2Density;
-    if (config.nebula2Brightness !== undefined) u.nebula2Brightness.value = config.nebula2Brightness;
-    if (config.nebula2Color !== undefined) u.nebula2Color.value.set(config.nebula2Color);
+    if (config.nebulaLayers !== undefined) this.updateNebulaLayerUniforms(config.nebulaLayers);
 
     // Note: Disk color is computed from blackbody radiation (no color uniforms needed)
   }
 
   /**
-   * Update camera position uniform from Three.js camera.
+   * Copy the nebula layers into their uniforms, creating a set for each new
+   * layer. Sets left over from removed layers are kept for reuse.
+   */
+  updateNebulaLayerUniforms(layers) {
+    layers.forEach((layer, i) => {
+      const layerUniforms = this.uniforms.nebulaLayers[i] ??= {
+        scale: uniform(0),
+        density: uniform(0),
+        brightness: uniform(0),
+        color: uniform(new THREE.Color()),
+        offset: uniform(new THREE.Vector3()),
+        driftSpeed: uniform(0)
+      };
+      layerUniforms.scale.value = layer.scale;
+      layerUniforms.density.value = layer.density;
+      layerUniforms.brightness.value = layer.brightness;
+      layerUniforms.color.value.set(layer.color);
+      layerUniforms.offset.value.set(layer.offset.x, layer.offset.y, layer.offset.z);
+      layerUniforms.driftSpeed.value = layer.driftSpeed;
+    });
+  }
+
+  /**
+   * Update camera uniforms from Three.js camera.
+   * Rays are generated from the camera's own matrices, so FOV, roll and
+   * zoom changes carry through to the shader.
    */
   updateCamera(camera) {
+    camera.updateMatrixWorld();
     this.uniforms.cameraPosition.value.copy(camera.position);
-
-    // Calculate camera target from view direction
-    const direction = new THREE.Vector3(0, 0, -1);
-    direction.applyQuaternion(camera.quaternion);
-    const target = camera.position.clone().add(direction.multiplyScalar(10));
-    this.uniforms.cameraTarget.value.copy(target);
+    this.uniforms.cameraWorldMatrix.value.copy(camera.matrixWorld);
+    this.uniforms.cameraProjectionMatrixInverse.value.copy(camera.projectionMatrixInverse);
   }
 
   /**
@@ -226,6 +361,22 @@ export class BlackHoleSimulation {
     this.updateCamera(camera);
   }
 
+  /**
+   * Set the simulation clock (seconds) that drives disk rotation and turbulence.
+   */
+  setTime(seconds) {
+    this.uniforms.time.value = seconds;
+  }
+
+  /**
+   * Restrict rendering to a region of the full image (see tiles.js).
+   * Call with no arguments to render the full image again.
+   */
+  setTile(uvOffset = [0, 0], uvScale = [1, 1]) {
+    this.uniforms.tileOffset.value.set(uvOffset[0], uvOffset[1]);
+    this.uniforms.tileScale.value.set(uvScale[0], uvScale[1]);
+  }
+
   /**
    * Handle window resize.
    */
@@ -239,4 +390,20 @@ export class BlackHoleSimulation {
   regenerate() {
     this.createBlackHole();
   }
+
+  /**
+   * Rebuild the shader only if an option compiled into it has changed.
+   * @returns {boolean} Whether the shader was rebuilt
+   */
+  refreshShaderOptions() {
+    const next = this.getShaderOptions();
+    const same = (a, b) => Array.isArray(a)
+      ? Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i])
+      : a === b;
+    const changed = Object.keys(next).some((key) => !same(next[key], this.shaderOptions?.[key]));
+    if (changed) {
+      this.regenerate();
+    }
+    return changed;
+  }
 }
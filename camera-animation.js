@@ -3,63 +3,70 @@
  *
  * Creates smooth, professional camera movements for showcasing the black hole.
  * Uses keyframe-based animation with cosine interpolation for buttery-smooth motion.
+ * Keyframes can also carry simulation parameters (see keyframe-tracks.js).
+ * Playback modes, segment easing and constant speed live in camera-path.js.
  */
 
 import * as THREE from 'three/webgpu';
-
-/**
- * Catmull-Rom spline interpolation for smooth continuous curves.
- * Unlike per-segment easing, this creates fluid motion without pauses at waypoints.
- */
-function catmullRom(p0, p1, p2, p3, t) {
-  const t2 = t * t;
-  const t3 = t2 * t;
-
-  return 0.5 * (
-    (2 * p1) +
-    (-p0 + p2) * t +
-    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
-    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
-  );
+import { catmullRom, evaluateTracks } from './keyframe-tracks.js';
+import {
+  DEFAULT_CAMERA_KEYFRAMES,
+  advancePlayback,
+  buildArcLengthTable,
+  controlPointIndex,
+  getCycleDuration,
+  getPathDuration,
+  samplePath,
+  smoothBlend
+} from './camera-path.js';
+import { CONFIG_SCHEMA } from './config-schema.js';
+
+function cloneKeyframe({ position, target, duration, easing, params }) {
+  const keyframe = {
+    position: { x: position.x, y: position.y, z: position.z },
+    target: { x: target.x, y: target.y, z: target.z },
+    duration
+  };
+  if (easing && easing !== 'linear') {
+    keyframe.easing = easing;
+  }
+  if (params && Object.keys(params).length > 0) {
+    keyframe.params = { ...params };
+  }
+  return keyframe;
 }
 
-/**
- * Cinematic keyframes for the camera animation.
- * Each keyframe defines a camera state at a specific point in the animation.
- */
-const cinematicKeyframes = [
-  // 1. Wide shot from above
-  { position: { x: 0, y: -3, z: 20 }, target: { x: 0, y: 0, z: 0 }, duration: 5 },
-
-  // 2. Rotate around, begin rising
-  { position: { x: 15, y: -5, z: 12 }, target: { x: 0, y: 0, z: 0 }, duration: 4 },
-
-  // More top-down, continuing orbit
-  { position: { x: 10, y: -18, z: -10 }, target: { x: 0, y: 0, z: 0 }, duration: 4 },
-
-  // 3. Swing back down to wide shot
-  { position: { x: -5, y: -6, z: -24 }, target: { x: 0, y: 0, z: 0 }, duration: 3 },
-
-  // Wide shot, begin zoom in
-  { position: { x: -5, y: -1, z: -20 }, target: { x: 0, y: 0, z: 0 }, duration: 12 },
-
-  // Zooming in closer
-  { position: { x: 5, y: -1, z: 0 }, target: { x: 0, y: 0, z: 0 }, duration: 0 },
-];
-
 /**
  * CameraAnimation class handles smooth cinematic camera movements.
  */
 export class CameraAnimation {
-  constructor(camera, controls) {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {OrbitControls} controls
+   * @param {Array} [keyframes] - Camera path (defaults to DEFAULT_CAMERA_KEYFRAMES)
+   */
+  constructor(camera, controls, keyframes = DEFAULT_CAMERA_KEYFRAMES) {
     this.camera = camera;
     this.controls = controls;
-    this.keyframes = cinematicKeyframes;
+
+    // Easing per parameter track (see TRACK_EASINGS); unlisted tracks use catmullRom
+    this.trackEasing = {};
+
+    // Playback options (see setPlayback)
+    this.mode = 'loop';
+    this.constantSpeed = false;
+    this.blendDuration = 1.5;
 
     // Animation state
     this.isPlaying = false;
     this.currentTime = 0;
-    this.totalDuration = this.calculateTotalDuration();
+    this.direction = 1;
+    this.trackTime = 0;
+    this.arcTable = null;
+    this.setKeyframes(keyframes);
+
+    // Called when a play-once animation reaches the end
+    this.onFinish = null;
 
     // Interpolation vectors (reused to avoid allocations)
     this.tempPosition = new THREE.Vector3();
@@ -68,6 +75,11 @@ export class CameraAnimation {
     // Store original camera state for restoration
     this.originalPosition = new THREE.Vector3();
     this.originalTarget = new THREE.Vector3();
+
+    // Transition between the user's view and the path (null when not blending)
+    this.blend = null;
+    this.blendFromPosition = new THREE.Vector3();
+    this.blendFromTarget = new THREE.Vector3();
   }
 
   /**
@@ -78,43 +90,303 @@ export class CameraAnimation {
   }
 
   /**
-   * Get keyframe by index with wrapping for seamless looping
+   * Seconds from the start of the path to its end: the last keyframe when
+   * playing once or ping-pong, back at the first keyframe when looping.
+   */
+  get pathDuration() {
+    return getPathDuration(this.keyframes, this.mode);
+  }
+
+  /**
+   * Seconds until playback repeats.
+   */
+  get cycleDuration() {
+    return getCycleDuration(this.keyframes, this.mode);
+  }
+
+  /**
+   * Recompute derived timing after the keyframes or playback mode change.
+   */
+  onPathChanged() {
+    this.totalDuration = this.calculateTotalDuration();
+    this.arcTable = null;
+    this.currentTime = Math.min(this.currentTime, this.pathDuration);
+  }
+
+  /**
+   * Set playback options.
+   * @param {Object} options
+   * @param {string} [options.mode] - 'loop', 'once' or 'pingpong'
+   * @param {boolean} [options.constantSpeed] - Move at uniform speed along the whole path
+   * @param {number} [options.blendDuration] - Seconds to blend into and out of the path
+   */
+  setPlayback({ mode, constantSpeed, blendDuration }) {
+    if (mode !== undefined) this.mode = mode;
+    if (constantSpeed !== undefined) this.constantSpeed = constantSpeed;
+    if (blendDuration !== undefined) this.blendDuration = Math.max(0, blendDuration);
+    this.direction = 1;
+    this.onPathChanged();
+  }
+
+  /**
+   * Replace the camera path. Keyframes are copied, so the caller's array
+   * can be stored (e.g. in the config) without being changed by edits here.
+   */
+  setKeyframes(keyframes) {
+    this.keyframes = keyframes.map(cloneKeyframe);
+    this.onPathChanged();
+  }
+
+  /**
+   * Copy of the camera path, safe to serialize and store.
+   */
+  getKeyframes() {
+    return this.keyframes.map(cloneKeyframe);
+  }
+
+  /**
+   * Insert a keyframe at the current camera position and orbit target.
+   * @param {number} duration - Seconds to travel to the following keyframe
+   * @param {number} [index] - Position in the path (defaults to the end)
+   * @returns {number} Index of the new keyframe
+   */
+  addKeyframeFromCamera(duration, index = this.keyframes.length) {
+    const { x, y, z } = this.camera.position;
+    const target = this.controls.target;
+    this.keyframes.splice(index, 0, {
+      position: { x, y, z },
+      target: { x: target.x, y: target.y, z: target.z },
+      duration
+    });
+    this.onPathChanged();
+    return index;
+  }
+
+  /**
+   * Remove the keyframe at index.
+   */
+  removeKeyframe(index) {
+    this.keyframes.splice(index, 1);
+    this.onPathChanged();
+
+    // Nothing left to animate
+    if (this.keyframes.length === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Move a keyframe by `offset` places (e.g. -1 = earlier in the path).
+   * @returns {number} The keyframe's new index
+   */
+  moveKeyframe(index, offset) {
+    const newIndex = THREE.MathUtils.clamp(index + offset, 0, this.keyframes.length - 1);
+    const [keyframe] = this.keyframes.splice(index, 1);
+    this.keyframes.splice(newIndex, 0, keyframe);
+    this.onPathChanged();
+    return newIndex;
+  }
+
+  /**
+   * Set the time (seconds) taken to travel from a keyframe to the next one.
+   */
+  setKeyframeDuration(index, duration) {
+    this.keyframes[index].duration = Math.max(0, duration);
+    this.onPathChanged();
+  }
+
+  /**
+   * Set how the camera paces itself from a keyframe to the next one
+   * (see SEGMENT_EASINGS).
+   */
+  setKeyframeEasing(index, easing) {
+    if (easing === 'linear') {
+      delete this.keyframes[index].easing;
+    } else {
+      this.keyframes[index].easing = easing;
+    }
+  }
+
+  /**
+   * Set a parameter value on a keyframe, adding it to that parameter's track.
+   */
+  setKeyframeParam(index, key, value) {
+    const keyframe = this.keyframes[index];
+    keyframe.params = { ...keyframe.params, [key]: value };
+  }
+
+  /**
+   * Remove a parameter value from a keyframe.
+   */
+  removeKeyframeParam(index, key) {
+    const keyframe = this.keyframes[index];
+    if (!keyframe.params) return;
+    delete keyframe.params[key];
+    if (Object.keys(keyframe.params).length === 0) {
+      delete keyframe.params;
+    }
+  }
+
+  /**
+   * Replace the per-track easing map (track key → easing name).
+   */
+  setTrackEasing(trackEasing) {
+    this.trackEasing = { ...trackEasing };
+  }
+
+  /**
+   * Parameter values at the camera's place on the path, keyed by config key.
+   */
+  getParamValues() {
+    return evaluateTracks(this.keyframes, this.trackTime, {
+      easings: this.trackEasing,
+      mode: this.mode,
+      ranges: CONFIG_SCHEMA
+    });
+  }
+
+  /**
+   * Start time (seconds) of the keyframe at index.
+   */
+  getKeyframeTime(index) {
+    let time = 0;
+    for (let i = 0; i < index; i++) {
+      time += this.keyframes[i].duration;
+    }
+    return time;
+  }
+
+  /**
+   * Get keyframe by index, wrapping when looping and clamping at the ends otherwise
    */
   getKeyframe(index) {
-    const len = this.keyframes.length;
-    return this.keyframes[((index % len) + len) % len];
+    return this.keyframes[controlPointIndex(index, this.keyframes.length, this.mode)];
   }
 
   /**
    * Start the camera animation
+   * @param {number} [blendDuration] - Seconds to blend from the current view into the path
    */
-  start() {
-    if (this.isPlaying) return;
+  start(blendDuration = this.blendDuration) {
+    if (this.isPlaying || this.keyframes.length === 0) return;
 
-    // Store current camera state
-    this.originalPosition.copy(this.camera.position);
-    this.originalTarget.copy(this.controls.target);
+    // Store current camera state (unless still blending back to it)
+    if (!this.blend) {
+      this.originalPosition.copy(this.camera.position);
+      this.originalTarget.copy(this.controls.target);
+    }
 
     // Disable user controls during animation
     this.controls.enabled = false;
 
     this.isPlaying = true;
     this.currentTime = 0;
+    this.direction = 1;
+    this.beginBlend(blendDuration, false);
+  }
+
+  /**
+   * Play from the start of the path at once, whatever the playback state:
+   * any blend in or out is dropped and the direction reset, so the frames
+   * that follow don't depend on what was happening before (video export).
+   * The view to return to on stop() is only taken if the path wasn't
+   * already playing or blending back to it.
+   */
+  restart() {
+    if (this.keyframes.length === 0) return;
+
+    if (!this.isPlaying && !this.blend?.out) {
+      this.originalPosition.copy(this.camera.position);
+      this.originalTarget.copy(this.controls.target);
+    }
+    this.controls.enabled = false;
+    this.isPlaying = true;
+    this.blend = null;
+    this.currentTime = 0;
+    this.direction = 1;
+  }
+
+  /**
+   * Snapshot of the playback state, including any blend in progress and the
+   * view stop() returns to, for restoreState() after restart().
+   */
+  saveState() {
+    return {
+      isPlaying: this.isPlaying,
+      currentTime: this.currentTime,
+      direction: this.direction,
+      controlsEnabled: this.controls.enabled,
+      blend: this.blend && { ...this.blend },
+      blendFromPosition: this.blendFromPosition.clone(),
+      blendFromTarget: this.blendFromTarget.clone(),
+      originalPosition: this.originalPosition.clone(),
+      originalTarget: this.originalTarget.clone()
+    };
+  }
+
+  /**
+   * Put back a saveState() snapshot. The camera itself is left to the
+   * caller; update() moves it on from here.
+   */
+  restoreState(state) {
+    this.isPlaying = state.isPlaying;
+    this.currentTime = state.currentTime;
+    this.direction = state.direction;
+    this.controls.enabled = state.controlsEnabled;
+    this.blend = state.blend && { ...state.blend };
+    this.blendFromPosition.copy(state.blendFromPosition);
+    this.blendFromTarget.copy(state.blendFromTarget);
+    this.originalPosition.copy(state.originalPosition);
+    this.originalTarget.copy(state.originalTarget);
   }
 
   /**
    * Stop the camera animation and restore controls
+   * @param {number} [blendDuration] - Seconds to blend back to the view from before start();
+   *   with 0 the camera stays where it is
    */
-  stop() {
+  stop(blendDuration = this.blendDuration) {
     if (!this.isPlaying) return;
 
     this.isPlaying = false;
+    this.beginBlend(blendDuration, true);
 
-    // Re-enable user controls
-    this.controls.enabled = true;
+    if (!this.blend) {
+      // Re-enable user controls
+      this.controls.enabled = true;
 
-    // Smoothly restore to current position (don't snap back)
-    this.controls.target.copy(this.tempTarget);
+      // Stay at the current position (don't snap back)
+      this.controls.target.copy(this.tempTarget);
+    }
+  }
+
+  /**
+   * Start blending from the camera's current view, into the path or back
+   * out to the original view. Controls stay disabled until it finishes.
+   */
+  beginBlend(duration, out) {
+    if (!(duration > 0)) {
+      this.blend = null;
+      return;
+    }
+    this.blendFromPosition.copy(this.camera.position);
+    this.blendFromTarget.copy(this.controls.target);
+    this.blend = { elapsed: 0, duration, out };
+  }
+
+  /**
+   * Mix the blend start view with `position`/`target` and apply to the camera.
+   * @returns {boolean} Whether the blend has finished
+   */
+  applyBlend(deltaTime, position, target) {
+    this.blend.elapsed += deltaTime;
+    const k = smoothBlend(this.blend.elapsed / this.blend.duration);
+
+    this.camera.position.lerpVectors(this.blendFromPosition, position, k);
+    this.controls.target.lerpVectors(this.blendFromTarget, target, k);
+    this.camera.lookAt(this.controls.target);
+
+    return this.blend.elapsed >= this.blend.duration;
   }
 
   /**
@@ -129,33 +401,6 @@ export class CameraAnimation {
     return this.isPlaying;
   }
 
-  /**
-   * Get the current keyframe index and local time within that keyframe
-   */
-  getKeyframeInfo(globalTime) {
-    let accumulatedTime = 0;
-
-    for (let i = 0; i < this.keyframes.length; i++) {
-      const kf = this.keyframes[i];
-      if (globalTime < accumulatedTime + kf.duration) {
-        return {
-          index: i,
-          localTime: globalTime - accumulatedTime,
-          duration: kf.duration
-        };
-      }
-      accumulatedTime += kf.duration;
-    }
-
-    // Return last keyframe if we've exceeded duration
-    const lastIndex = this.keyframes.length - 1;
-    return {
-      index: lastIndex,
-      localTime: this.keyframes[lastIndex].duration,
-      duration: this.keyframes[lastIndex].duration
-    };
-  }
-
   /**
    * Interpolate using Catmull-Rom spline for smooth continuous motion
    */
@@ -186,24 +431,55 @@ export class CameraAnimation {
    * @param {number} deltaTime - Time since last frame in seconds
    */
   update(deltaTime) {
+    // Blending back out to the user's view after stop()
+    if (this.blend?.out) {
+      if (this.applyBlend(deltaTime, this.originalPosition, this.originalTarget)) {
+        this.blend = null;
+        this.controls.enabled = true;
+      }
+      return;
+    }
+
     if (!this.isPlaying) return;
 
     // Advance time
-    this.currentTime += deltaTime;
+    const playback = advancePlayback(this.currentTime, this.direction, deltaTime, this.pathDuration, this.mode);
+    this.currentTime = playback.time;
+    this.direction = playback.direction;
+
+    this.applyPose();
+
+    // Ease in from the view the animation started at
+    if (this.blend) {
+      if (this.applyBlend(deltaTime, this.tempPosition, this.tempTarget)) {
+        this.blend = null;
+      }
+    }
 
-    // Loop the animation
-    if (this.currentTime >= this.totalDuration) {
-      this.currentTime = this.currentTime % this.totalDuration;
+    if (playback.finished) {
+      this.stop();
+      this.onFinish?.();
     }
+  }
 
-    // Get current keyframe info
-    const info = this.getKeyframeInfo(this.currentTime);
+  /**
+   * Move the camera to the pose at currentTime.
+   */
+  applyPose() {
+    if (this.constantSpeed && !this.arcTable) {
+      this.arcTable = buildArcLengthTable(this.keyframes, this.mode);
+    }
 
-    // Calculate normalized time within current segment
-    const t = info.localTime / info.duration;
+    // Segment and spline parameter for the current time
+    const sample = samplePath(this.keyframes, this.currentTime, {
+      mode: this.mode,
+      constantSpeed: this.constantSpeed,
+      arcTable: this.arcTable
+    });
+    this.trackTime = sample.trackTime;
 
     // Interpolate using Catmull-Rom spline for smooth continuous motion
-    this.interpolateSpline(info.index, t);
+    this.interpolateSpline(sample.index, sample.t);
 
     // Apply to camera
     this.camera.position.copy(this.tempPosition);
@@ -211,11 +487,33 @@ export class CameraAnimation {
     this.camera.lookAt(this.tempTarget);
   }
 
+  /**
+   * Jump to a point in the animation (seconds from the start).
+   * Takes effect on the next update().
+   */
+  seek(time) {
+    this.currentTime = time;
+  }
+
+  /**
+   * Jump to a point in the animation and move the camera there immediately,
+   * whether or not the animation is playing (timeline scrubbing).
+   */
+  scrub(time) {
+    if (this.keyframes.length === 0) return;
+    this.currentTime = THREE.MathUtils.clamp(time, 0, this.pathDuration);
+    if (this.blend?.out) {
+      this.controls.enabled = true;
+    }
+    this.blend = null;
+    this.applyPose();
+  }
+
   /**
    * Get current animation progress (0-1)
    */
   getProgress() {
-    return this.currentTime / this.totalDuration;
+    return this.pathDuration > 0 ? this.currentTime / this.pathDuration : 0;
   }
 
   /**
@@ -0,0 +1,263 @@
+/**
+ * Camera Path Timing
+ *
+ * Maps playback time onto the keyframe spline used by CameraAnimation:
+ * playback modes (loop, play once, ping-pong), per-segment easing and
+ * optional constant speed via arc-length reparameterization.
+ *
+ * A segment runs from keyframe i to keyframe i + 1 over keyframe i's
+ * duration. When looping, the last keyframe's segment wraps back to the
+ * first; a zero duration makes that (or any) segment an instant cut.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { catmullRom } from './keyframe-tracks.js';
+
+export const PLAYBACK_MODES = ['loop', 'once', 'pingpong'];
+
+/**
+ * Default cinematic keyframes for the camera animation.
+ * Each keyframe defines a camera state at a specific point in the animation;
+ * its duration is the time taken to travel on to the next keyframe.
+ */
+export const DEFAULT_CAMERA_KEYFRAMES = [
+  // 1. Wide shot from above
+  { position: { x: 0, y: -3, z: 20 }, target: { x: 0, y: 0, z: 0 }, duration: 5 },
+
+  // 2. Rotate around, begin rising
+  { position: { x: 15, y: -5, z: 12 }, target: { x: 0, y: 0, z: 0 }, duration: 4 },
+
+  // More top-down, continuing orbit
+  { position: { x: 10, y: -18, z: -10 }, target: { x: 0, y: 0, z: 0 }, duration: 4 },
+
+  // 3. Swing back down to wide shot
+  { position: { x: -5, y: -6, z: -24 }, target: { x: 0, y: 0, z: 0 }, duration: 3 },
+
+  // Wide shot, begin zoom in
+  { position: { x: -5, y: -1, z: -20 }, target: { x: 0, y: 0, z: 0 }, duration: 12 },
+
+  // Zooming in closer
+  { position: { x: 5, y: -1, z: 0 }, target: { x: 0, y: 0, z: 0 }, duration: 0 },
+];
+
+/**
+ * Time warps applied within a segment. 'linear' keeps the spline's own pace.
+ */
+export const SEGMENT_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+
+// Spline samples per segment for arc-length tables
+const ARC_SAMPLES = 32;
+
+/**
+ * Apply a segment easing to t in [0, 1].
+ */
+export function applySegmentEasing(easing, t) {
+  switch (easing) {
+    case 'easeIn':
+      return 1 - Math.cos((t * Math.PI) / 2);
+    case 'easeOut':
+      return Math.sin((t * Math.PI) / 2);
+    case 'easeInOut':
+      return (1 - Math.cos(Math.PI * t)) / 2;
+    default:
+      return t;
+  }
+}
+
+/**
+ * Smoothstep used for blending into and out of the path.
+ */
+export function smoothBlend(t) {
+  const x = Math.min(Math.max(t, 0), 1);
+  return x * x * (3 - 2 * x);
+}
+
+/**
+ * Playable length of the path in seconds. Non-looping modes end on the last
+ * keyframe, so its duration (the wrap back to the start) isn't played.
+ */
+export function getPathDuration(keyframes, mode = 'loop') {
+  const total = keyframes.reduce((sum, kf) => sum + kf.duration, 0);
+  if (mode === 'loop' || keyframes.length === 0) {
+    return total;
+  }
+  return total - keyframes[keyframes.length - 1].duration;
+}
+
+/**
+ * Seconds until playback repeats (a ping-pong cycle is there and back).
+ */
+export function getCycleDuration(keyframes, mode = 'loop') {
+  const duration = getPathDuration(keyframes, mode);
+  return mode === 'pingpong' ? duration * 2 : duration;
+}
+
+/**
+ * Advance the playback position by deltaTime.
+ *
+ * @param {number} time - Position along the path in seconds
+ * @param {number} direction - 1 forward, -1 backward (ping-pong only)
+ * @param {number} deltaTime
+ * @param {number} duration - From getPathDuration
+ * @param {string} mode - One of PLAYBACK_MODES
+ * @returns {{ time: number, direction: number, finished: boolean }}
+ */
+export function advancePlayback(time, direction, deltaTime, duration, mode) {
+  if (!(duration > 0)) {
+    return { time: 0, direction: 1, finished: mode === 'once' };
+  }
+
+  let t = time + deltaTime * direction;
+
+  if (mode === 'once') {
+    if (t >= duration) {
+      return { time: duration, direction: 1, finished: true };
+    }
+    return { time: Math.max(t, 0), direction: 1, finished: false };
+  }
+
+  if (mode === 'pingpong') {
+    // Reflect off either end (repeatedly, for steps longer than the path)
+    while (t > duration || t < 0) {
+      t = t > duration ? 2 * duration - t : -t;
+      direction = -direction;
+    }
+    return { time: t, direction, finished: false };
+  }
+
+  return { time: ((t % duration) + duration) % duration, direction: 1, finished: false };
+}
+
+/**
+ * Keyframe index of a control point, wrapped when looping and clamped to the
+ * ends otherwise (so an open path starts and ends on its end keyframes).
+ */
+export function controlPointIndex(index, count, mode = 'loop') {
+  if (mode === 'loop') {
+    return ((index % count) + count) % count;
+  }
+  return Math.min(Math.max(index, 0), count - 1);
+}
+
+/**
+ * Point on the position spline for segment `index` at parameter t.
+ */
+export function splinePosition(keyframes, index, t, mode = 'loop') {
+  const n = keyframes.length;
+  const p0 = keyframes[controlPointIndex(index - 1, n, mode)].position;
+  const p1 = keyframes[controlPointIndex(index, n, mode)].position;
+  const p2 = keyframes[controlPointIndex(index + 1, n, mode)].position;
+  const p3 = keyframes[controlPointIndex(index + 2, n, mode)].position;
+  return {
+    x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+    y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+    z: catmullRom(p0.z, p1.z, p2.z, p3.z, t)
+  };
+}
+
+/**
+ * Find the segment playing at `time` and the time into it.
+ * @returns {{ index: number, localTime: number, duration: number, start: number }}
+ */
+export function findSegment(keyframes, time) {
+  let start = 0;
+  for (let i = 0; i < keyframes.length; i++) {
+    const duration = keyframes[i].duration;
+    if (time < start + duration) {
+      return { index: i, localTime: time - start, duration, start };
+    }
+    start += duration;
+  }
+
+  // Past the end: hold on the last keyframe
+  const last = keyframes.length - 1;
+  return { index: last, localTime: 0, duration: 0, start: start - keyframes[last].duration };
+}
+
+/**
+ * Sample the cumulative arc length of every played segment.
+ * Cuts (zero-duration segments) have no length.
+ *
+ * @returns {{ segments: { index: number, start: number, duration: number, length: number, cumulative: number[] }[], totalLength: number }}
+ */
+export function buildArcLengthTable(keyframes, mode = 'loop') {
+  const segments = [];
+  const count = mode === 'loop' ? keyframes.length : keyframes.length - 1;
+  let start = 0;
+  let totalLength = 0;
+
+  for (let i = 0; i < count; i++) {
+    const duration = keyframes[i].duration;
+    if (duration > 0) {
+      const cumulative = [0];
+      let previous = splinePosition(keyframes, i, 0, mode);
+      for (let s = 1; s <= ARC_SAMPLES; s++) {
+        const point = splinePosition(keyframes, i, s / ARC_SAMPLES, mode);
+        const step = Math.hypot(point.x - previous.x, point.y - previous.y, point.z - previous.z);
+        cumulative.push(cumulative[s - 1] + step);
+        previous = point;
+      }
+      const length = cumulative[ARC_SAMPLES];
+      segments.push({ index: i, start, duration, length, cumulative });
+      totalLength += length;
+    }
+    start += duration;
+  }
+
+  return { segments, totalLength };
+}
+
+/**
+ * Spline parameter at which a segment has covered `fraction` of its length.
+ */
+function arcFractionToParameter(segment, fraction) {
+  const target = fraction * segment.length;
+  const { cumulative } = segment;
+  let i = 1;
+  while (i < cumulative.length - 1 && cumulative[i] < target) {
+    i++;
+  }
+  const span = cumulative[i] - cumulative[i - 1];
+  const local = span > 0 ? (target - cumulative[i - 1]) / span : 0;
+  return (i - 1 + local) / ARC_SAMPLES;
+}
+
+/**
+ * Where on the spline the camera is at playback `time`.
+ *
+ * With constantSpeed the path is covered at a uniform speed over its
+ * playable duration; keyframe durations then only matter in total.
+ * Segment easing applies in both cases (to time, or to distance).
+ *
+ * @param {Array} keyframes - With optional per-keyframe `easing`
+ * @param {number} time
+ * @param {Object} [options]
+ * @param {string} [options.mode='loop']
+ * @param {boolean} [options.constantSpeed=false]
+ * @param {Object} [options.arcTable] - From buildArcLengthTable (needed for constantSpeed)
+ * @returns {{ index: number, t: number, trackTime: number }} Segment, spline
+ *   parameter, and the equivalent keyframe time for parameter tracks
+ */
+export function samplePath(keyframes, time, { mode = 'loop', constantSpeed = false, arcTable } = {}) {
+  if (constantSpeed && arcTable && arcTable.totalLength > 0) {
+    const duration = getPathDuration(keyframes, mode);
+    let distance = duration > 0 ? (time / duration) * arcTable.totalLength : 0;
+
+    for (const segment of arcTable.segments) {
+      if (distance <= segment.length || segment === arcTable.segments[arcTable.segments.length - 1]) {
+        const fraction = segment.length > 0 ? Math.min(distance / segment.length, 1) : 0;
+        const eased = applySegmentEasing(keyframes[segment.index].easing, fraction);
+        const t = arcFractionToParameter(segment, eased);
+        return { index: segment.index, t, trackTime: segment.start + t * segment.duration };
+      }
+      distance -= segment.length;
+    }
+  }
+
+  const info = findSegment(keyframes, time);
+  const t = info.duration > 0
+    ? applySegmentEasing(keyframes[info.index].easing, info.localTime / info.duration)
+    : 0;
+  return { index: info.index, t, trackTime: info.start + t * info.duration };
+}
@@ -0,0 +1,68 @@
+/**
+ * Celestial Coordinates
+ *
+ * Conversions for real-sky backgrounds: equatorial RA/Dec to scene
+ * directions, B-V color index to temperature, magnitudes to flux, and the
+ * sky orientation set by the rotation/tilt controls.
+ *
+ * Scene frame: +Y is the north celestial pole and RA 0h lies along +X, so
+ * with the default orientation the equator is the disk plane.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * Unit direction of an equatorial position.
+ * @param {number} ra - Right ascension in degrees
+ * @param {number} dec - Declination in degrees
+ * @returns {number[]} [x, y, z]
+ */
+export function raDecToDirection(ra, dec) {
+  const cosDec = Math.cos(dec * DEG);
+  return [
+    cosDec * Math.cos(ra * DEG),
+    Math.sin(dec * DEG),
+    -cosDec * Math.sin(ra * DEG)
+  ];
+}
+
+/**
+ * Effective temperature of a star from its B-V color index
+ * (Ballesteros 2012). Missing values give a white 6500 K.
+ * @param {number|null} bv
+ * @returns {number} Kelvin
+ */
+export function bvToTemperature(bv) {
+  if (!Number.isFinite(bv)) return 6500;
+  const index = Math.min(Math.max(bv, -0.4), 2.0);
+  return 4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62));
+}
+
+/**
+ * Relative flux of an apparent magnitude: 1 at `zeroPoint`,
+ * ×2.512 per magnitude brighter.
+ */
+export function magnitudeToFlux(magnitude, zeroPoint = 0) {
+  return 10 ** (-0.4 * (magnitude - zeroPoint));
+}
+
+/**
+ * Matrix that takes a view direction into the sky's frame: tilt about X,
+ * then rotation about the vertical axis. Angles in degrees.
+ * @returns {number[]} Row-major 3×3
+ */
+export function skyOrientation(rotation, tilt) {
+  const cr = Math.cos(rotation * DEG);
+  const sr = Math.sin(rotation * DEG);
+  const ct = Math.cos(tilt * DEG);
+  const st = Math.sin(tilt * DEG);
+
+  // [cr 0 -sr; 0 1 0; sr 0 cr] × [1 0 0; 0 ct st; 0 -st ct]
+  return [
+    cr, sr * st, -sr * ct,
+    0, ct, st,
+    sr, -cr * st, cr * ct
+  ];
+}
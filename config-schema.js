@@ -0,0 +1,495 @@
+/**
+ * Configuration Schema
+ *
+ * Lists every simulation parameter with its type, valid range and default.
+ * The schema builds the default config, validates anything loaded from
+ * storage, share links or files, and supplies slider ranges to the UI.
+ *
+ * Saved configs carry a version. Older versions are upgraded step by step
+ * through MIGRATIONS before validation.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { MAX_SPIN } from './kerr.js';
+import { DEFAULT_CAMERA_KEYFRAMES, PLAYBACK_MODES, SEGMENT_EASINGS } from './camera-path.js';
+import { TRACK_EASINGS } from './keyframe-tracks.js';
+import { TONE_MAPPERS, MIN_EV, MAX_EV } from './exposure.js';
+import { DEFAULT_NEBULA_LAYERS, MAX_NEBULA_LAYERS, NEBULA_LAYER_SCHEMA, createNebulaLayer } from './nebula-layers.js';
+
+/**
+ * Current config format. Version 1 is the unversioned format saved before
+ * the schema existed.
+ */
+export const CONFIG_VERSION = 4;
+
+/**
+ * Parameter definitions, in UI order.
+ *
+ * Types:
+ * - number: min, max, step; integer rounds on validation
+ * - boolean
+ * - color: '#rrggbb'
+ * - enum: one of `values`
+ * - vector: { x, y, z }
+ * - keyframes: camera path (see camera-path.js)
+ * - trackEasing: { trackKey: easing } (see keyframe-tracks.js)
+ * - nebulaLayers: list of layers (see nebula-layers.js)
+ */
+export const CONFIG_SCHEMA = {
+  // Camera
+  cameraFov: { type: 'number', min: 10, max: 150, step: 1, default: 90 },
+  cameraRoll: { type: 'number', min: -180, max: 180, step: 1, default: 0 },
+  cameraKeyframes: { type: 'keyframes', default: DEFAULT_CAMERA_KEYFRAMES },
+  cameraTrackEasing: { type: 'trackEasing', default: {} },
+  cameraPlaybackMode: { type: 'enum', values: PLAYBACK_MODES, default: 'loop' },
+  cameraConstantSpeed: { type: 'boolean', default: false },
+  cameraBlendDuration: { type: 'number', min: 0, max: 5, step: 0.1, default: 1.5 },
+
+  // Performance
+  qualityPreset: { type: 'enum', values: ['low', 'medium', 'high', 'ultra', 'auto'], default: 'medium' },
+  targetFps: { type: 'number', min: 20, max: 144, step: 1, integer: true, default: 55 },
+  pixelRatio: { type: 'number', min: 0.25, max: 3.0, step: 0.05, default: 1 },
+  noiseOctaves: { type: 'number', min: 1, max: 8, step: 1, integer: true, default: 4 },
+  raySteps: { type: 'number', min: 16, max: 512, step: 1, integer: true, default: 68 },
+  stepSize: { type: 'number', min: 0.05, max: 2.0, step: 0.01, default: 1 },
+  adaptiveMinStep: { type: 'number', min: 0.01, max: 1.0, step: 0.01, default: 0.15 },
+  maxRayDistance: { type: 'number', min: 50, max: 1000, step: 10, default: 500 },
+
+  // Black hole
+  blackHoleMass: { type: 'number', min: 0.1, max: 3.0, step: 0.1, default: 0.4 },
+  blackHoleSpin: { type: 'number', min: 0, max: MAX_SPIN, step: 0.001, default: 0 },
+  integrator: { type: 'enum', values: [0, 1], default: 0 },
+  gravitationalLensing: { type: 'number', min: 0.5, max: 3.0, step: 0.1, default: 2.4 },
+  dopplerStrength: { type: 'number', min: 0, max: 2.0, step: 0.1, default: 1.0 },
+  relativisticColor: { type: 'boolean', default: false },
+
+  // Disk geometry
+  diskInnerAtISCO: { type: 'boolean', default: false },
+  // Wider than the slider: "Inner at ISCO" can place it beyond 5 for heavy holes
+  diskInnerRadius: { type: 'number', min: 0.5, max: 20.0, sliderMax: 5.0, step: 0.1, default: 4.1 },
+  diskOuterRadius: { type: 'number', min: 6.0, max: 20.0, step: 0.5, default: 14.5 },
+  diskVolumetric: { type: 'boolean', default: false },
+  diskThickness: { type: 'number', min: 0.1, max: 3.0, step: 0.05, default: 1.3 },
+  diskInnerThickness: { type: 'number', min: 0, max: 2.0, step: 0.05, default: 0.7 },
+  diskOuterThickness: { type: 'number', min: 0, max: 2.0, step: 0.05, default: 0.5 },
+  heightDensityFalloff: { type: 'number', min: 0, max: 10.0, step: 0.1, default: 5 },
+  diskDensity: { type: 'number', min: 0.1, max: 5.0, step: 0.1, default: 1 },
+
+  // Disk appearance
+  diskBrightness: { type: 'number', min: 0.5, max: 5.0, step: 0.1, default: 5 },
+  diskTemperature: { type: 'number', min: 1, max: 50, step: 1, default: 49.78 },
+  temperatureFalloff: { type: 'number', min: 0.25, max: 15.0, step: 0.01, default: 5.22 },
+  diskEdgeSoftnessInner: { type: 'number', min: 0, max: 0.5, step: 0.01, default: 0.18 },
+  diskEdgeSoftnessOuter: { type: 'number', min: 0, max: 0.5, step: 0.01, default: 0.5 },
+
+  // Photon ring
+  primaryImageIntensity: { type: 'number', min: 0, max: 5.0, step: 0.05, default: 1 },
+  secondaryImageIntensity: { type: 'number', min: 0, max: 5.0, step: 0.05, default: 1 },
+  higherOrderImageIntensity: { type: 'number', min: 0, max: 5.0, step: 0.05, default: 1 },
+
+  // Turbulence
+  turbulenceScale: { type: 'number', min: 0.1, max: 2.0, step: 0.01, default: 1.81 },
+  turbulenceStretch: { type: 'number', min: 0.1, max: 10.0, step: 0.01, default: 0.75 },
+  turbulenceSharpness: { type: 'number', min: 0.1, max: 10.0, step: 0.1, default: 7.4 },
+  diskRotationSpeed: { type: 'number', min: -20.0, max: 20.0, step: 0.1, default: -8.7 },
+  turbulenceCycleTime: { type: 'number', min: 5.0, max: 30.0, step: 1.0, default: 5 },
+  turbulenceLacunarity: { type: 'number', min: 1.0, max: 4.0, step: 0.1, default: 3 },
+  turbulencePersistence: { type: 'number', min: 0.1, max: 1.0, step: 0.05, default: 0.8 },
+
+  // Stars and background
+  // procedural: stars and nebula; equirect/cubemap: a lensed sky image;
+  // catalog: stars from a loaded catalog (with the nebula)
+  backgroundSource: { type: 'enum', values: ['procedural', 'equirect', 'cubemap', 'catalog'], default: 'procedural' },
+  // Degrees about the vertical axis
+  backgroundRotation: { type: 'number', min: -180, max: 180, step: 1, default: 0 },
+  // Degrees the celestial pole leans away from vertical
+  backgroundTilt: { type: 'number', min: -90, max: 90, step: 1, default: 0 },
+  // Image or catalog brightness in stops (EV)
+  backgroundExposure: { type: 'number', min: -8, max: 8, step: 0.1, default: 0 },
+  starsEnabled: { type: 'boolean', default: true },
+  starBackgroundColor: { type: 'color', default: '#000000' },
+  starDensity: { type: 'number', min: 0.001, max: 0.1, step: 0.001, default: 0.1 },
+  starSize: { type: 'number', min: 0.5, max: 5.0, step: 0.1, default: 1.2 },
+  starBrightness: { type: 'number', min: 0.1, max: 3.0, step: 0.1, default: 0.1 },
+
+  // Nebula
+  nebulaEnabled: { type: 'boolean', default: true },
+  nebulaLayers: { type: 'nebulaLayers', default: DEFAULT_NEBULA_LAYERS },
+
+  // Bloom
+  bloomEnabled: { type: 'boolean', default: true },
+  bloomStrength: { type: 'number', min: 0, max: 3, step: 0.01, default: 0.68 },
+  bloomRadius: { type: 'number', min: 0, max: 1, step: 0.01, default: 0.2 },
+  bloomThreshold: { type: 'number', min: 0, max: 1, step: 0.01, default: 0.4 },
+
+  // Exposure and tone mapping (the output pass; the raymarch is linear HDR)
+  exposureMode: { type: 'enum', values: ['manual', 'auto'], default: 'manual' },
+  // Stops (EV) in manual mode
+  exposure: { type: 'number', min: MIN_EV, max: MAX_EV, step: 0.1, default: 1 },
+  // Stops added to the metered exposure in auto mode
+  exposureCompensation: { type: 'number', min: -4, max: 4, step: 0.1, default: 0 },
+  // Auto-exposure adaptation rate (per second)
+  exposureAdaptSpeed: { type: 'number', min: 0.1, max: 10, step: 0.1, default: 1.5 },
+  toneMapping: { type: 'enum', values: TONE_MAPPERS, default: 'aces' },
+
+  // Debug
+  renderMode: { type: 'enum', values: [0, 1, 2, 3, 4, 5, 6, 7, 8], default: 0 }
+};
+
+/**
+ * Keys from before the schema that no code reads any more.
+ */
+const REMOVED_KEYS = [
+  'turbulenceBrightness',
+  'ringEnabled', 'ringScale', 'ringContrast', 'ringBrightness', 'ringSharpness', 'ringTwist',
+  'noiseAnimFrequency', 'noiseAnimAmplitude', 'noiseEvolutionSpeed',
+  'diskRadialFalloff', 'diskOpacityFalloff', 'diskDifferentialRotation',
+  'diskInnerColor', 'diskOuterColor',
+  'stepJitter', 'rayJitter', 'temporalAA', 'temporalFrames',
+  'nebulaBrightness', 'nebulaColor1', 'nebulaColor2', 'nebulaScale1', 'nebulaScale2',
+  'nebulaBlend', 'nebulaSpeed', 'nebulaDensity', 'nebulaScale', 'nebulaDetailScale',
+  'nebulaOffsetX', 'nebulaOffsetY', 'nebulaOffsetZ',
+  'diskTurbulence', 'turbulencePrimaryScale', 'turbulenceSecondaryScale',
+  'turbulenceSecondaryStrength', 'turbulenceOffset',
+  'ringNoiseEnabled', 'ringNoiseScale', 'ringNoiseAmplitude', 'ringNoiseSharpness',
+  'ringNoiseOffset', 'ringNoiseOctaves', 'ringNoiseLacunarity', 'ringNoisePersistence'
+];
+
+/**
+ * Convert a color value to hex string.
+ * Handles Tweakpane's color object format {r, g, b} or hex strings.
+ */
+export function normalizeColorToHex(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value && typeof value === 'object') {
+    // Tweakpane color object format {r, g, b} with values 0-255
+    const r = Math.round(value.r ?? 0);
+    const g = Math.round(value.g ?? 0);
+    const b = Math.round(value.b ?? 0);
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  }
+  return '#000000';
+}
+
+/**
+ * Version 2's fixed nebula layers (nebula1*, nebula2*) and their defaults.
+ */
+const LEGACY_NEBULA_LAYERS = [
+  { scale: 2, density: 0.5, brightness: 0.01, color: '#071f44' },
+  { scale: 5.5, density: 0.05, brightness: 0.21, color: '#010615' }
+];
+
+/**
+ * Upgrades from each version to the next: MIGRATIONS[n] turns a version n
+ * config into version n + 1. Each receives a copy it may modify.
+ */
+export const MIGRATIONS = {
+  // 1 → 2: drop dead keys; colors may have been saved as Tweakpane {r, g, b} objects
+  1: (config) => {
+    for (const key of REMOVED_KEYS) {
+      delete config[key];
+    }
+    for (const [key, def] of Object.entries(CONFIG_SCHEMA)) {
+      if (def.type === 'color' && config[key] !== undefined) {
+        config[key] = normalizeColorToHex(config[key]);
+      }
+    }
+    return config;
+  },
+
+  // 2 → 3: the two fixed nebula layers become the nebulaLayers list. Also
+  // runs on share-link diffs, so any field may be missing. The old nebula
+  // always used 4 octaves, whatever noiseOctaves said.
+  2: (config) => {
+    config.nebulaLayers = LEGACY_NEBULA_LAYERS.map((defaults, i) => {
+      const prefix = `nebula${i + 1}`;
+      return createNebulaLayer({
+        scale: config[`${prefix}Scale`] ?? defaults.scale,
+        density: config[`${prefix}Density`] ?? defaults.density,
+        brightness: config[`${prefix}Brightness`] ?? defaults.brightness,
+        color: config[`${prefix}Color`] ?? defaults.color,
+        octaves: 4
+      });
+    });
+
+    // Keyframe tracks on the old keys have nothing left to animate
+    const legacyKeys = LEGACY_NEBULA_LAYERS.flatMap((_, i) =>
+      ['Scale', 'Density', 'Brightness', 'Color'].map((field) => `nebula${i + 1}${field}`)
+    );
+    for (const key of legacyKeys) {
+      delete config[key];
+      delete config.cameraTrackEasing?.[key];
+      for (const keyframe of Array.isArray(config.cameraKeyframes) ? config.cameraKeyframes : []) {
+        delete keyframe?.params?.[key];
+      }
+    }
+    return config;
+  },
+
+  // 3 → 4: roll 0 is upright. Before, 180 was the neutral roll, matching the
+  // original shader's flipped camera basis, so saved rolls and keyframe roll
+  // tracks turn by a half-turn to keep their meaning.
+  3: (config) => {
+    const turn = (roll) => {
+      if (typeof roll !== 'number') return roll;
+      const turned = roll - 180;
+      return turned - 360 * Math.floor((turned + 180) / 360);
+    };
+    if ('cameraRoll' in config) {
+      config.cameraRoll = turn(config.cameraRoll);
+    }
+    for (const keyframe of Array.isArray(config.cameraKeyframes) ? config.cameraKeyframes : []) {
+      if (keyframe?.params && 'cameraRoll' in keyframe.params) {
+        keyframe.params.cameraRoll = turn(keyframe.params.cameraRoll);
+      }
+    }
+    return config;
+  }
+};
+
+/**
+ * A fresh copy of the default config.
+ */
+export function createDefaultConfig() {
+  const config = {};
+  for (const [key, def] of Object.entries(CONFIG_SCHEMA)) {
+    config[key] = structuredClone(def.default);
+  }
+  return config;
+}
+
+/**
+ * Slider range or nothing, for Tweakpane bindings of a config key.
+ */
+export function getBindingParams(key) {
+  const def = CONFIG_SCHEMA[key];
+  if (!def || def.type !== 'number') {
+    return {};
+  }
+  return { min: def.min, max: def.sliderMax ?? def.max, step: def.step };
+}
+
+function isVector(value) {
+  return value !== null && typeof value === 'object' &&
+    ['x', 'y', 'z'].every((axis) => Number.isFinite(value[axis]));
+}
+
+function isValidKeyframe(keyframe) {
+  return keyframe !== null && typeof keyframe === 'object' &&
+    isVector(keyframe.position) &&
+    isVector(keyframe.target) &&
+    Number.isFinite(keyframe.duration) && keyframe.duration >= 0 &&
+    (keyframe.easing === undefined || SEGMENT_EASINGS.includes(keyframe.easing));
+}
+
+/**
+ * Check one value against its definition.
+ * @returns {{ value: *, error: string|null }} The value to use, and why it was changed
+ */
+function validateValue(key, def, value) {
+  switch (def.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { value: def.default, error: `${key}: expected a number` };
+      }
+      let v = def.integer ? Math.round(value) : value;
+      v = Math.min(Math.max(v, def.min), def.max);
+      return { value: v, error: v !== value ? `${key}: ${value} clamped to ${v}` : null };
+    }
+    case 'boolean':
+      return typeof value === 'boolean'
+        ? { value, error: null }
+        : { value: def.default, error: `${key}: expected true or false` };
+    case 'color': {
+      const hex = normalizeColorToHex(value);
+      return /^#[0-9a-f]{6}$/i.test(hex)
+        ? { value: hex.toLowerCase(), error: null }
+        : { value: def.default, error: `${key}: expected a #rrggbb color` };
+    }
+    case 'enum':
+      return def.values.includes(value)
+        ? { value, error: null }
+        : { value: def.default, error: `${key}: ${JSON.stringify(value)} is not one of ${def.values.join(', ')}` };
+    case 'vector':
+      return isVector(value)
+        ? { value: { x: value.x, y: value.y, z: value.z }, error: null }
+        : { value: structuredClone(def.default), error: `${key}: expected { x, y, z }` };
+    case 'keyframes':
+      return validateKeyframes(key, def, value);
+    case 'trackEasing': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { value: {}, error: `${key}: expected an object` };
+      }
+      const valid = Object.fromEntries(
+        Object.entries(value).filter(([, easing]) => TRACK_EASINGS.includes(easing))
+      );
+      const dropped = Object.keys(value).length - Object.keys(valid).length;
+      return { value: valid, error: dropped > 0 ? `${key}: dropped ${dropped} unknown easing(s)` : null };
+    }
+    case 'nebulaLayers':
+      return validateNebulaLayers(key, def, value);
+    default:
+      throw new Error(`Unknown schema type for ${key}: ${def.type}`);
+  }
+}
+
+/**
+ * Check a camera path. Malformed keyframes are dropped; the default path is
+ * used only if none are left. Parameter track values are checked like
+ * top-level keys: clamped to range, and dropped for unknown settings or
+ * ones a track can't animate.
+ */
+function validateKeyframes(key, def, value) {
+  if (!Array.isArray(value)) {
+    return { value: structuredClone(def.default), error: `${key}: invalid camera path` };
+  }
+
+  const errors = [];
+  const keyframes = [];
+  value.forEach((input, i) => {
+    if (!isValidKeyframe(input)) {
+      errors.push(`${key}[${i}]: invalid keyframe dropped`);
+      return;
+    }
+    const keyframe = structuredClone(input);
+    if (keyframe.params !== undefined) {
+      keyframe.params = validateKeyframeParams(`${key}[${i}].params`, keyframe.params, errors);
+    }
+    keyframes.push(keyframe);
+  });
+
+  if (keyframes.length === 0) {
+    errors.push(`${key}: no valid keyframes, default path used`);
+    return { value: structuredClone(def.default), error: errors.join('; ') };
+  }
+  return { value: keyframes, error: errors.length > 0 ? errors.join('; ') : null };
+}
+
+function validateKeyframeParams(key, params, errors) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push(`${key}: expected an object`);
+    return {};
+  }
+
+  const valid = {};
+  for (const [param, value] of Object.entries(params)) {
+    const def = CONFIG_SCHEMA[param];
+    if (!def || (def.type !== 'number' && def.type !== 'color')) {
+      errors.push(`${key}.${param}: not an animatable setting, ignored`);
+      continue;
+    }
+    const result = validateValue(`${key}.${param}`, def, value);
+    valid[param] = result.value;
+    if (result.error) errors.push(result.error);
+  }
+  return valid;
+}
+
+/**
+ * Check each layer's fields against NEBULA_LAYER_SCHEMA. Missing fields get
+ * their defaults; layers past MAX_NEBULA_LAYERS are dropped.
+ */
+function validateNebulaLayers(key, def, value) {
+  if (!Array.isArray(value)) {
+    return { value: structuredClone(def.default), error: `${key}: expected a list of layers` };
+  }
+
+  const errors = [];
+  if (value.length > MAX_NEBULA_LAYERS) {
+    errors.push(`${key}: only the first ${MAX_NEBULA_LAYERS} layers kept`);
+  }
+  const layers = value.slice(0, MAX_NEBULA_LAYERS).map((input, i) => {
+    const source = input && typeof input === 'object' ? input : {};
+    if (source !== input) errors.push(`${key}[${i}]: expected a layer object`);
+    const layer = {};
+    for (const [field, fieldDef] of Object.entries(NEBULA_LAYER_SCHEMA)) {
+      if (source[field] === undefined) {
+        layer[field] = structuredClone(fieldDef.default);
+        continue;
+      }
+      const result = validateValue(`${key}[${i}].${field}`, fieldDef, source[field]);
+      layer[field] = result.value;
+      if (result.error) errors.push(result.error);
+    }
+    return layer;
+  });
+  return { value: layers, error: errors.length > 0 ? errors.join('; ') : null };
+}
+
+/**
+ * Validate a (current-version) config against the schema. Missing keys get
+ * their defaults, bad values are replaced or clamped, unknown keys dropped.
+ * @returns {{ config: Object, errors: string[] }} The clean config and what was fixed
+ */
+export function validateConfig(input) {
+  const config = {};
+  const errors = [];
+  const source = input && typeof input === 'object' ? input : {};
+
+  for (const [key, def] of Object.entries(CONFIG_SCHEMA)) {
+    if (source[key] === undefined) {
+      config[key] = structuredClone(def.default);
+      continue;
+    }
+    const { value, error } = validateValue(key, def, source[key]);
+    config[key] = value;
+    if (error) errors.push(error);
+  }
+
+  for (const key of Object.keys(source)) {
+    if (!(key in CONFIG_SCHEMA)) {
+      errors.push(`${key}: unknown setting ignored`);
+    }
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Upgrade a stored config to CONFIG_VERSION.
+ * Accepts { version, config } or a bare object (treated as version 1).
+ * @returns {Object} The config at the current version (not yet validated)
+ */
+export function migrateConfig(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Config must be a JSON object');
+  }
+
+  const versioned = Number.isInteger(data.version) && 'config' in data;
+  if (versioned && (data.config === null || typeof data.config !== 'object' || Array.isArray(data.config))) {
+    throw new Error(`Config version ${data.version}: config must be an object`);
+  }
+  let version = versioned ? data.version : 1;
+  let config = structuredClone(versioned ? data.config : data);
+
+  if (version > CONFIG_VERSION) {
+    throw new Error(`Config version ${version} is newer than this app supports (${CONFIG_VERSION})`);
+  }
+  if (version < 1) {
+    throw new Error(`Invalid config version ${version}`);
+  }
+
+  while (version < CONFIG_VERSION) {
+    config = MIGRATIONS[version](config);
+    version++;
+  }
+  return config;
+}
+
+/**
+ * Migrate and validate stored or imported config data.
+ * @returns {{ config: Object, errors: string[] }}
+ */
+export function parseConfig(data) {
+  return validateConfig(migrateConfig(data));
+}
+
+/**
+ * Versioned, validated form of a config, ready for JSON.
+ */
+export function serializeConfig(config) {
+  return { version: CONFIG_VERSION, config: validateConfig(config).config };
+}
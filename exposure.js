@@ -0,0 +1,208 @@
+/**
+ * Camera Exposure and Tone Mapping
+ *
+ * Exposure in stops (EV), auto-exposure metering from a luminance histogram,
+ * and JavaScript versions of three's tone mapping curves so the CPU
+ * reference renderer can develop an image the way the app's output pass
+ * does. The raymarcher works in linear HDR; exposure scales it, the tone
+ * mapper compresses it to 0..1 and the sRGB transfer encodes it for display.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+/** Tone mappers offered, by config value (see TONE_MAPPINGS in main.js) */
+export const TONE_MAPPERS = ['aces', 'agx', 'reinhard', 'neutral', 'none'];
+
+/** Exposure range in stops, for the manual slider and auto-exposure alike */
+export const MIN_EV = -8;
+export const MAX_EV = 8;
+
+/** Luminance auto-exposure brings the metered average to */
+export const MIDDLE_GRAY = 0.18;
+
+// Histogram of log2 luminance used for metering
+const HISTOGRAM_BINS = 64;
+const HISTOGRAM_MIN_LOG2 = -16;
+const HISTOGRAM_MAX_LOG2 = 8;
+
+/**
+ * Rec. 709 luminance of a linear RGB color.
+ */
+export function luminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Average scene luminance for auto-exposure. Pixels are binned by log2
+ * luminance; only those between the two percentiles count, so a mostly
+ * black sky or a few blown-out pixels don't swing the exposure.
+ * @param {ArrayLike<number>} data - Linear RGB(A) pixels
+ * @param {Object} [options]
+ * @param {number} [options.channels=4] - Values per pixel
+ * @param {number} [options.lowPercentile=0.8] - Darkest fraction ignored
+ * @param {number} [options.highPercentile=0.98] - Fraction above which pixels are ignored
+ * @returns {number|null} Geometric mean luminance, or null for no pixels
+ */
+export function meterLuminance(data, { channels = 4, lowPercentile = 0.8, highPercentile = 0.98 } = {}) {
+  const histogram = new Float64Array(HISTOGRAM_BINS);
+  const binWidth = (HISTOGRAM_MAX_LOG2 - HISTOGRAM_MIN_LOG2) / HISTOGRAM_BINS;
+  let total = 0;
+
+  for (let i = 0; i + 2 < data.length; i += channels) {
+    const lum = luminance(data[i], data[i + 1], data[i + 2]);
+    if (!Number.isFinite(lum)) continue;
+    const log = Math.log2(Math.max(lum, 2 ** HISTOGRAM_MIN_LOG2));
+    const bin = Math.min(Math.floor((log - HISTOGRAM_MIN_LOG2) / binWidth), HISTOGRAM_BINS - 1);
+    histogram[bin]++;
+    total++;
+  }
+  if (total === 0) return null;
+
+  // Average the bin centres over the part of the distribution between the
+  // percentiles, splitting bins that straddle either edge
+  const low = total * lowPercentile;
+  const high = total * highPercentile;
+  let below = 0;
+  let sum = 0;
+  let weight = 0;
+  histogram.forEach((count, bin) => {
+    const counted = Math.max(Math.min(below + count, high) - Math.max(below, low), 0);
+    sum += counted * (HISTOGRAM_MIN_LOG2 + (bin + 0.5) * binWidth);
+    weight += counted;
+    below += count;
+  });
+  return weight > 0 ? 2 ** (sum / weight) : null;
+}
+
+/**
+ * Exposure that brings a metered luminance to middle gray.
+ * @param {number|null} meteredLuminance - From meterLuminance
+ * @param {number} [compensation=0] - Stops added on top
+ * @returns {number} EV, within MIN_EV..MAX_EV
+ */
+export function autoExposureEV(meteredLuminance, compensation = 0) {
+  const ev = meteredLuminance > 0 ? Math.log2(MIDDLE_GRAY / meteredLuminance) : 0;
+  return Math.min(Math.max(ev + compensation, MIN_EV), MAX_EV);
+}
+
+/**
+ * Move the exposure toward its target like an eye adapting: exponentially,
+ * at `speed` per second, independent of frame rate.
+ */
+export function adaptExposure(current, target, deltaTime, speed) {
+  return current + (target - current) * (1 - Math.exp(-deltaTime * speed));
+}
+
+// ============================================================================
+// TONE MAPPING (ports of three's ToneMappingFunctions, exposure applied first)
+// ============================================================================
+
+// Row-major 3×3 matrix times a vector
+const mul3 = (m, v) => [0, 1, 2].map((row) => m[row * 3] * v[0] + m[row * 3 + 1] * v[1] + m[row * 3 + 2] * v[2]);
+const saturate = (v) => v.map((c) => Math.min(Math.max(c, 0), 1));
+
+// sRGB => XYZ => D65_2_D60 => AP1 => RRT_SAT
+const ACES_INPUT = [
+  0.59719, 0.35458, 0.04823,
+  0.07600, 0.90834, 0.01566,
+  0.02840, 0.13383, 0.83777
+];
+
+// ODT_SAT => XYZ => D60_2_D65 => sRGB
+const ACES_OUTPUT = [
+  1.60475, -0.53108, -0.07367,
+  -0.10208, 1.10813, -0.00605,
+  -0.00327, -0.07276, 1.07602
+];
+
+function acesFilmic(color) {
+  const fit = (c) => (c * (c + 0.0245786) - 0.000090537) / (c * (0.983729 * c + 0.4329510) + 0.238081);
+  const ap1 = mul3(ACES_INPUT, color.map((c) => c / 0.6));
+  return saturate(mul3(ACES_OUTPUT, ap1.map(fit)));
+}
+
+const SRGB_TO_REC2020 = [
+  0.6274, 0.3293, 0.0433,
+  0.0691, 0.9195, 0.0113,
+  0.0164, 0.0880, 0.8956
+];
+const REC2020_TO_SRGB = [
+  1.6605, -0.5876, -0.0728,
+  -0.1246, 1.1329, -0.0083,
+  -0.0182, -0.1006, 1.1187
+];
+const AGX_INSET = [
+  0.856627153315983, 0.0951212405381588, 0.0482516061458583,
+  0.137318972929847, 0.761241990602591, 0.101439036467562,
+  0.11189821299995, 0.0767994186031903, 0.811302368396859
+];
+const AGX_OUTSET = [
+  1.1271005818144368, -0.11060664309660323, -0.016493938717834573,
+  -0.1413297634984383, 1.157823702216272, -0.016493938717834257,
+  -0.14132976349843826, -0.11060664309660294, 1.2519364065950405
+];
+const AGX_MIN_EV = -12.47393;
+const AGX_MAX_EV = 4.026069;
+
+function agx(color) {
+  const contrast = (x) => {
+    const x2 = x * x;
+    const x4 = x2 * x2;
+    return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+  };
+  const inset = mul3(AGX_INSET, mul3(SRGB_TO_REC2020, color));
+  const curve = inset.map((c) => {
+    const log = (Math.log2(Math.max(c, 1e-10)) - AGX_MIN_EV) / (AGX_MAX_EV - AGX_MIN_EV);
+    return contrast(Math.min(Math.max(log, 0), 1));
+  });
+  const outset = mul3(AGX_OUTSET, curve).map((c) => Math.max(c, 0) ** 2.2);
+  return saturate(mul3(REC2020_TO_SRGB, outset));
+}
+
+function neutral(color) {
+  const startCompression = 0.8 - 0.04;
+  const desaturation = 0.15;
+
+  const x = Math.min(...color);
+  const offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+  const shifted = color.map((c) => c - offset);
+  const peak = Math.max(...shifted);
+  if (peak < startCompression) return shifted;
+
+  const d = 1 - startCompression;
+  const newPeak = 1 - (d * d) / (peak + d - startCompression);
+  const g = 1 - 1 / (desaturation * (peak - newPeak) + 1);
+  return shifted.map((c) => {
+    const compressed = c * newPeak / peak;
+    return compressed + (newPeak - compressed) * g;
+  });
+}
+
+const CURVES = {
+  aces: acesFilmic,
+  agx,
+  reinhard: (color) => saturate(color.map((c) => c / (c + 1))),
+  neutral,
+  none: saturate
+};
+
+/**
+ * Tone map an exposed linear color to 0..1 (still linear).
+ * @param {string} name - One of TONE_MAPPERS
+ * @param {number[]} color - Linear [r, g, b], exposure already applied
+ * @returns {number[]}
+ */
+export function toneMap(name, color) {
+  const curve = CURVES[name];
+  if (!curve) {
+    throw new Error(`Unknown tone mapper: ${name}`);
+  }
+  return curve(color);
+}
+
+/**
+ * sRGB transfer function: linear 0..1 to display-encoded 0..1.
+ */
+export function linearToSRGB(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+}
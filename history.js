@@ -0,0 +1,143 @@
+/**
+ * Undo/Redo History for Config Edits
+ *
+ * Each entry holds the before and after values of the config keys one edit
+ * changed (a slider, or a batch such as loading a preset). A slider drag
+ * reports many changes; they are coalesced into one entry, as are further
+ * edits of the same keys that follow within COALESCE_WINDOW.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { isEqualValue } from './share-state.js';
+
+// Milliseconds within which repeated edits of the same keys merge
+export const COALESCE_WINDOW = 1000;
+
+const DEFAULT_LIMIT = 100;
+
+function sameKeys(a, b) {
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => key in b);
+}
+
+/**
+ * The keys whose values differ between two config snapshots.
+ * @returns {Object<string, { before: *, after: * }>|null} Copies of both
+ *   values per changed key, or null if nothing changed
+ */
+export function diffSnapshots(before, after) {
+  let changes = null;
+  for (const key of Object.keys(after)) {
+    if (!isEqualValue(before[key], after[key])) {
+      changes ??= {};
+      changes[key] = { before: structuredClone(before[key]), after: structuredClone(after[key]) };
+    }
+  }
+  return changes;
+}
+
+export class ConfigHistory {
+  /**
+   * @param {number} [limit=100] - Entries kept for undo
+   */
+  constructor(limit = DEFAULT_LIMIT) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Record an edit.
+   *
+   * @param {Object<string, { before: *, after: * }>} changes - From diffSnapshots
+   * @param {Object} [options]
+   * @param {boolean} [options.ongoing=false] - More changes from the same gesture
+   *   (e.g. a slider still being dragged) will follow
+   * @param {number} [options.time=Date.now()] - Milliseconds, for coalescing
+   * @param {boolean} [options.coalesce=true] - False keeps the edit as an entry
+   *   of its own (e.g. loading a preset), never merged with its neighbours
+   */
+  record(changes, { ongoing = false, time = Date.now(), coalesce = true } = {}) {
+    if (!changes || Object.keys(changes).length === 0) return;
+
+    const last = this.undoStack[this.undoStack.length - 1];
+    const merge = coalesce && last && sameKeys(last.changes, changes) &&
+      (last.ongoing || time - last.time <= COALESCE_WINDOW);
+
+    if (merge) {
+      for (const [key, { after }] of Object.entries(changes)) {
+        last.changes[key].after = after;
+      }
+      last.ongoing = ongoing;
+      last.time = time;
+
+      // Dragged back to where it started: nothing to undo
+      if (Object.values(last.changes).every(({ before, after }) => isEqualValue(before, after))) {
+        this.undoStack.pop();
+      }
+    } else {
+      this.undoStack.push({ changes, ongoing, time: coalesce ? time : -Infinity });
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Step back one entry.
+   * @returns {Object|null} Config values to restore, or null if there's nothing to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this.redoStack.push(entry);
+    this.seal();
+    return this.valuesOf(entry, 'before');
+  }
+
+  /**
+   * Re-apply the last undone entry.
+   * @returns {Object|null} Config values to apply, or null if there's nothing to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this.undoStack.push(entry);
+    this.seal();
+    return this.valuesOf(entry, 'after');
+  }
+
+  /**
+   * Close the latest entry so the next edit starts a new one
+   * (after undo/redo, the entry on top is complete).
+   */
+  seal() {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last) {
+      last.ongoing = false;
+      last.time = -Infinity;
+    }
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  valuesOf(entry, side) {
+    return Object.fromEntries(
+      Object.entries(entry.changes).map(([key, change]) => [key, structuredClone(change[side])])
+    );
+  }
+}
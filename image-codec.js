@@ -0,0 +1,374 @@
+/**
+ * Image Encoding for Reference Renders
+ *
+ * Converts float images from the reference renderer to 8-bit RGB, writes
+ * PNG (uncompressed) and binary PPM, reads PPM back, and compares two images
+ * with a tolerance for golden-image checks. Also reads and writes Radiance
+ * HDR for sky backgrounds.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+/**
+ * Float RGB (0-1, clamped) → 8-bit RGB.
+ * @param {{ width: number, height: number, data: Float32Array }} image
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function toRGB8({ width, height, data }) {
+  const bytes = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const v = Number.isFinite(data[i]) ? data[i] : 0;
+    bytes[i] = Math.round(Math.min(Math.max(v, 0), 1) * 255);
+  }
+  return { width, height, data: bytes };
+}
+
+// ============================================================================
+// PPM
+// ============================================================================
+
+/**
+ * Binary PPM (P6).
+ */
+export function encodePPM({ width, height, data }) {
+  const header = new TextEncoder().encode(`P6\n${width} ${height}\n255\n`);
+  const bytes = new Uint8Array(header.length + data.length);
+  bytes.set(header);
+  bytes.set(data, header.length);
+  return bytes;
+}
+
+/**
+ * Read a binary PPM (P6, maxval 255) as written by encodePPM.
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function decodePPM(bytes) {
+  // Header: magic, width, height, maxval, separated by whitespace (and comments)
+  const fields = [];
+  let i = 0;
+  while (fields.length < 4) {
+    while (i < bytes.length && /\s/.test(String.fromCharCode(bytes[i]))) i++;
+    if (bytes[i] === 0x23) {
+      while (i < bytes.length && bytes[i] !== 0x0a) i++;
+      continue;
+    }
+    let field = '';
+    while (i < bytes.length && !/\s/.test(String.fromCharCode(bytes[i]))) {
+      field += String.fromCharCode(bytes[i++]);
+    }
+    if (!field) throw new Error('Truncated PPM header');
+    fields.push(field);
+  }
+  i++; // Single whitespace before the pixel data
+
+  const [magic, width, height, maxval] = [fields[0], ...fields.slice(1).map(Number)];
+  if (magic !== 'P6' || maxval !== 255) {
+    throw new Error('Only 8-bit binary PPM (P6) is supported');
+  }
+  const size = width * height * 3;
+  if (bytes.length - i < size) {
+    throw new Error('Truncated PPM data');
+  }
+  return { width, height, data: bytes.slice(i, i + size) };
+}
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (const byte of bytes) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+function chunk(type, payload) {
+  const bytes = new Uint8Array(12 + payload.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, payload.length);
+  bytes.set(new TextEncoder().encode(type), 4);
+  bytes.set(payload, 8);
+  view.setUint32(8 + payload.length, crc32(bytes.subarray(4, 8 + payload.length)));
+  return bytes;
+}
+
+// zlib stream of stored (uncompressed) deflate blocks
+function zlibStore(data) {
+  const MAX_BLOCK = 65535;
+  const blocks = Math.max(1, Math.ceil(data.length / MAX_BLOCK));
+  const bytes = new Uint8Array(2 + data.length + blocks * 5 + 4);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = 0x78;
+  bytes[1] = 0x01;
+
+  let offset = 2;
+  for (let i = 0; i < blocks; i++) {
+    const block = data.subarray(i * MAX_BLOCK, (i + 1) * MAX_BLOCK);
+    bytes[offset] = i === blocks - 1 ? 1 : 0;
+    view.setUint16(offset + 1, block.length, true);
+    view.setUint16(offset + 3, ~block.length & 0xffff, true);
+    bytes.set(block, offset + 5);
+    offset += 5 + block.length;
+  }
+  view.setUint32(offset, adler32(data));
+  return bytes;
+}
+
+/**
+ * 8-bit RGB PNG. Pixel data is stored uncompressed, which keeps the encoder
+ * small; reference images are tiny anyway.
+ */
+export function encodePNG({ width, height, data }) {
+  // Each scanline starts with filter type 0 (none)
+  const raw = new Uint8Array(height * (width * 3 + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Color type: RGB
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlibStore(raw)),
+    chunk('IEND', new Uint8Array(0))
+  ];
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+// ============================================================================
+// RADIANCE HDR
+// ============================================================================
+
+const HDR_MIN_RLE_WIDTH = 8;
+const HDR_MAX_RLE_WIDTH = 0x7fff;
+
+// Shared-exponent pixel, decoded by three's HDRLoader as byte × 2^(e-128) / 255
+function toRGBE(r, g, b, out, offset) {
+  const v = Math.max(r, g, b);
+  if (!(v > 1e-32)) {
+    out.fill(0, offset, offset + 4);
+    return;
+  }
+  let exponent = Math.floor(Math.log2(v)) + 1;
+  if (v / 2 ** exponent >= 1) exponent++;
+  const scale = 255 / 2 ** exponent;
+  out[offset] = Math.round(Math.max(r, 0) * scale);
+  out[offset + 1] = Math.round(Math.max(g, 0) * scale);
+  out[offset + 2] = Math.round(Math.max(b, 0) * scale);
+  out[offset + 3] = exponent + 128;
+}
+
+// One channel of a scanline as runs (count > 128) and literal spans
+function encodeRuns(values, out) {
+  let i = 0;
+  while (i < values.length) {
+    let run = 1;
+    while (i + run < values.length && run < 127 && values[i + run] === values[i]) run++;
+    if (run >= 3) {
+      out.push(128 + run, values[i]);
+      i += run;
+      continue;
+    }
+
+    // Literal span up to the next run of three
+    const start = i;
+    while (i < values.length && i - start < 128 &&
+      !(values[i] === values[i + 1] && values[i] === values[i + 2])) {
+      i++;
+    }
+    if (i === start) i++;
+    out.push(i - start, ...values.subarray(start, i));
+  }
+}
+
+/**
+ * Radiance RGBE (.hdr), run-length encoded when the width allows.
+ * @param {{ width: number, height: number, data: Float32Array }} image - Linear RGB, top row first
+ */
+export function encodeHDR({ width, height, data }) {
+  const header = new TextEncoder().encode(
+    `#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${height} +X ${width}\n`
+  );
+  const rle = width >= HDR_MIN_RLE_WIDTH && width <= HDR_MAX_RLE_WIDTH;
+  const bytes = [...header];
+  const pixel = new Uint8Array(4);
+  const channels = Array.from({ length: 4 }, () => new Uint8Array(width));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      toRGBE(data[i], data[i + 1], data[i + 2], pixel, 0);
+      for (let c = 0; c < 4; c++) channels[c][x] = pixel[c];
+    }
+
+    if (rle) {
+      bytes.push(2, 2, width >> 8, width & 0xff);
+      for (const channel of channels) encodeRuns(channel, bytes);
+    } else {
+      for (let x = 0; x < width; x++) {
+        bytes.push(channels[0][x], channels[1][x], channels[2][x], channels[3][x]);
+      }
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Read a Radiance RGBE (.hdr) image, flat or with new-style run-length
+ * scanlines, in the "-Y height +X width" orientation.
+ * @returns {{ width: number, height: number, data: Float32Array }} Linear RGB, top row first
+ */
+export function decodeHDR(bytes) {
+  // Header lines end with a blank line, followed by the resolution line
+  let i = 0;
+  const readLine = () => {
+    let line = '';
+    while (i < bytes.length && bytes[i] !== 0x0a) line += String.fromCharCode(bytes[i++]);
+    i++;
+    return line;
+  };
+
+  if (!readLine().startsWith('#?')) {
+    throw new Error('Not a Radiance HDR file');
+  }
+  let line;
+  while ((line = readLine()) !== '') {
+    if (i >= bytes.length) throw new Error('Truncated HDR header');
+    if (line.startsWith('FORMAT=') && line !== 'FORMAT=32-bit_rle_rgbe') {
+      throw new Error(`Unsupported HDR format ${line.slice(7)}`);
+    }
+  }
+  const match = /^-Y (\d+) \+X (\d+)$/.exec(readLine().trim());
+  if (!match) {
+    throw new Error('Only "-Y height +X width" HDR images are supported');
+  }
+  const height = Number(match[1]);
+  const width = Number(match[2]);
+
+  const data = new Float32Array(width * height * 3);
+  const scanline = new Uint8Array(width * 4);
+
+  for (let y = 0; y < height; y++) {
+    const isRLE = width >= HDR_MIN_RLE_WIDTH && width <= HDR_MAX_RLE_WIDTH &&
+      bytes[i] === 2 && bytes[i + 1] === 2 && !(bytes[i + 2] & 0x80);
+
+    if (isRLE) {
+      if (((bytes[i + 2] << 8) | bytes[i + 3]) !== width) {
+        throw new Error('HDR scanline width mismatch');
+      }
+      i += 4;
+      for (let c = 0; c < 4; c++) {
+        let x = 0;
+        while (x < width) {
+          if (i >= bytes.length) throw new Error('Truncated HDR data');
+          let count = bytes[i++];
+          if (count > 128) {
+            count -= 128;
+            if (count > width - x) throw new Error('Bad HDR run length');
+            scanline.fill(bytes[i++], c * width + x, c * width + x + count);
+          } else {
+            if (count === 0 || count > width - x) throw new Error('Bad HDR run length');
+            scanline.set(bytes.subarray(i, i + count), c * width + x);
+            i += count;
+          }
+          x += count;
+        }
+      }
+    } else {
+      if (bytes.length - i < width * 4) throw new Error('Truncated HDR data');
+      for (let x = 0; x < width; x++) {
+        for (let c = 0; c < 4; c++) scanline[c * width + x] = bytes[i + x * 4 + c];
+      }
+      i += width * 4;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const exponent = scanline[3 * width + x];
+      const scale = exponent === 0 ? 0 : 2 ** (exponent - 128) / 255;
+      const o = (y * width + x) * 3;
+      data[o] = scanline[x] * scale;
+      data[o + 1] = scanline[width + x] * scale;
+      data[o + 2] = scanline[2 * width + x] * scale;
+    }
+  }
+  return { width, height, data };
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Compare two 8-bit images channel by channel.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} actual
+ * @param {{ width: number, height: number, data: Uint8Array }} expected
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=2] - Largest per-channel difference that still matches
+ * @param {number} [options.maxMismatchRatio=0.001] - Fraction of pixels allowed to exceed it
+ * @returns {{ match: boolean, maxDifference: number, meanDifference: number, mismatchedPixels: number }}
+ */
+export function compareImages(actual, expected, { tolerance = 2, maxMismatchRatio = 0.001 } = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    throw new Error(
+      `Image size ${actual.width}×${actual.height} doesn't match ${expected.width}×${expected.height}`
+    );
+  }
+
+  let maxDifference = 0;
+  let totalDifference = 0;
+  let mismatchedPixels = 0;
+  const pixels = actual.width * actual.height;
+
+  for (let p = 0; p < pixels; p++) {
+    let pixelDifference = 0;
+    for (let c = 0; c < 3; c++) {
+      const difference = Math.abs(actual.data[p * 3 + c] - expected.data[p * 3 + c]);
+      pixelDifference = Math.max(pixelDifference, difference);
+      totalDifference += difference;
+    }
+    maxDifference = Math.max(maxDifference, pixelDifference);
+    if (pixelDifference > tolerance) {
+      mismatchedPixels++;
+    }
+  }
+
+  return {
+    match: mismatchedPixels <= pixels * maxMismatchRatio,
+    maxDifference,
+    meanDifference: totalDifference / (pixels * 3),
+    mismatchedPixels
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Kerr (rotating) black hole characteristic radii.
+ *
+ * CPU-side versions of the spin math used by the shader and UI.
+ * Geometrized units (G = c = 1): mass M sets the length scale and the
+ * dimensionless spin a* = a/M ranges from 0 (Schwarzschild) to just below 1.
+ *
+ * References:
+ * - Bardeen, Press & Teukolsky (1972), ApJ 178, 347 (ISCO)
+ * - Teo (2003), Gen. Rel. Grav. 35, 1909 (equatorial photon orbits)
+ */
+
+/**
+ * Largest spin we allow. Thorne's limit for accretion-driven spin-up.
+ */
+export const MAX_SPIN = 0.998;
+
+function clampSpin(spin) {
+  return Math.max(-MAX_SPIN, Math.min(MAX_SPIN, spin));
+}
+
+/**
+ * Outer event horizon: r+ = M (1 + sqrt(1 - a*²))
+ */
+export function kerrHorizonRadius(mass, spin) {
+  const a = clampSpin(spin);
+  return mass * (1 + Math.sqrt(1 - a * a));
+}
+
+/**
+ * Innermost stable circular orbit in the equatorial plane.
+ * Prograde orbits move inward with spin (6M → ~1.24M at a* = 0.998),
+ * retrograde orbits move outward (6M → 9M at a* = 1).
+ */
+export function kerrISCO(mass, spin, prograde = true) {
+  const a = Math.abs(clampSpin(spin));
+  const z1 = 1 + Math.cbrt(1 - a * a) * (Math.cbrt(1 + a) + Math.cbrt(1 - a));
+  const z2 = Math.sqrt(3 * a * a + z1 * z1);
+  const root = Math.sqrt((3 - z1) * (3 + z1 + 2 * z2));
+  return mass * (3 + z2 + (prograde ? -root : root));
+}
+
+/**
+ * Radius of the circular photon orbit in the equatorial plane.
+ * Equals 3M for a* = 0 and tends to M (prograde) or 4M (retrograde) as a* → 1.
+ */
+export function kerrPhotonOrbitRadius(mass, spin, prograde = true) {
+  const a = Math.abs(clampSpin(spin));
+  const sign = prograde ? -1 : 1;
+  return 2 * mass * (1 + Math.cos((2 / 3) * Math.acos(sign * a)));
+}
+
+/**
+ * Frame-dragging angular velocity ω = -g_tφ / g_φφ in the equatorial plane.
+ * Falls off as 2J/r³ far from the hole.
+ */
+export function kerrFrameDraggingRate(mass, spin, r) {
+  const a = clampSpin(spin) * mass;
+  const delta = r * r - 2 * mass * r + a * a;
+  const sigma = (r * r + a * a) ** 2 - a * a * delta;
+  return (2 * mass * a * r) / sigma;
+}
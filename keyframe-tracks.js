@@ -0,0 +1,204 @@
+/**
+ * Parameter Tracks for Camera Keyframes
+ *
+ * Camera keyframes can carry simulation parameters alongside position and
+ * target, e.g. { duration: 4, params: { diskTemperature: 60 } }. Each config
+ * key used by any keyframe forms a track; keyframes that don't set the key
+ * are skipped, so a track only needs values where it changes. Tracks wrap
+ * around with the camera path when it loops; in 'once' and 'pingpong'
+ * playback they hold their first and last values at the path ends.
+ *
+ * Values are numbers or '#rrggbb' color strings (interpolated per channel).
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+/**
+ * Ways to interpolate a track between two of its values.
+ * - catmullRom: smooth curve through all values (matches the camera path)
+ * - linear: straight blend
+ * - smooth: cosine ease in and out of every value
+ * - step: hold each value until the next one
+ */
+export const TRACK_EASINGS = ['catmullRom', 'linear', 'smooth', 'step'];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Catmull-Rom spline interpolation for smooth continuous curves.
+ * Unlike per-segment easing, this creates fluid motion without pauses at waypoints.
+ */
+export function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  return 0.5 * (
+    (2 * p1) +
+    (-p0 + p2) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+}
+
+/**
+ * Whether a config value can be animated by a track.
+ */
+export function isTrackValue(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && HEX_COLOR.test(value));
+}
+
+/**
+ * '#rrggbb' → [r, g, b] in 0..1.
+ */
+export function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff].map((c) => c / 255);
+}
+
+/**
+ * [r, g, b] in 0..1 → '#rrggbb' (channels are clamped).
+ */
+export function rgbToHex(rgb) {
+  return '#' + rgb
+    .map((c) => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Config keys animated by any keyframe, in first-use order.
+ */
+export function getTrackKeys(keyframes) {
+  const keys = new Set();
+  for (const keyframe of keyframes) {
+    for (const key of Object.keys(keyframe.params ?? {})) {
+      keys.add(key);
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Collect a track's values with their times along the path.
+ * @returns {{ time: number, value: number|string }[]}
+ */
+export function buildTrack(keyframes, key) {
+  const samples = [];
+  let time = 0;
+  for (const keyframe of keyframes) {
+    const value = keyframe.params?.[key];
+    if (isTrackValue(value)) {
+      samples.push({ time, value });
+    }
+    time += keyframe.duration;
+  }
+  return samples;
+}
+
+/**
+ * Sample a track at `time`.
+ *
+ * When looping, the track wraps around the end of the path
+ * (`totalDuration`) between its last and first values, just like the
+ * camera does. Otherwise it holds its first value before the first
+ * keyframe that sets it and its last value after the last one.
+ *
+ * @param {{ time: number, value: number|string }[]} samples - Sorted by time
+ * @param {number} time
+ * @param {number} totalDuration - Length of the looping path
+ * @param {string} [easing='catmullRom'] - One of TRACK_EASINGS
+ * @param {boolean} [loop=true] - Whether the path loops
+ * @returns {number|string|undefined} undefined for an empty track
+ */
+export function evaluateTrack(samples, time, totalDuration, easing = 'catmullRom', loop = true) {
+  const n = samples.length;
+  if (n === 0) return undefined;
+  if (n === 1) return samples[0].value;
+
+  // Find the segment [a, b] containing time
+  let a = -1;
+  while (a + 1 < n && samples[a + 1].time <= time) {
+    a++;
+  }
+
+  if (!loop && (a === -1 || a === n - 1)) {
+    return samples[Math.max(a, 0)].value;
+  }
+
+  let start;
+  let end;
+  if (a === -1) {
+    // Before the first value: wrapping in from the last one
+    a = n - 1;
+    start = samples[n - 1].time - totalDuration;
+    end = samples[0].time;
+  } else if (a === n - 1) {
+    // After the last value: wrapping out to the first one
+    start = samples[a].time;
+    end = samples[0].time + totalDuration;
+  } else {
+    start = samples[a].time;
+    end = samples[a + 1].time;
+  }
+
+  const b = (a + 1) % n;
+  const span = end - start;
+  const t = span > 0 ? (time - start) / span : 1;
+
+  if (easing === 'step') {
+    return t < 1 ? samples[a].value : samples[b].value;
+  }
+
+  const isColor = typeof samples[a].value === 'string';
+  // Neighbours wrap around a loop and repeat the end values otherwise
+  const channels = (index) => {
+    const wrapped = loop ? ((index % n) + n) % n : Math.min(Math.max(index, 0), n - 1);
+    const value = samples[wrapped].value;
+    return isColor ? hexToRgb(value) : [value];
+  };
+
+  const p1 = channels(a);
+  const p2 = channels(b);
+  let result;
+
+  if (easing === 'linear' || easing === 'smooth') {
+    const s = easing === 'smooth' ? (1 - Math.cos(Math.PI * t)) / 2 : t;
+    result = p1.map((v, i) => v + (p2[i] - v) * s);
+  } else {
+    const p0 = channels(a - 1);
+    const p3 = channels(a + 2);
+    result = p1.map((v, i) => catmullRom(p0[i], v, p2[i], p3[i], t));
+  }
+
+  return isColor ? rgbToHex(result) : result[0];
+}
+
+/**
+ * Sample every track on a keyframe path at `time`.
+ *
+ * Catmull-Rom curves overshoot between values that change sharply, so
+ * numbers are clamped to their range (e.g. a mass track never goes
+ * negative). Colors are clamped per channel.
+ *
+ * @param {Array} keyframes - Camera keyframes, some with `params`
+ * @param {number} time
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.easings] - Easing per track key (default catmullRom)
+ * @param {string} [options.mode='loop'] - Camera path playback mode (PLAYBACK_MODES)
+ * @param {Object<string, { min?: number, max?: number }>} [options.ranges] - Allowed range per
+ *   track key, e.g. CONFIG_SCHEMA
+ * @returns {Object<string, number|string>} Config values keyed by track
+ */
+export function evaluateTracks(keyframes, time, { easings = {}, mode = 'loop', ranges = {} } = {}) {
+  const totalDuration = keyframes.reduce((sum, kf) => sum + kf.duration, 0);
+  const values = {};
+  for (const key of getTrackKeys(keyframes)) {
+    let value = evaluateTrack(buildTrack(keyframes, key), time, totalDuration, easings[key], mode === 'loop');
+    if (typeof value === 'number') {
+      value = Math.min(Math.max(value, ranges[key]?.min ?? -Infinity), ranges[key]?.max ?? Infinity);
+    }
+    if (value !== undefined) {
+      values[key] = value;
+    }
+  }
+  return values;
+}
@@ -6,12 +6,23 @@
  */
 
 import * as THREE from 'three/webgpu';
-import { pass } from 'three/tsl';
+import { pass, uniform, vec4 } from 'three/tsl';
 import { bloom } from 'three/addons/tsl/display/BloomNode.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { BlackHoleSimulation } from './blackhole.js';
+import { RENDER_MODES } from './blackhole-shader.js';
+import { AutoExposure } from './auto-exposure.js';
 import { BlackHoleUI } from './ui.js';
 import { CameraAnimation } from './camera-animation.js';
+import { isTrackValue } from './keyframe-tracks.js';
+import { encodeShareState, decodeShareState, applyConfigDiff } from './share-state.js';
+import { CONFIG_VERSION, createDefaultConfig, validateConfig, migrateConfig, parseConfig, serializeConfig } from './config-schema.js';
+import { PresetLibrary, PRESET_CROSSFADE_DURATION, blendValues } from './presets.js';
+import { smoothBlend } from './camera-path.js';
+import { QualityController, applyQualityPreset } from './quality.js';
+import { renderStill, saveCanvasAsPNG, saveBlob } from './still-render.js';
+import { exportVideo, pickPNGSequenceDirectory, VIDEO_FORMATS } from './video-export.js';
+import { loadBackgroundFiles, loadStarCatalogFile, loadSampleSky } from './sky-textures.js';
 
 // ============================================================================
 // LOCAL STORAGE
@@ -19,69 +30,32 @@ import { CameraAnimation } from './camera-animation.js';
 
 const STORAGE_KEY = 'blackhole-simulation-config';
 
-// List of color property keys that need normalization
-// Note: diskInnerColor/diskOuterColor removed - now using blackbody radiation
-const COLOR_PROPERTIES = [
-  'starBackgroundColor',
-  'nebula1Color',
-  'nebula2Color'
-];
-
-/**
- * Convert a color value to hex string.
- * Handles Tweakpane's color object format {r, g, b} or hex strings.
- */
-function normalizeColorToHex(value) {
-  if (typeof value === 'string') {
-    return value;
-  }
-  if (value && typeof value === 'object') {
-    // Tweakpane color object format {r, g, b} with values 0-255
-    const r = Math.round(value.r ?? 0);
-    const g = Math.round(value.g ?? 0);
-    const b = Math.round(value.b ?? 0);
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-  }
-  return '#000000';
-}
-
 /**
- * Load configuration from localStorage, merging with defaults.
+ * Load configuration from localStorage, migrated to the current version and
+ * validated against the schema (which fills in any missing keys).
  */
-function loadConfig(defaults) {
+function loadConfig() {
   try {
     const saved = localStorage.getItem(STORAGE_KEY);
     if (saved) {
-      const parsed = JSON.parse(saved);
-      // Normalize any color properties that may have been saved as objects
-      for (const key of COLOR_PROPERTIES) {
-        if (parsed[key] !== undefined) {
-          parsed[key] = normalizeColorToHex(parsed[key]);
-        }
+      const { config, errors } = parseConfig(JSON.parse(saved));
+      if (errors.length > 0) {
+        console.warn('Saved config had invalid values:', errors);
       }
-      // Merge saved values with defaults (defaults provide any missing keys)
-      return { ...defaults, ...parsed };
+      return config;
     }
   } catch (e) {
     console.warn('Failed to load config from localStorage:', e);
   }
-  return { ...defaults };
+  return createDefaultConfig();
 }
 
 /**
- * Save current configuration to localStorage.
- * Normalizes color values to hex strings before saving.
+ * Save current configuration to localStorage, versioned.
  */
 function saveConfig(config) {
   try {
-    // Create a copy and normalize colors to hex strings
-    const normalizedConfig = { ...config };
-    for (const key of COLOR_PROPERTIES) {
-      if (normalizedConfig[key] !== undefined) {
-        normalizedConfig[key] = normalizeColorToHex(normalizedConfig[key]);
-      }
-    }
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizedConfig));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeConfig(config)));
     console.log('Configuration saved to localStorage');
   } catch (e) {
     console.warn('Failed to save config to localStorage:', e);
@@ -104,100 +78,32 @@ function clearConfig() {
 // CONFIGURATION
 // ============================================================================
 
-const defaultConfig = {
-  "blackHoleMass": 0.4,
-  "diskInnerRadius": 4.1,
-  "diskOuterRadius": 14.5,
-  "diskTemperature": 49.78,
-  "temperatureFalloff": 5.22,
-  "diskBrightness": 5,
-  "diskRotationSpeed": -8.7,
-  "turbulenceScale": 1.81,
-  "turbulenceStretch": 0.75,
-  "turbulenceSharpness": 7.4,
-  "turbulenceCycleTime": 5,
-  "turbulenceLacunarity": 3,
-  "turbulencePersistence": 0.8,
-  "diskEdgeSoftnessInner": 0.18,
-  "diskEdgeSoftnessOuter": 0.5,
-  "gravitationalLensing": 2.4,
-  "dopplerStrength": 1.0,
-  "stepSize": 1,
-  "starsEnabled": true,
-  "starBackgroundColor": "#000000",
-  "starDensity": 0.1,
-  "starSize": 1.2,
-  "starBrightness": 0.1,
-  "nebulaEnabled": true,
-  "nebula1Scale": 2,
-  "nebula1Density": 0.5,
-  "nebula1Brightness": 0.01,
-  "nebula1Color": "#071f44",
-  "nebula2Scale": 5.5,
-  "nebula2Density": 0.05,
-  "nebula2Brightness": 0.21,
-  "nebula2Color": "#010615",
-  "bloomStrength": 0.68,
-  "bloomRadius": 0.2,
-  "bloomThreshold": 0.4,
-  "turbulenceBrightness": -0.05,
-  "diskDensity": 1,
-  "qualityPreset": "medium",
-  "diskInnerThickness": 0.7,
-  "diskOuterThickness": 0.5,
-  "ringEnabled": true,
-  "ringScale": 0.83,
-  "ringContrast": 0.95,
-  "ringBrightness": 0.4,
-  "ringSharpness": 10,
-  "ringTwist": 10.3,
-  "noiseAnimFrequency": 4.2,
-  "noiseAnimAmplitude": 2,
-  "diskRadialFalloff": 2,
-  "diskOpacityFalloff": 0.5,
-  "adaptiveMinStep": 0.15,
-  "stepJitter": 0,
-  "diskInnerColor": "#a84b23",
-  "diskOuterColor": "#7f1b00",
-  "nebulaBrightness": 0.07,
-  "nebulaColor1": "#113844",
-  "nebulaColor2": "#1b214a",
-  "nebulaScale1": 3,
-  "nebulaScale2": 3.5,
-  "nebulaBlend": 0.55,
-  "nebulaSpeed": 0.065,
-  "nebulaDensity": 0.35,
-  "diskDifferentialRotation": 1,
-  "noiseEvolutionSpeed": 5,
-  "raySteps": 68,
-  "nebulaScale": 3,
-  "nebulaDetailScale": 2.4,
-  "nebulaOffsetX": 0,
-  "nebulaOffsetY": 0,
-  "nebulaOffsetZ": 0,
-  "diskTurbulence": 0.9,
-  "turbulencePrimaryScale": 0.65,
-  "turbulenceSecondaryScale": 1.3,
-  "turbulenceSecondaryStrength": 0.15,
-  "turbulenceOffset": 0.1,
-  "ringNoiseEnabled": true,
-  "ringNoiseScale": 4.5,
-  "ringNoiseAmplitude": 1.45,
-  "ringNoiseSharpness": 4,
-  "ringNoiseOffset": -0.2,
-  "ringNoiseOctaves": 2,
-  "ringNoiseLacunarity": 1.9,
-  "ringNoisePersistence": 0.45,
-  "maxRayDistance": 500,
-  "diskThickness": 1.3,
-  "heightDensityFalloff": 5,
-  "rayJitter": 1,
-  "temporalAA": false,
-  "temporalFrames": 16
+// Parameter types, ranges and defaults live in config-schema.js
+const defaultConfig = createDefaultConfig();
+
+/**
+ * Config from a share link: its diff migrated to the current version, laid
+ * over the defaults and validated. Null if the link can't be used.
+ */
+function loadSharedConfig(state) {
+  try {
+    const diff = migrateConfig({ version: state.configVersion, config: state.config });
+    return validateConfig(applyConfigDiff(defaultConfig, diff)).config;
+  } catch (e) {
+    console.warn('Failed to apply share link:', e);
+    return null;
+  }
 }
 
-// Load config from localStorage (merges with defaults)
-const config = loadConfig(defaultConfig);
+// A share link (#view=...) takes precedence over settings saved in this browser;
+// otherwise load config from localStorage. Both are validated against the schema.
+const sharedState = decodeShareState(window.location.hash);
+const config = (sharedState && loadSharedConfig(sharedState)) ?? loadConfig();
+
+// The link has been applied; drop it so a reload uses saved settings again
+if (sharedState) {
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+}
 
 // ============================================================================
 // SCENE SETUP
@@ -207,7 +113,7 @@ const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x000000);
 
 const camera = new THREE.PerspectiveCamera(
-  60,
+  config.cameraFov,
   window.innerWidth / window.innerHeight,
   0.1,
   1000
@@ -217,8 +123,7 @@ camera.lookAt(0, 0, 0);
 
 const renderer = new THREE.WebGPURenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, config.pixelRatio));
 document.body.appendChild(renderer.domElement);
 
 // ============================================================================
@@ -233,11 +138,41 @@ controls.minDistance = 5;
 controls.maxDistance = 50;
 controls.target.set(0, 0, 0);
 
+if (sharedState?.camera) {
+  const { position, target } = sharedState.camera;
+  camera.position.set(position.x, position.y, position.z);
+  controls.target.set(target.x, target.y, target.z);
+  camera.lookAt(controls.target);
+}
+
 // ============================================================================
 // CAMERA ANIMATION
 // ============================================================================
 
-const cameraAnimation = new CameraAnimation(camera, controls);
+const cameraAnimation = new CameraAnimation(camera, controls, config.cameraKeyframes);
+
+cameraAnimation.setTrackEasing(config.cameraTrackEasing);
+applyCameraPlayback();
+
+/**
+ * Apply the playback settings from the config to the camera animation.
+ */
+function applyCameraPlayback() {
+  cameraAnimation.setPlayback({
+    mode: config.cameraPlaybackMode,
+    constantSpeed: config.cameraConstantSpeed,
+    blendDuration: config.cameraBlendDuration
+  });
+}
+
+/**
+ * Store the edited camera path and track easings in the config so they're
+ * saved with everything else.
+ */
+function syncCameraKeyframes() {
+  config.cameraKeyframes = cameraAnimation.getKeyframes();
+  config.cameraTrackEasing = { ...cameraAnimation.trackEasing };
+}
 
 // ============================================================================
 // POST-PROCESSING
@@ -245,21 +180,93 @@ const cameraAnimation = new CameraAnimation(camera, controls);
 
 let postProcessing = null;
 let bloomPassNode = null;
-
-function setupBloom() {
+let scenePassColor = null;
+let exposedColor = null;
+let autoExposure = null;
+
+// Renderer tone mapping for each config value (applied by the output pass)
+const TONE_MAPPINGS = {
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping,
+  reinhard: THREE.ReinhardToneMapping,
+  neutral: THREE.NeutralToneMapping,
+  none: THREE.NoToneMapping
+};
+
+// Linear multiplier applied to the scene before bloom and tone mapping (2^EV)
+const exposureScale = uniform(2 ** config.exposure);
+
+// Manual exposure in effect (the config value, or a track or crossfade value)
+let manualExposure = config.exposure;
+let autoExposureActive = false;
+
+function setupPostProcessing() {
   if (!postProcessing) return;
 
   const scenePass = pass(scene, camera);
-  const scenePassColor = scenePass.getTextureNode();
+  scenePassColor = scenePass.getTextureNode();
+  exposedColor = vec4(scenePassColor.rgb.mul(exposureScale), scenePassColor.a);
 
-  bloomPassNode = bloom(scenePassColor);
+  bloomPassNode = bloom(exposedColor);
   bloomPassNode.threshold.value = config.bloomThreshold;
   bloomPassNode.strength.value = config.bloomStrength;
   bloomPassNode.radius.value = config.bloomRadius;
 
-  postProcessing.outputNode = scenePassColor.add(bloomPassNode);
+  autoExposure = new AutoExposure(renderer, scenePass.getTexture('output'));
+
+  updateOutputPass();
+}
+
+/**
+ * Route the exposed scene through bloom (or straight to output when
+ * disabled) and pick the tone mapper. Debug views skip all of it so their
+ * colors read as drawn.
+ */
+function updateOutputPass() {
+  if (!postProcessing || !scenePassColor) return;
+
+  const debugView = config.renderMode !== RENDER_MODES.FINAL;
+  renderer.toneMapping = debugView ? THREE.NoToneMapping : TONE_MAPPINGS[config.toneMapping];
+  if (debugView) {
+    postProcessing.outputNode = scenePassColor;
+  } else {
+    postProcessing.outputNode = config.bloomEnabled
+      ? exposedColor.add(bloomPassNode)
+      : exposedColor;
+  }
+  // The tone mapping is compiled into the output pass
+  postProcessing.needsUpdate = true;
+}
+
+/**
+ * Set this frame's exposure: the manual EV, or in auto mode one adapting
+ * toward the metered scene. Call after rendering, so the meter sees the
+ * frame just drawn.
+ */
+function updateExposure(deltaTime) {
+  const auto = config.exposureMode === 'auto' && config.renderMode === RENDER_MODES.FINAL && autoExposure;
+  let ev = manualExposure;
+  if (auto) {
+    // Start adapting from the exposure on screen rather than jumping
+    if (!autoExposureActive) {
+      autoExposure.reset(manualExposure);
+    }
+    ev = autoExposure.update(deltaTime, {
+      compensation: config.exposureCompensation,
+      speed: config.exposureAdaptSpeed
+    });
+  }
+  autoExposureActive = Boolean(auto);
+  exposureScale.value = 2 ** ev;
 }
 
+// Config keys driving bloom node properties rather than shader uniforms
+const BLOOM_PROPERTIES = {
+  bloomStrength: 'strength',
+  bloomRadius: 'radius',
+  bloomThreshold: 'threshold'
+};
+
 // ============================================================================
 // BLACK HOLE SIMULATION
 // ============================================================================
@@ -267,6 +274,212 @@ function setupBloom() {
 const blackHoleSimulation = new BlackHoleSimulation(scene, config);
 blackHoleSimulation.createBlackHole();
 
+// ============================================================================
+// SKY BACKGROUND
+// ============================================================================
+
+// Sample sky loads in flight, by background source
+const sampleSkyLoads = {};
+
+/**
+ * Make sure an image or catalog background has something to show, loading
+ * the bundled sample sky or star catalog if the user hasn't picked one.
+ * The procedural sky shows meanwhile.
+ */
+function ensureBackgroundTexture() {
+  const source = config.backgroundSource;
+  if (source === 'procedural' || blackHoleSimulation.hasBackgroundTexture(source) || sampleSkyLoads[source]) {
+    return;
+  }
+
+  sampleSkyLoads[source] = loadSampleSky(source)
+    .then((texture) => {
+      // The user may have loaded their own image in the meantime
+      if (blackHoleSimulation.hasBackgroundTexture(source)) {
+        texture.dispose();
+        return;
+      }
+      blackHoleSimulation.setBackgroundTexture(source, texture);
+    })
+    .catch((e) => {
+      console.warn(`Failed to load the sample ${source} sky:`, e);
+    })
+    .finally(() => {
+      delete sampleSkyLoads[source];
+    });
+}
+
+ensureBackgroundTexture();
+
+// ============================================================================
+// PARAMETER TRACKS
+// ============================================================================
+
+// Set while keyframe parameter tracks are overriding config values
+let paramsAnimated = false;
+
+/**
+ * Config keys a keyframe parameter track can animate: numbers and colors
+ * that map to a shader uniform, a bloom property or the manual exposure.
+ */
+function getAnimatableParams() {
+  return Object.keys(config).filter((key) =>
+    isTrackValue(config[key]) &&
+    (key in blackHoleSimulation.uniforms || key in BLOOM_PROPERTIES || key === 'exposure')
+  );
+}
+
+/**
+ * Push parameter values to the shader, bloom and exposure without changing
+ * the config, so stopping the animation can restore the user's settings.
+ */
+function applyAnimatedParams(values) {
+  blackHoleSimulation.updateUniforms(values);
+  if (values.exposure !== undefined) {
+    manualExposure = values.exposure;
+  }
+  if (bloomPassNode) {
+    for (const [key, property] of Object.entries(BLOOM_PROPERTIES)) {
+      if (values[key] !== undefined) {
+        bloomPassNode[property].value = values[key];
+      }
+    }
+  }
+}
+
+/**
+ * Restore every animated parameter to its config value
+ * (or its current value while a preset crossfade is running).
+ */
+function restoreAnimatedParams() {
+  applyAnimatedParams(getDisplayedParams());
+}
+
+// ============================================================================
+// QUALITY PRESETS
+// ============================================================================
+
+const qualityController = new QualityController({
+  targetFps: config.targetFps,
+  level: config.qualityPreset
+});
+
+/**
+ * Apply a quality preset's values and rebuild only what changed.
+ */
+function applyQuality(level) {
+  const changed = applyQualityPreset(config, level);
+
+  if (changed.includes('pixelRatio')) {
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, config.pixelRatio));
+  }
+  if (changed.includes('bloomEnabled')) {
+    updateOutputPass();
+  }
+
+  blackHoleSimulation.updateUniforms(config);
+  blackHoleSimulation.refreshShaderOptions();
+}
+
+// ============================================================================
+// APPLYING A WHOLE CONFIG
+// ============================================================================
+
+/**
+ * Replace every setting (e.g. defaults or an imported file) and push the
+ * values to the camera, simulation, quality controller and bloom.
+ * @param {Object} values - A complete, validated config
+ */
+function applyConfig(values) {
+  presetCrossfade = null;
+  Object.assign(config, values);
+  camera.fov = config.cameraFov;
+  camera.updateProjectionMatrix();
+  cameraAnimation.setKeyframes(config.cameraKeyframes);
+  cameraAnimation.setTrackEasing(config.cameraTrackEasing);
+  applyCameraPlayback();
+  syncCameraKeyframes();
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, config.pixelRatio));
+  qualityController.targetFps = config.targetFps;
+  qualityController.reset(config.qualityPreset);
+  applySimulationConfig();
+}
+
+/**
+ * Push the config to the shader (rebuilding it if compiled options changed),
+ * bloom and the output pass.
+ */
+function applySimulationConfig() {
+  blackHoleSimulation.updateUniforms(config);
+  blackHoleSimulation.refreshShaderOptions();
+  ensureBackgroundTexture();
+  if (bloomPassNode) {
+    bloomPassNode.threshold.value = config.bloomThreshold;
+    bloomPassNode.strength.value = config.bloomStrength;
+    bloomPassNode.radius.value = config.bloomRadius;
+  }
+  manualExposure = config.exposure;
+  updateOutputPass();
+}
+
+// ============================================================================
+// PRESETS
+// ============================================================================
+
+const presetLibrary = new PresetLibrary(localStorage);
+
+// Set while fading from the previous look to a just-loaded preset
+// ({ from: values at the start, elapsed: seconds })
+let presetCrossfade = null;
+
+/**
+ * Animatable values currently on screen (partway through any crossfade).
+ * Nebula layers can't be tracked, but they do crossfade.
+ */
+function getDisplayedParams() {
+  const values = { nebulaLayers: config.nebulaLayers };
+  for (const key of getAnimatableParams()) {
+    values[key] = config[key];
+  }
+  if (!presetCrossfade) {
+    return values;
+  }
+  const t = smoothBlend(presetCrossfade.elapsed / PRESET_CROSSFADE_DURATION);
+  return blendValues(presetCrossfade.from, values, t);
+}
+
+/**
+ * Switch to a preset's look. The config takes the new values at once;
+ * numbers and colors on screen fade to them over PRESET_CROSSFADE_DURATION.
+ */
+function loadPreset(name) {
+  const values = presetLibrary.get(name);
+  if (!values) {
+    throw new Error(`No preset named "${name}"`);
+  }
+
+  const from = getDisplayedParams();
+  Object.assign(config, values);
+  applySimulationConfig();
+  applyAnimatedParams(from);
+  presetCrossfade = { from, elapsed: 0 };
+}
+
+/**
+ * Advance the preset crossfade, restoring plain config values when done.
+ */
+function updatePresetCrossfade(deltaTime) {
+  if (!presetCrossfade) return;
+
+  presetCrossfade.elapsed += deltaTime;
+  if (presetCrossfade.elapsed >= PRESET_CROSSFADE_DURATION) {
+    presetCrossfade = null;
+    restoreAnimatedParams();
+    return;
+  }
+  applyAnimatedParams(getDisplayedParams());
+}
+
 // ============================================================================
 // UI CONTROLS
 // ============================================================================
@@ -285,6 +498,69 @@ const ui = new BlackHoleUI(config, {
     }
   },
 
+  onBloomToggle: () => {
+    updateOutputPass();
+  },
+
+  // Exposure slider (ignored while auto exposure is on)
+  onExposureChange: (value) => {
+    manualExposure = value;
+  },
+
+  // Tone mapper or debug view changed
+  onOutputChange: () => {
+    updateOutputPass();
+  },
+
+  onPixelRatioChange: (value) => {
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, value));
+  },
+
+  // Quality presets: fixed levels apply immediately, "auto" hands control
+  // to the quality controller starting from the current level
+  onQualityPresetChange: (preset) => {
+    if (preset === 'auto') {
+      qualityController.reset();
+      ui.updateQualityLevel(qualityController.level);
+      return;
+    }
+    qualityController.reset(preset);
+    applyQuality(preset);
+    ui.updateQualityLevel(preset);
+  },
+
+  onTargetFpsChange: (value) => {
+    qualityController.targetFps = value;
+  },
+
+  // Rebuild the shader when an option compiled into it changes (ray steps, octaves)
+  onShaderOptionChange: () => {
+    blackHoleSimulation.refreshShaderOptions();
+  },
+
+  // Background source changed: switch the shader over, fetching the sample
+  // sky if no image is loaded for it yet
+  onBackgroundSourceChange: () => {
+    blackHoleSimulation.refreshShaderOptions();
+    ensureBackgroundTexture();
+  },
+
+  // Sky image(s) from the file picker. Returns the background source they
+  // were loaded for ('equirect' or 'cubemap'); throws if unusable.
+  onLoadBackgroundFiles: async (files) => {
+    const { source, texture } = await loadBackgroundFiles(files);
+    blackHoleSimulation.setBackgroundTexture(source, texture);
+    return source;
+  },
+
+  // Star catalog from the file picker. Returns the number of stars loaded
+  // and rows skipped; throws if unusable.
+  onLoadStarCatalog: async (file) => {
+    const catalog = await loadStarCatalogFile(file);
+    blackHoleSimulation.setBackgroundTexture('catalog', catalog);
+    return { starCount: catalog.starCount, skipped: catalog.skipped };
+  },
+
   // Handle regeneration (e.g., after major config changes)
   onRegenerate: () => {
     blackHoleSimulation.updateUniforms(config);
@@ -296,6 +572,39 @@ const ui = new BlackHoleUI(config, {
     saveConfig(config);
   },
 
+  // Restore config values from the undo history (the UI then refreshes,
+  // which pushes bound values to the simulation)
+  onApplyHistory: (values) => {
+    Object.assign(config, values);
+    if ('cameraKeyframes' in values || 'cameraTrackEasing' in values) {
+      cameraAnimation.setKeyframes(config.cameraKeyframes);
+      cameraAnimation.setTrackEasing(config.cameraTrackEasing);
+    }
+    // The layer folders are rebuilt rather than refreshed, so push these here
+    if ('nebulaLayers' in values) {
+      blackHoleSimulation.updateUniforms({ nebulaLayers: config.nebulaLayers });
+      blackHoleSimulation.refreshShaderOptions();
+    }
+  },
+
+  // Named presets (built-in looks plus the user's own)
+  getPresets: () => presetLibrary.list(),
+  onLoadPreset: (name) => loadPreset(name),
+  onSavePreset: (name) => presetLibrary.save(name, config),
+  onRenamePreset: (name, newName) => presetLibrary.rename(name, newName),
+  onDeletePreset: (name) => presetLibrary.remove(name),
+
+  // Copy a link that reproduces the current settings and camera view
+  onCopyShareLink: async () => {
+    const hash = encodeShareState(config, defaultConfig, {
+      position: camera.position,
+      target: controls.target
+    }, CONFIG_VERSION);
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+    await navigator.clipboard.writeText(url);
+    return url;
+  },
+
   // Clear localStorage and reload with defaults
   onClearConfig: () => {
     clearConfig();
@@ -304,15 +613,179 @@ const ui = new BlackHoleUI(config, {
 
   // Reset to defaults without clearing localStorage
   onResetToDefaults: () => {
-    Object.assign(config, defaultConfig);
-    blackHoleSimulation.updateUniforms(config);
-    if (bloomPassNode) {
-      bloomPassNode.threshold.value = config.bloomThreshold;
-      bloomPassNode.strength.value = config.bloomStrength;
-      bloomPassNode.radius.value = config.bloomRadius;
+    applyConfig(createDefaultConfig());
+  },
+
+  // Download the current settings as a versioned JSON file
+  onExportConfig: () => {
+    const json = JSON.stringify(serializeConfig(config), null, 2);
+    saveBlob(new Blob([json], { type: 'application/json' }), 'blackhole-config.json');
+  },
+
+  // Load settings from a JSON file (any supported version).
+  // Returns the problems that were corrected; throws if the file is unusable.
+  onImportConfig: (text) => {
+    const { config: imported, errors } = parseConfig(JSON.parse(text));
+    applyConfig(imported);
+    return errors;
+  },
+
+  // Camera lens changes (FOV is read by the shader through the projection matrix)
+  onCameraFovChange: (value) => {
+    camera.fov = value;
+    camera.updateProjectionMatrix();
+  },
+
+  // Render the current view offscreen at high resolution and save it as PNG
+  onRenderStill: async ({ width, height, supersample, raySteps, stepSize }, onProgress) => {
+    stillRenderActive = true;
+    try {
+      const canvas = await renderStill({
+        renderer,
+        postProcessing,
+        camera,
+        simulation: blackHoleSimulation,
+        width,
+        height,
+        supersample,
+        raySteps,
+        stepSize,
+        onProgress
+      });
+      await saveCanvasAsPNG(canvas, `blackhole-${width}x${height}.png`);
+    } finally {
+      stillRenderActive = false;
+    }
+  },
+
+  // Render the cinematic path at a fixed frame rate and save it as WebM or a PNG sequence.
+  // Time and camera restart from zero so the same settings give the same video.
+  onExportVideo: async ({ width, height, fps, duration, format, raySteps, stepSize }, onProgress, signal) => {
+    // Ask for the folder first, while the click still counts as a user gesture
+    const directory = format === VIDEO_FORMATS.PNG_SEQUENCE ? await pickPNGSequenceDirectory() : undefined;
+
+    const savedAnimation = cameraAnimation.saveState();
+    const savedSimulationTime = blackHoleSimulation.uniforms.time.value;
+    const savedPosition = camera.position.clone();
+    const savedTarget = controls.target.clone();
+
+    stillRenderActive = true;
+    try {
+      // Frame 0 is the start of the path, with no blend or preset
+      // crossfade carried over from the live view
+      cameraAnimation.restart();
+      if (presetCrossfade) {
+        presetCrossfade = null;
+        restoreAnimatedParams();
+      }
+      blackHoleSimulation.setTime(0);
+
+      const video = await exportVideo({
+        renderer,
+        postProcessing,
+        camera,
+        simulation: blackHoleSimulation,
+        advanceFrame,
+        width,
+        height,
+        fps,
+        duration: duration > 0 ? duration : cameraAnimation.cycleDuration,
+        format,
+        directory,
+        raySteps,
+        stepSize,
+        signal,
+        onProgress
+      });
+      if (video) {
+        saveBlob(video, `blackhole-${width}x${height}-${fps}fps.webm`);
+      }
+    } finally {
+      // Playback, any blend and the pre-cinematic view carry on as before
+      cameraAnimation.restoreState(savedAnimation);
+      camera.position.copy(savedPosition);
+      controls.target.copy(savedTarget);
+      blackHoleSimulation.setTime(savedSimulationTime);
+      stillRenderActive = false;
     }
   },
 
+  getCameraAnimationDuration: () => {
+    return cameraAnimation.pathDuration;
+  },
+
+  // Keyframe editor
+  getCameraKeyframes: () => {
+    return cameraAnimation.getKeyframes();
+  },
+
+  getCameraAnimationTime: () => {
+    return cameraAnimation.currentTime;
+  },
+
+  getCameraKeyframeTime: (index) => {
+    return cameraAnimation.getKeyframeTime(index);
+  },
+
+  onAddCameraKeyframe: (duration) => {
+    const index = cameraAnimation.addKeyframeFromCamera(duration);
+    syncCameraKeyframes();
+    return index;
+  },
+
+  onRemoveCameraKeyframe: (index) => {
+    cameraAnimation.removeKeyframe(index);
+    syncCameraKeyframes();
+  },
+
+  onMoveCameraKeyframe: (index, offset) => {
+    const newIndex = cameraAnimation.moveKeyframe(index, offset);
+    syncCameraKeyframes();
+    return newIndex;
+  },
+
+  onCameraKeyframeDurationChange: (index, duration) => {
+    cameraAnimation.setKeyframeDuration(index, duration);
+    syncCameraKeyframes();
+  },
+
+  onScrubCameraAnimation: (time) => {
+    cameraAnimation.scrub(time);
+  },
+
+  onCameraPlaybackChange: () => {
+    applyCameraPlayback();
+  },
+
+  onKeyframeEasingChange: (index, easing) => {
+    cameraAnimation.setKeyframeEasing(index, easing);
+    syncCameraKeyframes();
+  },
+
+  // Parameter tracks
+  getAnimatableParams: () => {
+    return getAnimatableParams();
+  },
+
+  onSetKeyframeParam: (index, key, value) => {
+    cameraAnimation.setKeyframeParam(index, key, value);
+    syncCameraKeyframes();
+  },
+
+  onRemoveKeyframeParam: (index, key) => {
+    cameraAnimation.removeKeyframeParam(index, key);
+    syncCameraKeyframes();
+  },
+
+  getTrackEasing: () => {
+    return { ...cameraAnimation.trackEasing };
+  },
+
+  onTrackEasingChange: (key, easing) => {
+    cameraAnimation.setTrackEasing({ ...cameraAnimation.trackEasing, [key]: easing });
+    syncCameraKeyframes();
+  },
+
   // Camera animation controls
   onToggleCameraAnimation: () => {
     return cameraAnimation.toggle();
@@ -323,6 +796,11 @@ const ui = new BlackHoleUI(config, {
   }
 });
 
+// Keep the cinematic mode button in step when a play-once animation ends
+cameraAnimation.onFinish = () => {
+  ui.syncAnimationButton();
+};
+
 // ============================================================================
 // FPS COUNTER
 // ============================================================================
@@ -347,6 +825,18 @@ function updateFPS() {
       fpsElement.textContent = fps;
     }
     ui.updateFPS(fps);
+
+    // Auto quality: step presets up or down to hold the target frame rate
+    if (config.qualityPreset === 'auto') {
+      const level = qualityController.update(fps);
+      if (level) {
+        // Automatic changes aren't user edits, so keep them out of undo
+        ui.withoutHistory(() => {
+          applyQuality(level);
+          ui.updateQualityLevel(level);
+        });
+      }
+    }
   }
 }
 
@@ -356,21 +846,58 @@ function updateFPS() {
 
 let lastFrameTime = performance.now();
 
-async function animate() {
-  requestAnimationFrame(animate);
-
-  const currentTime = performance.now();
-  const deltaTime = Math.min((currentTime - lastFrameTime) / 1000, 0.033);
-  lastFrameTime = currentTime;
+/**
+ * Step camera and simulation by deltaTime seconds.
+ * Shared by the live loop and the fixed-rate video exporter.
+ */
+function advanceFrame(deltaTime) {
+  // Fade between looks after a preset is loaded
+  updatePresetCrossfade(deltaTime);
 
   // Update camera animation (if playing)
   cameraAnimation.update(deltaTime);
 
+  // Parameter tracks override the config only while the path plays
+  if (cameraAnimation.playing) {
+    applyAnimatedParams(cameraAnimation.getParamValues());
+    paramsAnimated = true;
+  } else if (paramsAnimated) {
+    restoreAnimatedParams();
+    paramsAnimated = false;
+  }
+
   // Update controls (only effective when animation not playing)
   controls.update();
 
+  // Roll about the view axis (controls and animation reset orientation each frame)
+  if (config.cameraRoll !== 0) {
+    camera.rotateZ(THREE.MathUtils.degToRad(config.cameraRoll));
+  }
+
   // Update black hole simulation
   blackHoleSimulation.update(deltaTime, camera);
+}
+
+// Set while an offline render (still or video) owns the renderer
+let stillRenderActive = false;
+
+async function animate() {
+  requestAnimationFrame(animate);
+
+  if (stillRenderActive) {
+    lastFrameTime = performance.now();
+    return;
+  }
+
+  const currentTime = performance.now();
+  const deltaTime = Math.min((currentTime - lastFrameTime) / 1000, 0.033);
+  lastFrameTime = currentTime;
+
+  advanceFrame(deltaTime);
+
+  if (cameraAnimation.playing) {
+    ui.updateCameraTimeline(cameraAnimation.currentTime);
+  }
 
   // Render
   if (postProcessing) {
@@ -378,6 +905,7 @@ async function animate() {
   } else {
     renderer.render(scene, camera);
   }
+  updateExposure(deltaTime);
 
   updateFPS();
 }
@@ -399,7 +927,7 @@ window.addEventListener('resize', () => {
 
 renderer.init().then(() => {
   postProcessing = new THREE.PostProcessing(renderer);
-  setupBloom();
+  setupPostProcessing();
   ui.setBloomNode(bloomPassNode);
   animate();
 }).catch(err => {
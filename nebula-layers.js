@@ -0,0 +1,67 @@
+/**
+ * Nebula Layers
+ *
+ * The procedural nebula is a stack of FBM cloud layers, each with its own
+ * scale, density, brightness, color, offset, octave count and drift. This
+ * module defines a layer's fields and the default stack; the config schema
+ * validates the `nebulaLayers` list against it.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+/**
+ * Most layers a config may hold. Uniforms are allocated per layer, but each
+ * layer is another FBM per pixel, so a shared link or import with
+ * thousands of them would stall the GPU.
+ */
+export const MAX_NEBULA_LAYERS = 16;
+
+/**
+ * Fields of one layer, in UI order, using the config schema's types.
+ * `offset` shifts the noise pattern; `driftSpeed` moves it along
+ * NEBULA_DRIFT_DIRECTION in noise units per second.
+ */
+export const NEBULA_LAYER_SCHEMA = {
+  scale: { type: 'number', min: 0.5, max: 20.0, step: 0.5, default: 4 },
+  density: { type: 'number', min: -1.0, max: 1.0, step: 0.05, default: 0 },
+  brightness: { type: 'number', min: 0, max: 1.0, step: 0.01, default: 0.1 },
+  color: { type: 'color', default: '#1a1040' },
+  offset: { type: 'vector', default: { x: 0, y: 0, z: 0 } },
+  octaves: { type: 'number', min: 1, max: 8, step: 1, integer: true, default: 4 },
+  driftSpeed: { type: 'number', min: 0, max: 0.5, step: 0.01, default: 0 }
+};
+
+/** Unit direction every layer drifts along; one axis would look mechanical */
+export const NEBULA_DRIFT_DIRECTION = [0.8729, 0.4364, 0.2182];
+
+/**
+ * A new layer with every field at its default, plus any overrides.
+ */
+export function createNebulaLayer(overrides = {}) {
+  const layer = {};
+  for (const [field, def] of Object.entries(NEBULA_LAYER_SCHEMA)) {
+    layer[field] = structuredClone(overrides[field] ?? def.default);
+  }
+  return layer;
+}
+
+/**
+ * The default stack: broad faint clouds under finer, brighter wisps.
+ */
+export const DEFAULT_NEBULA_LAYERS = [
+  createNebulaLayer({ scale: 2, density: 0.5, brightness: 0.01, color: '#071f44' }),
+  createNebulaLayer({ scale: 5.5, density: 0.05, brightness: 0.21, color: '#010615' })
+];
+
+/**
+ * Where a layer samples its noise for a sky direction at `time` seconds.
+ * @param {{ scale: number, offset: { x: number, y: number, z: number }, driftSpeed: number }} layer
+ * @param {number[]} dir - Unit direction
+ * @param {number} time
+ * @returns {number[]} [x, y, z]
+ */
+export function nebulaNoisePosition(layer, dir, time) {
+  const drift = time * layer.driftSpeed;
+  const { x, y, z } = layer.offset;
+  return [x, y, z].map((offset, k) => dir[k] * layer.scale + offset + NEBULA_DRIFT_DIRECTION[k] * drift);
+}
@@ -0,0 +1,312 @@
+/**
+ * Named Presets
+ *
+ * A preset is a "look": the black hole, disk, background and bloom settings.
+ * Camera and performance settings are left out, so switching looks keeps
+ * the current view and frame rate. Built-in presets are read-only;
+ * user presets are kept in a storage object (localStorage in the browser)
+ * in the versioned config format, so config migrations apply to them too.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { CONFIG_SCHEMA, CONFIG_VERSION, createDefaultConfig, parseConfig, validateConfig } from './config-schema.js';
+import { hexToRgb, rgbToHex, isTrackValue } from './keyframe-tracks.js';
+import { DEFAULT_NEBULA_LAYERS } from './nebula-layers.js';
+
+// Seconds to crossfade between looks when a preset is loaded
+export const PRESET_CROSSFADE_DURATION = 1;
+
+// Config keys that describe the view or the machine rather than the look
+const NON_PRESET_KEYS = new Set([
+  'cameraFov', 'cameraRoll', 'cameraKeyframes', 'cameraTrackEasing',
+  'cameraPlaybackMode', 'cameraConstantSpeed', 'cameraBlendDuration',
+  'qualityPreset', 'targetFps', 'pixelRatio', 'noiseOctaves', 'raySteps',
+  'stepSize', 'adaptiveMinStep', 'maxRayDistance',
+  'renderMode'
+]);
+
+/**
+ * Config keys stored in a preset.
+ */
+export const PRESET_KEYS = Object.keys(CONFIG_SCHEMA).filter((key) => !NON_PRESET_KEYS.has(key));
+
+/**
+ * Shipped looks. Each lists only what differs from the defaults.
+ */
+export const BUILT_IN_PRESETS = [
+  {
+    // Gargantua as rendered for the film: fast spin, but no Doppler beaming
+    // or color shift, so the lensed disk stays symmetric and warm
+    name: 'Interstellar-style',
+    values: {
+      blackHoleSpin: 0.6,
+      dopplerStrength: 0,
+      relativisticColor: false,
+      diskInnerAtISCO: true,
+      diskOuterRadius: 18,
+      diskBrightness: 3.5,
+      diskTemperature: 9,
+      temperatureFalloff: 1.5,
+      turbulenceSharpness: 3,
+      turbulenceStretch: 4,
+      diskRotationSpeed: -4,
+      nebulaEnabled: false,
+      starBrightness: 0.6,
+      bloomStrength: 1.1,
+      bloomRadius: 0.5,
+      bloomThreshold: 0.25
+    }
+  },
+  {
+    // 2017 Event Horizon Telescope image of M87*: a thick, hot, blurred ring,
+    // brighter on the side moving towards us
+    name: 'M87 EHT',
+    values: {
+      blackHoleSpin: 0.9,
+      dopplerStrength: 1.5,
+      relativisticColor: true,
+      diskInnerAtISCO: true,
+      diskOuterRadius: 8,
+      diskVolumetric: true,
+      diskThickness: 1.5,
+      diskInnerThickness: 1,
+      diskOuterThickness: 1.5,
+      diskBrightness: 4,
+      diskTemperature: 5,
+      temperatureFalloff: 1,
+      turbulenceSharpness: 1,
+      starsEnabled: false,
+      nebulaEnabled: false,
+      bloomStrength: 2,
+      bloomRadius: 0.9,
+      bloomThreshold: 0.1
+    }
+  },
+  {
+    // Sagittarius A*: similar ring but clumpier and more variable, seen
+    // against the crowded, dusty galactic centre
+    name: 'Sgr A*',
+    values: {
+      blackHoleSpin: 0.9,
+      dopplerStrength: 1,
+      relativisticColor: true,
+      diskInnerAtISCO: true,
+      diskOuterRadius: 9,
+      diskVolumetric: true,
+      diskThickness: 1.2,
+      diskBrightness: 3,
+      diskTemperature: 6,
+      temperatureFalloff: 1.2,
+      turbulenceScale: 1.2,
+      turbulenceSharpness: 4,
+      diskRotationSpeed: -14,
+      starDensity: 0.1,
+      starBrightness: 1.2,
+      nebulaLayers: [
+        { ...DEFAULT_NEBULA_LAYERS[0], color: '#3a1d0c', brightness: 0.3 },
+        { ...DEFAULT_NEBULA_LAYERS[1], color: '#1c0d06', brightness: 0.4 }
+      ],
+      bloomStrength: 1.5,
+      bloomRadius: 0.7,
+      bloomThreshold: 0.15
+    }
+  },
+  {
+    // A cool, geometrically thin disk: dim red edges and a sharp lensed image
+    name: 'Cold thin disk',
+    values: {
+      blackHoleSpin: 0,
+      dopplerStrength: 1,
+      relativisticColor: true,
+      diskInnerAtISCO: true,
+      diskOuterRadius: 16,
+      diskVolumetric: false,
+      diskBrightness: 2,
+      diskTemperature: 3,
+      temperatureFalloff: 0.75,
+      turbulenceSharpness: 2,
+      bloomStrength: 0.3,
+      bloomThreshold: 0.6
+    }
+  }
+];
+
+/**
+ * The preset keys of a config.
+ */
+export function presetFromConfig(config) {
+  return Object.fromEntries(PRESET_KEYS.map((key) => [key, structuredClone(config[key])]));
+}
+
+/**
+ * Complete look for a preset's values: anything it doesn't set is the default.
+ */
+export function resolvePreset(values) {
+  return presetFromConfig(validateConfig({ ...createDefaultConfig(), ...values }).config);
+}
+
+/**
+ * One value partway through a crossfade. Lists of the same length (nebula
+ * layers) and objects blend field by field.
+ */
+function blendValue(start, target, t) {
+  if (Array.isArray(target)) {
+    return Array.isArray(start) && start.length === target.length
+      ? target.map((item, i) => blendValue(start[i], item, t))
+      : target;
+  }
+  if (target !== null && typeof target === 'object') {
+    return start !== null && typeof start === 'object' && !Array.isArray(start)
+      ? Object.fromEntries(Object.entries(target).map(([key, value]) => [key, blendValue(start[key], value, t)]))
+      : target;
+  }
+  if (!isTrackValue(target) || typeof start !== typeof target) {
+    return target;
+  }
+  if (typeof target === 'number') {
+    return start + (target - start) * t;
+  }
+  const a = hexToRgb(start);
+  const b = hexToRgb(target);
+  return rgbToHex(a.map((c, i) => c + (b[i] - c) * t));
+}
+
+/**
+ * Values partway through a crossfade. Numbers blend linearly and colors per
+ * channel, also inside nebula layers when both looks have as many; other
+ * values take the target straight away.
+ * @param {Object} from
+ * @param {Object} to
+ * @param {number} t - 0 (from) to 1 (to)
+ */
+export function blendValues(from, to, t) {
+  const values = {};
+  for (const [key, target] of Object.entries(to)) {
+    values[key] = blendValue(from[key], target, t);
+  }
+  return values;
+}
+
+/**
+ * Built-in and user presets. User presets are saved to `storage` after every
+ * change. Names are unique across both; errors are thrown with a message
+ * suitable for the UI.
+ */
+export class PresetLibrary {
+  /**
+   * @param {{ getItem(key: string): string|null, setItem(key: string, value: string): void }} [storage]
+   * @param {string} [storageKey]
+   */
+  constructor(storage = null, storageKey = 'blackhole-simulation-presets') {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.builtIn = new Map(BUILT_IN_PRESETS.map(({ name, values }) => [name, resolvePreset(values)]));
+    this.user = new Map();
+    this.load();
+  }
+
+  /**
+   * Read user presets from storage. Unreadable entries are skipped.
+   */
+  load() {
+    this.user.clear();
+    if (!this.storage) return;
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey) ?? 'null');
+      for (const { name, version, config } of saved?.presets ?? []) {
+        if (typeof name !== 'string' || this.builtIn.has(name)) continue;
+        try {
+          this.user.set(name, presetFromConfig(parseConfig({ version, config }).config));
+        } catch (e) {
+          console.warn(`Skipping preset "${name}":`, e);
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load presets:', e);
+    }
+  }
+
+  persist() {
+    if (!this.storage) return;
+    const presets = [...this.user].map(([name, config]) => ({ name, version: CONFIG_VERSION, config }));
+    this.storage.setItem(this.storageKey, JSON.stringify({ presets }));
+  }
+
+  /**
+   * All presets, built-ins first.
+   * @returns {{ name: string, builtIn: boolean }[]}
+   */
+  list() {
+    return [
+      ...[...this.builtIn.keys()].map((name) => ({ name, builtIn: true })),
+      ...[...this.user.keys()].map((name) => ({ name, builtIn: false }))
+    ];
+  }
+
+  has(name) {
+    return this.builtIn.has(name) || this.user.has(name);
+  }
+
+  isBuiltIn(name) {
+    return this.builtIn.has(name);
+  }
+
+  /**
+   * The preset's values (a copy), or null if there's no such preset.
+   */
+  get(name) {
+    const values = this.builtIn.get(name) ?? this.user.get(name);
+    return values ? structuredClone(values) : null;
+  }
+
+  /**
+   * Save the look of `config` under `name`, replacing a user preset of that name.
+   */
+  save(name, config) {
+    const trimmed = this.checkName(name);
+    this.user.set(trimmed, presetFromConfig(config));
+    this.persist();
+    return trimmed;
+  }
+
+  rename(name, newName) {
+    this.checkUserPreset(name);
+    const trimmed = this.checkName(newName);
+    if (trimmed !== name && this.user.has(trimmed)) {
+      throw new Error(`A preset named "${trimmed}" already exists`);
+    }
+
+    // Rebuild to keep the preset's position in the list
+    this.user = new Map([...this.user].map(([key, values]) => [key === name ? trimmed : key, values]));
+    this.persist();
+    return trimmed;
+  }
+
+  remove(name) {
+    this.checkUserPreset(name);
+    this.user.delete(name);
+    this.persist();
+  }
+
+  checkName(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+      throw new Error('Enter a preset name');
+    }
+    if (this.builtIn.has(trimmed)) {
+      throw new Error(`"${trimmed}" is a built-in preset`);
+    }
+    return trimmed;
+  }
+
+  checkUserPreset(name) {
+    if (this.builtIn.has(name)) {
+      throw new Error(`Built-in preset "${name}" can't be changed`);
+    }
+    if (!this.user.has(name)) {
+      throw new Error(`No preset named "${name}"`);
+    }
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Quality Presets & Automatic Scaling
+ *
+ * Presets trade image quality for speed by setting the raymarcher's step
+ * count and length, the render pixel ratio, the noise octave count and bloom.
+ * In "auto" mode a QualityController watches the measured frame rate and
+ * moves between presets to hold a target FPS.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+/**
+ * Preset levels from cheapest to most expensive.
+ */
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+/**
+ * Config values written by each preset.
+ * pixelRatio is an upper bound; the device pixel ratio is never exceeded.
+ */
+export const QUALITY_PRESETS = {
+  low: {
+    raySteps: 32,
+    stepSize: 1.5,
+    pixelRatio: 0.75,
+    noiseOctaves: 2,
+    bloomEnabled: false
+  },
+  medium: {
+    raySteps: 68,
+    stepSize: 1.0,
+    pixelRatio: 1.0,
+    noiseOctaves: 4,
+    bloomEnabled: true
+  },
+  high: {
+    raySteps: 128,
+    stepSize: 0.6,
+    pixelRatio: 1.5,
+    noiseOctaves: 5,
+    bloomEnabled: true
+  },
+  ultra: {
+    raySteps: 256,
+    stepSize: 0.35,
+    pixelRatio: 2.0,
+    noiseOctaves: 6,
+    bloomEnabled: true
+  }
+};
+
+/**
+ * Write a preset's values into a config object.
+ * @returns {string[]} Keys whose values changed
+ */
+export function applyQualityPreset(config, level) {
+  const preset = QUALITY_PRESETS[level];
+  if (!preset) {
+    throw new Error(`Unknown quality preset: ${level}`);
+  }
+
+  const changed = [];
+  for (const [key, value] of Object.entries(preset)) {
+    if (config[key] !== value) {
+      config[key] = value;
+      changed.push(key);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Picks a quality level from a stream of FPS samples.
+ *
+ * Hysteresis keeps it from oscillating:
+ * - Step down after `downgradeSamples` consecutive samples below
+ *   targetFps × (1 - tolerance)
+ * - Step up after `upgradeSamples` consecutive samples at or above targetFps
+ * - After any change, ignore `cooldownSamples` samples while the new
+ *   preset settles (shader rebuilds cause a hitch)
+ * - An upgrade that has to be undone soon after doubles the samples needed
+ *   for the next upgrade (up to 8×), so a level that can't hold the target
+ *   isn't retried every few seconds
+ */
+export class QualityController {
+  constructor({
+    targetFps = 55,
+    level = 'medium',
+    tolerance = 0.1,
+    downgradeSamples = 2,
+    upgradeSamples = 5,
+    cooldownSamples = 3
+  } = {}) {
+    this.targetFps = targetFps;
+    this.tolerance = tolerance;
+    this.downgradeSamples = downgradeSamples;
+    this.upgradeSamples = upgradeSamples;
+    this.cooldownSamples = cooldownSamples;
+    this.reset(level);
+  }
+
+  /**
+   * Restart from the given level with cleared history.
+   */
+  reset(level = this.level) {
+    this.level = QUALITY_LEVELS.includes(level) ? level : 'medium';
+    this.belowCount = 0;
+    this.aboveCount = 0;
+    this.cooldown = 0;
+    this.samplesSinceUpgrade = Infinity;
+    this.upgradePenalty = 1;
+  }
+
+  /**
+   * Feed one FPS measurement.
+   * @returns {string|null} The new level if it changed, otherwise null
+   */
+  update(fps) {
+    this.samplesSinceUpgrade++;
+    if (this.cooldown > 0) {
+      this.cooldown--;
+      return null;
+    }
+
+    if (fps < this.targetFps * (1 - this.tolerance)) {
+      this.belowCount++;
+      this.aboveCount = 0;
+    } else if (fps >= this.targetFps) {
+      this.aboveCount++;
+      this.belowCount = 0;
+    } else {
+      this.belowCount = 0;
+      this.aboveCount = 0;
+    }
+
+    const index = QUALITY_LEVELS.indexOf(this.level);
+
+    if (this.belowCount >= this.downgradeSamples && index > 0) {
+      if (this.samplesSinceUpgrade <= this.upgradeSamples * 2) {
+        this.upgradePenalty = Math.min(this.upgradePenalty * 2, 8);
+      }
+      return this.setLevel(QUALITY_LEVELS[index - 1]);
+    }
+    if (this.aboveCount >= this.upgradeSamples * this.upgradePenalty && index < QUALITY_LEVELS.length - 1) {
+      this.samplesSinceUpgrade = 0;
+      return this.setLevel(QUALITY_LEVELS[index + 1]);
+    }
+    return null;
+  }
+
+  /**
+   * Feed a sequence of frame times (milliseconds), one FPS sample per
+   * `windowMs` of accumulated time, matching the once-per-second FPS counter.
+   * @returns {string|null} The last level change, or null if none
+   */
+  updateFromFrameTimes(frameTimes, windowMs = 1000) {
+    let lastChange = null;
+    let elapsed = 0;
+    let frames = 0;
+
+    for (const frameTime of frameTimes) {
+      elapsed += frameTime;
+      frames++;
+      if (elapsed >= windowMs) {
+        const change = this.update((frames * 1000) / elapsed);
+        if (change) lastChange = change;
+        elapsed = 0;
+        frames = 0;
+      }
+    }
+    return lastChange;
+  }
+
+  setLevel(level) {
+    this.level = level;
+    this.belowCount = 0;
+    this.aboveCount = 0;
+    this.cooldown = this.cooldownSamples;
+    return level;
+  }
+}
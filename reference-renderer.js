@@ -0,0 +1,509 @@
+/**
+ * CPU Reference Renderer
+ *
+ * A plain JavaScript version of the raymarching shader in blackhole-shader.js:
+ * ray generation, the bending loop (classic or geodesic, with frame
+ * dragging), thin and volumetric disk compositing, the accretion disk color,
+ * and the star field (procedural or from a star catalog) and nebula or an
+ * equirect sky image. Noise, stars, blackbody, Doppler and the bend step
+ * come from shader-math.js, so they can't drift from the shader. Stars are
+ * filtered to each pixel's ray footprint, taken across 2×2 pixel quads like
+ * the GPU's screen derivatives. It renders small images in Node, so changes
+ * to the physics or noise can be checked on machines without a GPU.
+ *
+ * renderReference gives the shader's linear HDR output in its final render
+ * mode; developReference then applies exposure, tone mapping and sRGB
+ * encoding as the app's output pass does, without bloom. The GPU evaluates
+ * in 32-bit floats (and its sin() differs for the large arguments used by
+ * the hashes), so images are close to, not bitwise equal to, a GPU render;
+ * compare them against references made by this renderer.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { JS_OPS, jsMath } from './shader-math.js';
+import { skyOrientation } from './celestial.js';
+import { sampleStarGrid } from './star-catalog.js';
+import { nebulaNoisePosition } from './nebula-layers.js';
+import { meterLuminance, autoExposureEV, toneMap, linearToSRGB } from './exposure.js';
+
+// ============================================================================
+// MATH HELPERS (GLSL/WGSL semantics)
+// ============================================================================
+
+const { clamp, mix, smoothstep, dot, length, normalize, cross } = JS_OPS;
+
+// GLSL mod: result has the sign of y
+const mod = (x, y) => x - y * Math.floor(x / y);
+
+// '#rrggbb' → linear RGB, as THREE.Color does for uniforms
+function hexToLinear(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff].map((c) => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+}
+
+// ============================================================================
+// BACKGROUND
+// ============================================================================
+
+// Hashes, noise, fbm, stars and the blackbody lookup are jsMath from
+// shader-math.js, the same definitions the shader is built from
+const { starCell, fbm } = jsMath;
+
+// Procedural stars, blurred to the ray footprint (see the shader)
+function starField(s, dir, footprint) {
+  const gridScale = 60 / s.starSize;
+  const base = dir.map((v) => Math.floor(v * gridScale));
+  const light = [0, 0, 0];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      for (let k = -1; k <= 1; k++) {
+        const cell = [base[0] + i, base[1] + j, base[2] + k];
+        const star = starCell(cell, dir, { gridScale, footprint, density: s.starDensity, size: s.starSize });
+        for (let c = 0; c < 3; c++) light[c] += star[c];
+      }
+    }
+  }
+  return light.map((v) => v * s.starBrightness);
+}
+
+function nebulaField(s, dir, time) {
+  const color = [0, 0, 0];
+  for (const layer of s.nebulaLayers) {
+    const n = fbm(nebulaNoisePosition(layer, dir, time), 2, 0.5, layer.octaves) * 2 - 1;
+    const density = clamp(n + layer.density, 0, 1);
+    for (let c = 0; c < 3; c++) color[c] += layer.color[c] * density * layer.brightness;
+  }
+  return color;
+}
+
+/**
+ * Bilinear lookup in an equirectangular image at a direction, like the
+ * shader's texture sample at equirectUV(dir): wraps horizontally and clamps
+ * at the poles.
+ * @param {{ width: number, height: number, data: Float32Array }} image - Linear RGB, top row first
+ * @param {number[]} dir - Unit direction
+ * @returns {number[]} Linear [r, g, b]
+ */
+export function sampleEquirect(image, dir) {
+  const { width, height, data } = image;
+  const u = Math.atan2(dir[2], dir[0]) / (2 * Math.PI) + 0.5;
+  const v = Math.asin(clamp(dir[1], -1, 1)) / Math.PI + 0.5;
+  const px = u * width - 0.5;
+  const py = (1 - v) * height - 0.5;
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const fx = px - x0;
+  const fy = py - y0;
+
+  const texel = (x, y, c) => {
+    const wx = mod(x, width);
+    const wy = clamp(y, 0, height - 1);
+    return data[(wy * width + wx) * 3 + c];
+  };
+  return [0, 1, 2].map((c) => mix(
+    mix(texel(x0, y0, c), texel(x0 + 1, y0, c), fx),
+    mix(texel(x0, y0 + 1, c), texel(x0 + 1, y0 + 1, c), fx),
+    fy
+  ));
+}
+
+// Direction in the sky's frame (backgroundRotation and backgroundTilt)
+function orientSky(s, dir) {
+  const m = s.skyOrientation;
+  return [0, 3, 6].map((row) => m[row] * dir[0] + m[row + 1] * dir[1] + m[row + 2] * dir[2]);
+}
+
+// Sky image, oriented and scaled by backgroundExposure
+function skyImage(s, dir) {
+  const exposure = 2 ** s.backgroundExposure;
+  return sampleEquirect(s.backgroundImage, orientSky(s, dir)).map((v) => v * exposure);
+}
+
+// Catalog stars as Gaussians as wide as the ray footprint (see the shader)
+function catalogStars(s, dir, pixelAngle, footprint) {
+  const sigma = clamp(footprint * 0.7, 1e-5, s.starCatalog.radius / 3);
+  const scale = s.starBrightness * 2 ** s.backgroundExposure;
+  return sampleStarGrid(s.starCatalog, orientSky(s, dir), sigma, pixelAngle).map((v) => v * scale);
+}
+
+// ============================================================================
+// ACCRETION DISK
+// ============================================================================
+
+// [temperature scale g, intensity scale, Doppler factor]
+function diskDopplerShift(s, hitR, hitAngle, rayDir) {
+  return jsMath.diskDopplerShift({
+    hitR,
+    hitAngle,
+    rayDir,
+    mass: s.blackHoleMass,
+    innerRadius: s.diskInnerRadius,
+    rotationSpeed: s.diskRotationSpeed,
+    dopplerStrength: s.dopplerStrength,
+    relativistic: Number(s.relativisticColor)
+  });
+}
+
+/**
+ * Disk emission and opacity at a hit point, like createAccretionDiskColor.
+ * @returns {number[]} [r, g, b, opacity]
+ */
+function accretionDiskColor(s, hitR, hitAngle, time, rayDir) {
+  const normR = clamp((hitR - s.diskInnerRadius) / (s.diskOuterRadius - s.diskInnerRadius), 0, 1);
+
+  const shift = diskDopplerShift(s, hitR, hitAngle, rayDir);
+  const tempK = jsMath.diskTemperature(hitR, s.diskInnerRadius, s.diskTemperature, s.temperatureFalloff);
+  const diskColor = jsMath.blackbody(tempK * shift[0]).map((c) => c * shift[1]);
+
+  const edgeFalloff = smoothstep(0, s.diskEdgeSoftnessInner, normR) *
+    smoothstep(1, 1 - s.diskEdgeSoftnessOuter, normR);
+
+  // Turbulence, crossfaded over the rotation cycle
+  const cycleLength = s.turbulenceCycleTime;
+  const cyclicTime = mod(time, cycleLength);
+  const blendFactor = cyclicTime / cycleLength;
+  const radialRate = s.diskRotationSpeed / hitR ** 1.5;
+  const stretch = Math.max(s.turbulenceStretch, 0.1);
+
+  const sample = (angle) => fbm(
+    [hitR * s.turbulenceScale, Math.cos(angle) / stretch, Math.sin(angle) / stretch],
+    s.turbulenceLacunarity,
+    s.turbulencePersistence,
+    s.noiseOctaves
+  );
+  const turbulence1 = sample(hitAngle + cyclicTime * radialRate);
+  const turbulence2 = sample(hitAngle + (cyclicTime + cycleLength) * radialRate);
+  const turbulence = mix(turbulence2, turbulence1, blendFactor);
+  const ringOpacity = clamp(turbulence, 0, 1) ** s.turbulenceSharpness;
+
+  return [
+    diskColor[0] * s.diskBrightness,
+    diskColor[1] * s.diskBrightness,
+    diskColor[2] * s.diskBrightness,
+    ringOpacity * edgeFalloff
+  ];
+}
+
+// ============================================================================
+// RAY TRACING
+// ============================================================================
+
+/**
+ * Config values in the form the tracer uses (colors as linear RGB, the
+ * shader options included).
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {Object} [options.backgroundImage] - Equirect sky (see sampleEquirect),
+ *   used when backgroundSource is 'equirect'. Without one, or for 'cubemap',
+ *   the procedural sky is drawn.
+ * @param {Object} [options.starCatalog] - Star grid (see buildStarGrid), used
+ *   when backgroundSource is 'catalog'. Without one, procedural stars are drawn.
+ */
+export function prepareSettings(config, { backgroundImage = null, starCatalog = null } = {}) {
+  return {
+    ...config,
+    backgroundImage: config.backgroundSource === 'equirect' ? backgroundImage : null,
+    starCatalog: config.backgroundSource === 'catalog' ? starCatalog : null,
+    skyOrientation: skyOrientation(config.backgroundRotation ?? 0, config.backgroundTilt ?? 0),
+    starBackgroundColor: hexToLinear(config.starBackgroundColor),
+    nebulaLayers: (config.nebulaLayers ?? []).map((layer) => ({
+      ...layer,
+      color: hexToLinear(layer.color)
+    }))
+  };
+}
+
+/**
+ * March one ray through the scene, compositing the disk but not the
+ * background (see shadeReferenceBackground).
+ * @param {Object} s - From prepareSettings
+ * @param {number[]} origin - Camera position
+ * @param {number[]} direction - Unit ray direction
+ * @param {number} time - Simulation clock in seconds
+ * @returns {{ color: number[], alpha: number, escaped: boolean, direction: number[] }}
+ *   Linear disk color, its opacity, and the final ray direction
+ */
+export function marchReferenceRay(s, origin, direction, time = 0) {
+  const mass = s.blackHoleMass;
+  const rs = mass * 2;
+
+  // Kerr spin about +Y (see the shader)
+  const spinA = s.blackHoleSpin * mass;
+  const angularMomentum = [0, spinA * mass, 0];
+  const horizonR = mass + Math.sqrt(Math.max(mass * mass - spinA * spinA, 0));
+
+  const innerR = s.diskInnerRadius;
+  const outerR = s.diskOuterRadius;
+  const orderIntensities = [s.primaryImageIntensity, s.secondaryImageIntensity, s.higherOrderImageIntensity];
+
+  let rayPos = [...origin];
+  let rayDir = [...direction];
+  const color = [0, 0, 0];
+  let alpha = 0;
+  let captured = false;
+  let escaped = false;
+  let planeCrossings = 0;
+
+  const compositeDisk = (emission, opacity, orderIntensity) => {
+    const weight = opacity * (1 - alpha);
+    for (let c = 0; c < 3; c++) {
+      color[c] += emission[c] * weight * orderIntensity;
+    }
+    alpha += weight * Math.min(orderIntensity, 1);
+  };
+
+  for (let i = 0; i < s.raySteps; i++) {
+    if (alpha > 0.99) break;
+
+    const r = length(rayPos);
+    if (r < horizonR * 1.01) {
+      captured = true;
+      break;
+    }
+    if (r > s.maxRayDistance) {
+      escaped = true;
+      break;
+    }
+
+    const dt = clamp(s.stepSize * (r / (rs * 5)), Math.min(s.adaptiveMinStep, s.stepSize), s.stepSize);
+
+    // Frame dragging
+    const rHat = rayPos.map((v) => v / r);
+    const jDotR = dot(angularMomentum, rHat) * 3;
+    const field = rHat.map((v, k) => (v * jDotR - angularMomentum[k]) * (2 / (r * r * r)));
+    const drag = cross(field, rayDir);
+    rayDir = rayDir.map((v, k) => v + drag[k] * dt * s.gravitationalLensing);
+
+    const prevPos = rayPos;
+
+    if (s.integrator > 0.5) {
+      ({ pos: rayPos, dir: rayDir } = jsMath.geodesicStep(rayPos, rayDir, dt, rs, s.gravitationalLensing));
+    } else {
+      ({ pos: rayPos, dir: rayDir } = jsMath.bendStep(rayPos, rayDir, r, dt, rs, s.gravitationalLensing));
+    }
+
+    const crossedPlane = prevPos[1] * rayPos[1] < 0;
+    if (crossedPlane) {
+      planeCrossings++;
+    }
+    const orderIntensity = orderIntensities[Math.min(Math.max(planeCrossings, 1), 3) - 1];
+
+    if (s.diskVolumetric) {
+      const samplePos = prevPos.map((v, k) => (v + rayPos[k]) / 2);
+      const sampleR = Math.hypot(samplePos[0], samplePos[2]);
+      const normR = clamp((sampleR - innerR) / (outerR - innerR), 0, 1);
+      const halfHeight = Math.max(
+        s.diskThickness * mix(s.diskInnerThickness, s.diskOuterThickness, normR) * 0.5,
+        0.001
+      );
+      const heightRatio = Math.abs(samplePos[1]) / halfHeight;
+
+      if (sampleR > innerR && sampleR < outerR && heightRatio < 1 && alpha < 0.99) {
+        const hitAngle = Math.atan2(samplePos[2], samplePos[0]);
+        const disk = accretionDiskColor(s, sampleR, hitAngle, time, rayDir);
+
+        const verticalDensity = Math.exp(-heightRatio * heightRatio * s.heightDensityFalloff) *
+          (1 - smoothstep(0.8, 1, heightRatio));
+        const puffCoord = [samplePos[0], samplePos[1] * 3, samplePos[2]].map((v) => v * s.turbulenceScale);
+        const puff = fbm(puffCoord, s.turbulenceLacunarity, s.turbulencePersistence, s.noiseOctaves) * 2;
+
+        const density = disk[3] * verticalDensity * puff * s.diskDensity;
+        const stepLength = length(rayPos.map((v, k) => v - prevPos[k]));
+        compositeDisk(disk, 1 - Math.exp(-density * stepLength), orderIntensity);
+      }
+    } else if (crossedPlane && alpha < 0.99) {
+      const t = -prevPos[1] / (rayPos[1] - prevPos[1]);
+      const hitPos = prevPos.map((v, k) => mix(v, rayPos[k], t));
+      const hitR = Math.hypot(hitPos[0], hitPos[2]);
+
+      if (hitR > innerR && hitR < outerR) {
+        const hitAngle = Math.atan2(hitPos[2], hitPos[0]);
+        const disk = accretionDiskColor(s, hitR, hitAngle, time, rayDir);
+        compositeDisk(disk, disk[3], orderIntensity);
+      }
+    }
+  }
+
+  if (!captured) {
+    escaped = true;
+  }
+
+  return { color, alpha, escaped, direction: rayDir };
+}
+
+/**
+ * Add the background behind a marched ray.
+ * @param {Object} s - From prepareSettings
+ * @param {Object} ray - From marchReferenceRay
+ * @param {number} [pixelAngle=0] - Angle the pixel spans before bending
+ * @param {number} [footprint=pixelAngle] - Angle it spans on the sky after
+ *   bending; stars are blurred to it
+ * @param {number} [time=0] - Simulation clock in seconds, for nebula drift
+ * @returns {number[]} Linear [r, g, b]
+ */
+export function shadeReferenceBackground(s, ray, pixelAngle = 0, footprint = pixelAngle, time = 0) {
+  const { alpha, direction: rayDir } = ray;
+  const color = [...ray.color];
+
+  if (ray.escaped && alpha < 0.99 && s.backgroundImage) {
+    const background = skyImage(s, rayDir);
+    for (let c = 0; c < 3; c++) {
+      color[c] += background[c] * (1 - alpha);
+    }
+  } else if (ray.escaped && alpha < 0.99) {
+    const background = [...s.starBackgroundColor];
+    if (s.starsEnabled) {
+      const stars = s.starCatalog
+        ? catalogStars(s, rayDir, pixelAngle, footprint)
+        : starField(s, rayDir, footprint);
+      stars.forEach((v, c) => { background[c] += v; });
+    }
+    if (s.nebulaEnabled) {
+      nebulaField(s, rayDir, time).forEach((v, c) => { background[c] += v; });
+    }
+    for (let c = 0; c < 3; c++) {
+      color[c] += background[c] * (1 - alpha);
+    }
+  }
+
+  return color;
+}
+
+/**
+ * Trace one ray and return its linear color.
+ * @param {Object} s - From prepareSettings
+ * @param {number[]} origin - Camera position
+ * @param {number[]} direction - Unit ray direction
+ * @param {number} time - Simulation clock in seconds
+ * @param {number} [pixelAngle=0] - See shadeReferenceBackground
+ * @param {number} [footprint=pixelAngle] - See shadeReferenceBackground
+ * @returns {number[]} Linear [r, g, b]
+ */
+export function traceReferenceRay(s, origin, direction, time = 0, pixelAngle = 0, footprint = pixelAngle) {
+  return shadeReferenceBackground(s, marchReferenceRay(s, origin, direction, time), pixelAngle, footprint, time);
+}
+
+// ============================================================================
+// CAMERA
+// ============================================================================
+
+/**
+ * Camera basis as Three.js builds it: lookAt (with +Y up), then a roll about
+ * the view axis.
+ * @returns {{ right: number[], up: number[], back: number[] }}
+ */
+export function getCameraBasis(position, target, roll = 0) {
+  const back = normalize(position.map((v, k) => v - target[k]));
+  let right = cross([0, 1, 0], back);
+  if (length(right) < 1e-6) {
+    // Looking straight up or down: nudge like Object3D.lookAt does
+    right = cross([0, 1, 0], normalize([back[0], back[1], back[2] + 1e-4]));
+  }
+  right = normalize(right);
+  const up = cross(back, right);
+
+  const angle = roll * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    right: right.map((v, k) => v * cos + up[k] * sin),
+    up: up.map((v, k) => -right[k] * sin + v * cos),
+    back
+  };
+}
+
+/**
+ * Render an image.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - A complete config (see config-schema.js)
+ * @param {Object} options.camera
+ * @param {number[]} options.camera.position
+ * @param {number[]} [options.camera.target=[0, 0, 0]]
+ * @param {number} [options.camera.fov=config.cameraFov] - Vertical, degrees
+ * @param {number} [options.camera.roll=config.cameraRoll] - Degrees
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.time=0] - Simulation clock in seconds
+ * @param {Object} [options.backgroundImage] - Equirect sky (see prepareSettings)
+ * @param {Object} [options.starCatalog] - Star grid (see prepareSettings)
+ * @returns {{ width: number, height: number, data: Float32Array }} Linear HDR
+ *   RGB, row by row from the top (see developReference)
+ */
+export function renderReference({
+  config, camera, width, height, time = 0, backgroundImage = null, starCatalog = null
+}) {
+  const s = prepareSettings(config, { backgroundImage, starCatalog });
+  const target = camera.target ?? [0, 0, 0];
+  const fov = camera.fov ?? config.cameraFov;
+  const basis = getCameraBasis(camera.position, target, camera.roll ?? config.cameraRoll);
+  const tanHalfFov = Math.tan((fov * Math.PI) / 360);
+  const aspect = width / height;
+
+  const directions = [];
+  const rays = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Pixel centre in NDC, Y up (like the shader's screenUV flip)
+      const ndcX = ((x + 0.5) / width) * 2 - 1;
+      const ndcY = 1 - ((y + 0.5) / height) * 2;
+      const viewX = ndcX * tanHalfFov * aspect;
+      const viewY = ndcY * tanHalfFov;
+      const direction = normalize(basis.right.map((v, k) => v * viewX + basis.up[k] * viewY - basis.back[k]));
+      directions.push(direction);
+      rays.push(marchReferenceRay(s, camera.position, direction, time));
+    }
+  }
+
+  // Screen derivatives as the GPU takes them: the difference to the other
+  // pixel in the same 2×2 quad, across and down
+  const partner = (i, size) => (i % 2 === 0 && i + 1 < size ? i + 1 : i - 1);
+  const spread = (values, x, y) => {
+    const at = (px, py) => values[py * width + px];
+    const distance = (d) => length(d.map((v, k) => v - at(x, y)[k]));
+    return Math.max(
+      width > 1 ? distance(at(partner(x, width), y)) : 0,
+      height > 1 ? distance(at(x, partner(y, height))) : 0
+    );
+  };
+  const finalDirections = rays.map((ray) => ray.direction);
+
+  const data = new Float32Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const pixelAngle = spread(directions, x, y);
+      const footprint = spread(finalDirections, x, y);
+      const color = shadeReferenceBackground(s, rays[index], pixelAngle, footprint, time);
+      data.set(color, index * 3);
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Turn a linear render into display values like the app's output pass:
+ * exposure (the config's EV, or metered from the image in auto mode), the
+ * config's tone mapper, then the sRGB transfer. Bloom isn't applied.
+ * @param {{ width: number, height: number, data: Float32Array }} image - From renderReference
+ * @param {Object} config
+ * @returns {{ width: number, height: number, data: Float32Array }} sRGB-encoded, 0..1
+ */
+export function developReference(image, config) {
+  const ev = config.exposureMode === 'auto'
+    ? autoExposureEV(meterLuminance(image.data, { channels: 3 }), config.exposureCompensation)
+    : config.exposure;
+  const scale = 2 ** ev;
+
+  const data = new Float32Array(image.data.length);
+  for (let i = 0; i < data.length; i += 3) {
+    const exposed = [image.data[i] * scale, image.data[i + 1] * scale, image.data[i + 2] * scale];
+    data.set(toneMap(config.toneMapping, exposed).map(linearToSRGB), i);
+  }
+  return { width: image.width, height: image.height, data };
+}
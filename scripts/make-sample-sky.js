@@ -0,0 +1,151 @@
+/**
+ * Generate the bundled sample sky (public/sky/): a synthetic Milky Way
+ * panorama as an equirectangular HDR and as six cubemap faces, so the image
+ * backgrounds work offline.
+ *
+ *   node scripts/make-sample-sky.js
+ *
+ * The band, dust lane and stars are made up, not a survey. Output is
+ * deterministic.
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { jsMath } from '../shader-math.js';
+import { encodeHDR } from '../image-codec.js';
+import { sampleEquirect } from '../reference-renderer.js';
+
+const EQUIRECT_WIDTH = 1024;
+const EQUIRECT_HEIGHT = 512;
+const FACE_SIZE = 256;
+const STAR_COUNT = 12000;
+const OUT_DIR = new URL('../public/sky/', import.meta.url);
+
+// Seeded PRNG (mulberry32)
+let seed = 0x6d2b79f5;
+function random() {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const normalize = (a) => {
+  const len = Math.hypot(...a);
+  return a.map((v) => v / len);
+};
+
+// Galactic frame: plane normal and the direction of the bulge
+const GALACTIC_NORTH = normalize([0.35, 0.82, -0.45]);
+const CENTER_HINT = [0.9, -0.15, 0.42];
+const GALACTIC_CENTER = normalize(
+  CENTER_HINT.map((v, k) => v - GALACTIC_NORTH[k] * dot(CENTER_HINT, GALACTIC_NORTH))
+);
+
+// Same mapping as three's equirectUV: u from atan(z, x), v = 1 at +Y,
+// with the top image row at v = 1
+function pixelDirection(x, y) {
+  const theta = ((x + 0.5) / EQUIRECT_WIDTH - 0.5) * 2 * Math.PI;
+  const phi = (0.5 - (y + 0.5) / EQUIRECT_HEIGHT) * Math.PI;
+  return [Math.cos(phi) * Math.cos(theta), Math.sin(phi), Math.cos(phi) * Math.sin(theta)];
+}
+
+function directionPixel(dir) {
+  const u = Math.atan2(dir[2], dir[0]) / (2 * Math.PI) + 0.5;
+  const v = Math.asin(Math.min(Math.max(dir[1], -1), 1)) / Math.PI + 0.5;
+  return [u * EQUIRECT_WIDTH - 0.5, (1 - v) * EQUIRECT_HEIGHT - 0.5];
+}
+
+// Diffuse band brightness (0 to ~1) at a direction
+function bandDensity(dir) {
+  const latitude = Math.asin(dot(dir, GALACTIC_NORTH));
+  const toCenter = Math.acos(Math.min(Math.max(dot(dir, GALACTIC_CENTER), -1), 1));
+  const band = Math.exp(-((latitude / 0.16) ** 2));
+  const bulge = Math.exp(-((toCenter / 0.55) ** 2) - (latitude / 0.22) ** 2);
+  return band * (0.35 + 0.65 * Math.exp(-toCenter * 0.5)) + bulge;
+}
+
+function diffuseSky(dir) {
+  // Ragged lane edges: offset the latitude by noise
+  const wobble = (jsMath.fbm(dir.map((v) => v * 6 + 5), 2.0, 0.5, 4) - 0.5) * 0.08;
+  const latitude = Math.asin(dot(dir, GALACTIC_NORTH)) + wobble;
+  const clouds = jsMath.fbm(dir.map((v) => v * 7 + 11), 2.1, 0.6, 6) * 2 - 0.5;
+  const dust = jsMath.fbm(dir.map((v) => v * 16 + 3), 2.0, 0.55, 5);
+  const lane = 1 - 0.9 * Math.exp(-((latitude / 0.05) ** 2)) * Math.min(dust * 1.8, 1);
+
+  const brightness = bandDensity(dir) * Math.max(clouds, 0) ** 1.5 * lane * 0.15;
+  const warmth = Math.min(Math.exp(-Math.acos(dot(dir, GALACTIC_CENTER)) * 0.8), 1);
+  const tint = [0.75 + 0.25 * warmth, 0.8 + 0.05 * warmth, 1.0 - 0.35 * warmth];
+  const airglow = 0.0004;
+  return tint.map((c) => c * brightness + airglow);
+}
+
+function makeEquirect() {
+  const data = new Float32Array(EQUIRECT_WIDTH * EQUIRECT_HEIGHT * 3);
+  for (let y = 0; y < EQUIRECT_HEIGHT; y++) {
+    for (let x = 0; x < EQUIRECT_WIDTH; x++) {
+      data.set(diffuseSky(pixelDirection(x, y)), (y * EQUIRECT_WIDTH + x) * 3);
+    }
+  }
+
+  // Stars, denser along the band; splatted as small Gaussians,
+  // widened horizontally toward the poles where pixels narrow
+  for (let placed = 0; placed < STAR_COUNT;) {
+    const dir = normalize([random() * 2 - 1, random() * 2 - 1, random() * 2 - 1]);
+    if (random() > 0.25 + bandDensity(dir)) continue;
+    placed++;
+
+    const flux = Math.min(0.01 / (random() ** 2 + 0.002), 20);
+    const color = jsMath.blackbody(3000 + random() ** 2 * 12000);
+    const [cx, cy] = directionPixel(dir);
+    const stretch = 1 / Math.max(Math.sqrt(1 - dir[1] * dir[1]), 0.05);
+    const sigmaX = 0.6 * stretch;
+    const reachX = Math.ceil(sigmaX * 3);
+    const norm = flux / (2 * Math.PI * sigmaX * 0.6);
+
+    for (let y = Math.floor(cy) - 2; y <= Math.ceil(cy) + 2; y++) {
+      if (y < 0 || y >= EQUIRECT_HEIGHT) continue;
+      for (let dx = -reachX; dx <= reachX + 1; dx++) {
+        const x = Math.floor(cx) + dx;
+        const weight = norm * Math.exp(-(((x - cx) / sigmaX) ** 2 + ((y - cy) / 0.6) ** 2) / 2);
+        const wrapped = ((x % EQUIRECT_WIDTH) + EQUIRECT_WIDTH) % EQUIRECT_WIDTH;
+        const o = (y * EQUIRECT_WIDTH + wrapped) * 3;
+        for (let c = 0; c < 3; c++) data[o + c] += color[c] * weight;
+      }
+    }
+  }
+  return { width: EQUIRECT_WIDTH, height: EQUIRECT_HEIGHT, data };
+}
+
+// Cube face texel (s, t in -1..1, t down) → direction in the cube map's own
+// frame. three samples a cube map at (-x, y, z), so the sky direction shown
+// at a texel has x negated.
+const FACES = {
+  px: (s, t) => [1, -t, -s],
+  nx: (s, t) => [-1, -t, s],
+  py: (s, t) => [s, 1, t],
+  ny: (s, t) => [s, -1, -t],
+  pz: (s, t) => [s, -t, 1],
+  nz: (s, t) => [-s, -t, -1]
+};
+
+function makeFace(equirect, face) {
+  const data = new Float32Array(FACE_SIZE * FACE_SIZE * 3);
+  for (let y = 0; y < FACE_SIZE; y++) {
+    for (let x = 0; x < FACE_SIZE; x++) {
+      const s = ((x + 0.5) / FACE_SIZE) * 2 - 1;
+      const t = ((y + 0.5) / FACE_SIZE) * 2 - 1;
+      const [gx, gy, gz] = FACES[face](s, t);
+      data.set(sampleEquirect(equirect, normalize([-gx, gy, gz])), (y * FACE_SIZE + x) * 3);
+    }
+  }
+  return { width: FACE_SIZE, height: FACE_SIZE, data };
+}
+
+const equirect = makeEquirect();
+mkdirSync(new URL('milky-way-cube/', OUT_DIR), { recursive: true });
+writeFileSync(new URL('milky-way.hdr', OUT_DIR), encodeHDR(equirect));
+for (const face of Object.keys(FACES)) {
+  writeFileSync(new URL(`milky-way-cube/${face}.hdr`, OUT_DIR), encodeHDR(makeFace(equirect, face)));
+}
+console.log('Wrote public/sky/milky-way.hdr and public/sky/milky-way-cube/');
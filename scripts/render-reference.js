@@ -0,0 +1,115 @@
+/**
+ * Render a reference image on the CPU (see reference-renderer.js).
+ *
+ *   node scripts/render-reference.js [options]
+ *
+ *   --config <file>      Settings exported with "Export JSON" (default: defaults)
+ *   --width <px>         Default 160
+ *   --height <px>        Default 90
+ *   --time <s>           Simulation clock, default 0
+ *   --position <x,y,z>   Camera position, default 0,-5,20 (the app's start view)
+ *   --target <x,y,z>     Orbit target, default 0,0,0
+ *   --out <file>         .png or .ppm
+ *   --compare <file.ppm> Golden image; exits with status 1 if the render differs
+ *   --tolerance <n>      Per-channel 8-bit difference allowed when comparing, default 2
+ *   --background <file>  Equirect sky (.hdr) for configs with the "equirect"
+ *                        background, default: the bundled sample sky
+ *   --catalog <file>     Star catalog (.csv) for configs with the "catalog"
+ *                        background, default: the bundled bright stars
+ *
+ * Compare against goldens written by this script (PPM keeps them lossless
+ * and easy to read back).
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createDefaultConfig, parseConfig } from '../config-schema.js';
+import { renderReference, developReference } from '../reference-renderer.js';
+import { parseStarCatalog, buildStarGrid } from '../star-catalog.js';
+import { toRGB8, encodePNG, encodePPM, decodePPM, decodeHDR, compareImages } from '../image-codec.js';
+
+const { values: args } = parseArgs({
+  options: {
+    config: { type: 'string' },
+    width: { type: 'string', default: '160' },
+    height: { type: 'string', default: '90' },
+    time: { type: 'string', default: '0' },
+    position: { type: 'string', default: '0,-5,20' },
+    target: { type: 'string', default: '0,0,0' },
+    out: { type: 'string' },
+    compare: { type: 'string' },
+    tolerance: { type: 'string', default: '2' },
+    background: { type: 'string' },
+    catalog: { type: 'string' }
+  }
+});
+
+function parseVector(text, name) {
+  const vector = text.split(',').map(Number);
+  if (vector.length !== 3 || !vector.every(Number.isFinite)) {
+    throw new Error(`--${name} expects x,y,z`);
+  }
+  return vector;
+}
+
+let config = createDefaultConfig();
+if (args.config) {
+  const result = parseConfig(JSON.parse(readFileSync(args.config, 'utf8')));
+  config = result.config;
+  for (const error of result.errors) {
+    console.warn(`config: ${error}`);
+  }
+}
+
+// Image and catalog backgrounds: equirect and catalog like the app (falling
+// back to its samples); cubemaps aren't supported here
+let backgroundImage = null;
+let starCatalog = null;
+if (config.backgroundSource === 'equirect') {
+  const file = args.background ?? new URL('../public/sky/milky-way.hdr', import.meta.url);
+  backgroundImage = decodeHDR(new Uint8Array(readFileSync(file)));
+} else if (config.backgroundSource === 'catalog') {
+  const file = args.catalog ?? new URL('../public/catalogs/bright-stars.csv', import.meta.url);
+  const { stars, skipped } = parseStarCatalog(readFileSync(file, 'utf8'));
+  if (skipped > 0) {
+    console.warn(`catalog: skipped ${skipped} rows`);
+  }
+  starCatalog = buildStarGrid(stars);
+} else if (config.backgroundSource === 'cubemap') {
+  console.warn('Cubemap backgrounds are not supported; drawing the procedural sky');
+}
+
+const start = performance.now();
+const render = renderReference({
+  config,
+  camera: {
+    position: parseVector(args.position, 'position'),
+    target: parseVector(args.target, 'target')
+  },
+  width: Number(args.width),
+  height: Number(args.height),
+  time: Number(args.time),
+  backgroundImage,
+  starCatalog
+});
+const image = toRGB8(developReference(render, config));
+console.log(`Rendered ${image.width}×${image.height} in ${((performance.now() - start) / 1000).toFixed(1)}s`);
+
+if (args.out) {
+  const bytes = args.out.toLowerCase().endsWith('.ppm') ? encodePPM(image) : encodePNG(image);
+  writeFileSync(args.out, bytes);
+  console.log(`Wrote ${args.out}`);
+}
+
+if (args.compare) {
+  const golden = decodePPM(new Uint8Array(readFileSync(args.compare)));
+  const result = compareImages(image, golden, { tolerance: Number(args.tolerance) });
+  console.log(
+    `Compared with ${args.compare}: max difference ${result.maxDifference}, ` +
+    `mean ${result.meanDifference.toFixed(3)}, ${result.mismatchedPixels} pixel(s) over tolerance`
+  );
+  if (!result.match) {
+    console.error('Render does not match the golden image');
+    process.exitCode = 1;
+  }
+}
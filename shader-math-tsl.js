@@ -0,0 +1,78 @@
+/**
+ * TSL operations for shader-math.js: the shared math builds shader nodes.
+ */
+
+import {
+  vec2,
+  vec3,
+  float,
+  dot,
+  cross,
+  length,
+  normalize,
+  sin,
+  cos,
+  sqrt,
+  abs,
+  sign,
+  exp,
+  floor,
+  fract,
+  pow,
+  min,
+  max,
+  clamp,
+  mix,
+  step,
+  smoothstep,
+  select
+} from 'three/tsl';
+import { bindMath } from './shader-math.js';
+
+// Plain numbers become float nodes so node methods can be called on them
+const node = (value) => (typeof value === 'number' ? float(value) : value);
+
+export const TSL_OPS = {
+  float: (x) => float(x),
+  vec2: (x, y) => vec2(x, y),
+  vec3: (x, y, z) => vec3(x, y, z),
+  x: (v) => v.x,
+  y: (v) => v.y,
+  z: (v) => v.z,
+
+  add: (a, b) => node(a).add(b),
+  sub: (a, b) => node(a).sub(b),
+  mul: (a, b) => node(a).mul(b),
+  div: (a, b) => node(a).div(b),
+  negate: (a) => node(a).negate(),
+
+  dot: (a, b) => dot(a, b),
+  cross: (a, b) => cross(a, b),
+  length: (a) => length(a),
+  normalize: (a) => normalize(a),
+
+  sin: (a) => sin(a),
+  cos: (a) => cos(a),
+  sqrt: (a) => sqrt(a),
+  abs: (a) => abs(a),
+  sign: (a) => sign(a),
+  exp: (a) => exp(a),
+  floor: (a) => floor(a),
+  fract: (a) => fract(a),
+  pow: (a, b) => pow(a, node(b)),
+  min: (a, b) => min(a, node(b)),
+  max: (a, b) => max(a, node(b)),
+  clamp: (x, lo, hi) => clamp(x, node(lo), node(hi)),
+  mix: (a, b, t) => mix(a, b, t),
+  step: (edge, x) => step(node(edge), node(x)),
+  smoothstep: (edge0, edge1, x) => smoothstep(node(edge0), node(edge1), x),
+
+  greaterThan: (a, b) => node(a).greaterThan(b),
+  lessThan: (a, b) => node(a).lessThan(b),
+  select: (condition, a, b) => select(condition, a, b)
+};
+
+/**
+ * The shared math as TSL node builders. Call inside an Fn.
+ */
+export const tslMath = bindMath(TSL_OPS);
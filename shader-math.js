@@ -0,0 +1,361 @@
+/**
+ * Shared Shader Math
+ *
+ * The core math of the black hole shader, written once against a small set
+ * of operations `m`. Passed JS_OPS it computes with numbers and [x, y, z]
+ * arrays; passed the TSL operations from shader-math-tsl.js it builds shader
+ * nodes. The GPU and the CPU reference renderer therefore share one
+ * definition of the hashes, noise, procedural stars, blackbody lookup,
+ * Doppler shift and the ray bend and geodesic steps.
+ *
+ * Rules for functions here: use only `m` operations on values (never JS
+ * operators), and no data-dependent JS control flow. Loops with a fixed
+ * count, like fbm octaves, are unrolled.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { BLACKBODY_TEMPS, BLACKBODY_R, BLACKBODY_G, BLACKBODY_B } from './blackbody.js';
+
+// ============================================================================
+// JAVASCRIPT OPERATIONS
+// ============================================================================
+
+const isVector = Array.isArray;
+
+// Apply a scalar function componentwise, broadcasting scalars
+function zip(a, b, fn) {
+  if (isVector(a)) {
+    return isVector(b) ? a.map((v, i) => fn(v, b[i])) : a.map((v) => fn(v, b));
+  }
+  return isVector(b) ? b.map((v) => fn(a, v)) : fn(a, b);
+}
+
+const map = (a, fn) => (isVector(a) ? a.map(fn) : fn(a));
+
+/**
+ * Operations on numbers and arrays, with GLSL/WGSL semantics.
+ * `mix` and `smoothstep` take a scalar weight / edges.
+ */
+export const JS_OPS = {
+  float: (x) => x,
+  vec2: (x, y) => [x, y],
+  vec3: (x, y, z) => [x, y, z],
+  x: (v) => v[0],
+  y: (v) => v[1],
+  z: (v) => v[2],
+
+  add: (a, b) => zip(a, b, (p, q) => p + q),
+  sub: (a, b) => zip(a, b, (p, q) => p - q),
+  mul: (a, b) => zip(a, b, (p, q) => p * q),
+  div: (a, b) => zip(a, b, (p, q) => p / q),
+  negate: (a) => map(a, (v) => -v),
+
+  dot: (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0),
+  cross: (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ],
+  length: (a) => Math.sqrt(a.reduce((sum, v) => sum + v * v, 0)),
+  normalize: (a) => {
+    const len = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+    return a.map((v) => v / len);
+  },
+
+  sin: (a) => map(a, Math.sin),
+  cos: (a) => map(a, Math.cos),
+  sqrt: (a) => map(a, Math.sqrt),
+  abs: (a) => map(a, Math.abs),
+  sign: (a) => map(a, Math.sign),
+  exp: (a) => map(a, Math.exp),
+  floor: (a) => map(a, Math.floor),
+  fract: (a) => map(a, (v) => v - Math.floor(v)),
+  pow: (a, b) => zip(a, b, Math.pow),
+  min: (a, b) => zip(a, b, Math.min),
+  max: (a, b) => zip(a, b, Math.max),
+  clamp: (x, lo, hi) => map(x, (v) => Math.min(Math.max(v, lo), hi)),
+  mix: (a, b, t) => zip(a, b, (p, q) => p + (q - p) * t),
+  step: (edge, x) => zip(edge, x, (e, v) => (v >= e ? 1 : 0)),
+  smoothstep: (edge0, edge1, x) => {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+  },
+
+  greaterThan: (a, b) => a > b,
+  lessThan: (a, b) => a < b,
+  select: (condition, a, b) => (condition ? a : b)
+};
+
+// Sum terms pairwise, keeping generated shader expressions shallow
+function sum(m, terms) {
+  if (terms.length === 1) return terms[0];
+  const half = Math.ceil(terms.length / 2);
+  return m.add(sum(m, terms.slice(0, half)), sum(m, terms.slice(half)));
+}
+
+// ============================================================================
+// HASHES AND NOISE
+// ============================================================================
+
+// Pseudo-random value in [0, 1) from a 3D cell
+export function hash31(m, p) {
+  return m.fract(m.mul(m.sin(m.dot(p, m.vec3(127.1, 311.7, 74.7))), 43758.5453));
+}
+
+// 3D value noise in [0, 1]
+export function noise3D(m, p) {
+  const i = m.floor(p);
+  const f = m.fract(p);
+  const u = m.mul(m.mul(f, f), m.sub(3.0, m.mul(f, 2.0)));
+  const corner = (x, y, z) => hash31(m, m.add(i, m.vec3(x, y, z)));
+
+  const ux = m.x(u);
+  const uy = m.y(u);
+  return m.mix(
+    m.mix(m.mix(corner(0, 0, 0), corner(1, 0, 0), ux), m.mix(corner(0, 1, 0), corner(1, 1, 0), ux), uy),
+    m.mix(m.mix(corner(0, 0, 1), corner(1, 0, 1), ux), m.mix(corner(0, 1, 1), corner(1, 1, 1), ux), uy),
+    m.z(u)
+  );
+}
+
+// Fractal Brownian motion: `octaves` layers of noise3D
+export function fbm(m, p, lacunarity, persistence, octaves = 4) {
+  const terms = [];
+  let pos = p;
+  let amplitude = m.float(0.5);
+  for (let i = 0; i < octaves; i++) {
+    terms.push(m.mul(noise3D(m, pos), amplitude));
+    if (i < octaves - 1) {
+      pos = m.mul(pos, lacunarity);
+      amplitude = m.mul(amplitude, persistence);
+    }
+  }
+  return sum(m, terms);
+}
+
+// ============================================================================
+// STARS
+// ============================================================================
+
+// Gaussian of width `sigma` blurred by one of width `filterSigma`: it widens
+// and dims together so its total light is unchanged. The combined width is
+// capped at `maxSigma`.
+function filteredGaussian(m, distSq, sigma, filterSigma, maxSigma) {
+  const sigmaSq = m.mul(sigma, sigma);
+  const totalSq = m.min(m.add(sigmaSq, m.mul(filterSigma, filterSigma)), m.mul(maxSigma, maxSigma));
+  const falloff = m.exp(m.div(m.negate(distSq), m.mul(totalSq, 2.0)));
+  return m.mul(m.min(m.div(sigmaSq, totalSq), 1.0), falloff);
+}
+
+/**
+ * Light along `dir` from the procedural star in one cell, if it has one.
+ *
+ * Stars are points scattered through space, up to one per unit cell (with
+ * probability `density`). Those in the shell of cells at distance
+ * `gridScale` are the visible ones, seen in their direction from the
+ * origin. That is uniform over the sphere: no seam, and no bunching at the
+ * poles. A ray checks the 3×3×3 cells around dir × gridScale.
+ *
+ * `footprint` is the angle the pixel spans on the sky after bending. Stars
+ * are blurred to it, so small or strongly lensed stars don't flicker or
+ * drop out between pixels.
+ */
+export function starCell(m, cell, dir, { gridScale, footprint, density, size }) {
+  const jitter = m.vec3(
+    hash31(m, m.add(cell, 11.3)),
+    hash31(m, m.add(cell, 27.1)),
+    hash31(m, m.add(cell, 43.7))
+  );
+  const point = m.add(cell, jitter);
+  const distance = m.length(point);
+  const inShell = m.step(m.abs(m.sub(distance, gridScale)), 0.5);
+  const exists = m.step(m.sub(1.0, density), hash31(m, cell));
+
+  const offset = m.sub(dir, m.div(point, distance));
+  const distSq = m.dot(offset, offset);
+
+  // Widths in radians; a cell spans 1 / gridScale. The cap keeps stars
+  // inside the cells a ray checks.
+  const cellAngle = m.div(1.0, gridScale);
+  const sigma = m.mul(m.mul(m.add(m.mul(hash31(m, m.add(cell, 100.0)), 0.012), 0.004), size), cellAngle);
+  const filterSigma = m.mul(footprint, 0.3);
+  const maxSigma = m.mul(cellAngle, 0.25);
+  const core = filteredGaussian(m, distSq, sigma, filterSigma, maxSigma);
+  const glow = m.mul(filteredGaussian(m, distSq, m.mul(sigma, 3.0), filterSigma, maxSigma), 0.3);
+
+  const color = m.mix(m.vec3(0.8, 0.9, 1.0), m.vec3(1.0, 0.95, 0.8), hash31(m, m.add(cell, 200.0)));
+  return m.mul(color, m.mul(m.add(core, glow), m.mul(inShell, exists)));
+}
+
+// ============================================================================
+// DISK EMISSION
+// ============================================================================
+
+/**
+ * Linear RGB of a blackbody at tempK (clamped to 1000-40000 K), interpolated
+ * from the table in blackbody.js.
+ */
+export function blackbody(m, tempK) {
+  const temp = m.clamp(tempK, 1000.0, 40000.0);
+  const last = BLACKBODY_TEMPS.length - 2;
+  const terms = [];
+
+  // Each segment contributes only while temp is inside it: [low, high),
+  // with the final segment closed so 40000 K is included
+  for (let i = 0; i <= last; i++) {
+    const tLow = BLACKBODY_TEMPS[i];
+    const tHigh = BLACKBODY_TEMPS[i + 1];
+    const belowHigh = i === last ? m.step(temp, tHigh) : m.sub(1.0, m.step(tHigh, temp));
+    const inRange = m.mul(m.step(tLow, temp), belowHigh);
+    const t = m.div(m.sub(temp, tLow), tHigh - tLow);
+
+    terms.push(m.mul(m.mix(
+      m.vec3(BLACKBODY_R[i], BLACKBODY_G[i], BLACKBODY_B[i]),
+      m.vec3(BLACKBODY_R[i + 1], BLACKBODY_G[i + 1], BLACKBODY_B[i + 1]),
+      t
+    ), inRange));
+  }
+  return sum(m, terms);
+}
+
+/**
+ * Disk temperature profile: T(r) = T_peak × (r_inner / r)^α.
+ * @param {*} peakTemperature - In thousands of Kelvin
+ */
+export function diskTemperature(m, hitR, innerRadius, peakTemperature, falloff) {
+  return m.mul(m.mul(peakTemperature, 1000.0), m.pow(m.div(innerRadius, hitR), falloff));
+}
+
+/**
+ * Frequency shift of disk light toward the camera.
+ *
+ * The gas moves the way the turbulence pattern visibly turns: the pattern
+ * samples angle + phase, so with a positive rotation speed features move
+ * toward smaller angles (about +Y). θ is the angle between that velocity and
+ * the photon's emission direction, -rayDir, in both modes.
+ *
+ * With `relativistic` > 0.5: g = sqrt(1 - rs/r) / (γ(1 - β cos θ)), with the
+ * Keplerian speed seen by a static observer β = sqrt(M/(r - 2M)), and
+ * intensity scales as g⁴. Otherwise Doppler beaming only:
+ * D = 1/(1 - β cos θ), brightness ∝ D³.
+ *
+ * @returns {*} vec3(temperature scale g, intensity scale, Doppler factor)
+ */
+export function diskDopplerShift(m, {
+  hitR, hitAngle, rayDir, mass, innerRadius, rotationSpeed, dopplerStrength, relativistic
+}) {
+  const rotationSign = m.sign(rotationSpeed);
+  const velocityDir = m.vec3(
+    m.mul(m.sin(hitAngle), rotationSign),
+    0.0,
+    m.mul(m.negate(m.cos(hitAngle)), rotationSign)
+  );
+  const cosEmit = m.dot(velocityDir, m.negate(rayDir));
+
+  // Relativistic color
+  const orbitalBeta = m.min(
+    m.mul(m.sqrt(m.div(mass, m.max(m.sub(hitR, m.mul(mass, 2.0)), 0.001))), dopplerStrength),
+    0.95
+  );
+  const gamma = m.div(1.0, m.sqrt(m.sub(1.0, m.mul(orbitalBeta, orbitalBeta))));
+  const gravitationalShift = m.sqrt(m.max(m.sub(1.0, m.div(m.mul(mass, 2.0), hitR)), 0.0));
+  const g = m.div(gravitationalShift, m.mul(gamma, m.sub(1.0, m.mul(orbitalBeta, cosEmit))));
+  const relativisticShift = m.vec3(g, m.pow(g, 4.0), g);
+
+  // Doppler beaming
+  const beta = m.mul(m.div(1.0, m.sqrt(m.div(hitR, innerRadius))), 0.3);
+  const dopplerFactor = m.div(1.0, m.sub(1.0, m.mul(beta, cosEmit)));
+  const dopplerBoost = m.pow(dopplerFactor, m.mul(3.0, dopplerStrength));
+  const beamingShift = m.vec3(1.0, m.clamp(dopplerBoost, 0.1, 5.0), dopplerFactor);
+
+  return m.select(m.greaterThan(relativistic, 0.5), relativisticShift, beamingShift);
+}
+
+// ============================================================================
+// RAY BENDING
+// ============================================================================
+
+/**
+ * Classic bend step: turn the ray toward the centre by rs/r² × dt (scaled by
+ * the lensing strength), then advance it by dt.
+ * @param {*} r - length(pos), usually already known to the caller
+ * @returns {{ pos: *, dir: * }}
+ */
+export function bendStep(m, pos, dir, r, dt, rs, lensing) {
+  const toCenter = m.div(m.negate(pos), r);
+  const bendStrength = m.mul(m.mul(m.div(rs, m.mul(r, r)), dt), lensing);
+  const newDir = m.normalize(m.add(dir, m.mul(toCenter, bendStrength)));
+  return { pos: m.add(pos, m.mul(newDir, dt)), dir: newDir };
+}
+
+/**
+ * Photon acceleration toward the hole, -(3/2) rs h² x / r⁵, the Cartesian
+ * form of the orbit equation u'' + u = 3Mu² (u = 1/r).
+ * @param {*} h2 - |x × dx/dλ|², constant along the ray
+ */
+export function geodesicAcceleration(m, pos, h2, rs, lensing) {
+  const r = m.length(pos);
+  const r2 = m.mul(r, r);
+  const k = m.mul(m.mul(rs, h2), lensing);
+  return m.mul(pos, m.div(m.mul(k, -1.5), m.mul(m.mul(r2, r2), r)));
+}
+
+/**
+ * Schwarzschild null geodesic step: one classic RK4 step of length dt.
+ * Lensing strength is physical at 1.0; other values exaggerate. The path
+ * only depends on the direction, so it is renormalized.
+ * @returns {{ pos: *, dir: * }}
+ */
+export function geodesicStep(m, pos, dir, dt, rs, lensing) {
+  const cp = m.cross(pos, dir);
+  const h2 = m.dot(cp, cp);
+  const accel = (p) => geodesicAcceleration(m, p, h2, rs, lensing);
+  const halfDt = m.mul(dt, 0.5);
+
+  const k1x = dir;
+  const k1v = accel(pos);
+  const k2x = m.add(dir, m.mul(k1v, halfDt));
+  const k2v = accel(m.add(pos, m.mul(k1x, halfDt)));
+  const k3x = m.add(dir, m.mul(k2v, halfDt));
+  const k3v = accel(m.add(pos, m.mul(k2x, halfDt)));
+  const k4x = m.add(dir, m.mul(k3v, dt));
+  const k4v = accel(m.add(pos, m.mul(k3x, dt)));
+
+  const sixthDt = m.div(dt, 6.0);
+  const dx = sum(m, [k1x, m.mul(k2x, 2.0), m.mul(k3x, 2.0), k4x]);
+  const dv = sum(m, [k1v, m.mul(k2v, 2.0), m.mul(k3v, 2.0), k4v]);
+  return {
+    pos: m.add(pos, m.mul(dx, sixthDt)),
+    dir: m.normalize(m.add(dir, m.mul(dv, sixthDt)))
+  };
+}
+
+// ============================================================================
+// BINDING
+// ============================================================================
+
+/**
+ * The shared functions with their operations filled in,
+ * e.g. bindMath(JS_OPS).noise3D([x, y, z]).
+ */
+export function bindMath(m) {
+  const bind = (fn) => (...args) => fn(m, ...args);
+  return {
+    hash31: bind(hash31),
+    noise3D: bind(noise3D),
+    fbm: bind(fbm),
+    starCell: bind(starCell),
+    blackbody: bind(blackbody),
+    diskTemperature: bind(diskTemperature),
+    diskDopplerShift: bind(diskDopplerShift),
+    bendStep: bind(bendStep),
+    geodesicAcceleration: bind(geodesicAcceleration),
+    geodesicStep: bind(geodesicStep)
+  };
+}
+
+/**
+ * The shared math as plain JavaScript.
+ */
+export const jsMath = bindMath(JS_OPS);
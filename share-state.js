@@ -0,0 +1,160 @@
+/**
+ * Shareable URL State
+ *
+ * Packs the configuration, as a diff from the defaults, together with the
+ * camera position and orbit target into a URL hash, so a link reproduces a
+ * specific look. The payload is JSON, base64url-encoded:
+ *
+ *   #view=<base64url({ v, cv, c: configDiff, p: [x, y, z], t: [x, y, z] })>
+ *
+ * `cv` is the config version the diff was made against, so the app can
+ * migrate links made before a config change.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { normalizeColorToHex } from './config-schema.js';
+
+// Bump when the payload layout changes; older links are then rejected
+export const SHARE_STATE_VERSION = 1;
+
+const HASH_PREFIX = '#view=';
+
+// Config version of links made before `cv` was recorded. Migrating from 1
+// is safe for version 2 diffs too.
+const UNVERSIONED_CONFIG = 1;
+
+// Decimal places kept for camera coordinates
+const CAMERA_PRECISION = 3;
+
+function isColorDefault(value) {
+  return typeof value === 'string' && value.startsWith('#');
+}
+
+/**
+ * Whether two config values are the same; objects and arrays compare by
+ * content. Shared with the undo history so both detect changes alike.
+ */
+export function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+/**
+ * Config entries that differ from the defaults, with colors as hex strings.
+ * Keys missing from the defaults are left out.
+ */
+export function diffConfig(config, defaults) {
+  const diff = {};
+  for (const key of Object.keys(defaults)) {
+    if (config[key] === undefined) continue;
+
+    const value = isColorDefault(defaults[key])
+      ? normalizeColorToHex(config[key])
+      : config[key];
+    if (!isEqualValue(value, defaults[key])) {
+      diff[key] = value;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Overlay a config diff on the defaults. Entries for unknown keys, or whose
+ * type doesn't match the default, are ignored so a hand-edited or outdated
+ * link can't break the simulation.
+ */
+export function applyConfigDiff(defaults, diff) {
+  const config = { ...defaults };
+  for (const [key, value] of Object.entries(diff ?? {})) {
+    if (!(key in defaults)) continue;
+
+    const expected = defaults[key];
+    if (isColorDefault(expected)) {
+      config[key] = normalizeColorToHex(value);
+    } else if (Array.isArray(expected) ? Array.isArray(value) : typeof value === typeof expected) {
+      config[key] = value;
+    }
+  }
+  return config;
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+function roundVector(v) {
+  const scale = 10 ** CAMERA_PRECISION;
+  return [v.x, v.y, v.z].map((c) => Math.round(c * scale) / scale);
+}
+
+function parseVector(value) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    return null;
+  }
+  return { x: value[0], y: value[1], z: value[2] };
+}
+
+/**
+ * Build the URL hash for a config and camera view.
+ * @param {Object} config
+ * @param {Object} defaults
+ * @param {Object} [camera]
+ * @param {{ x: number, y: number, z: number }} camera.position
+ * @param {{ x: number, y: number, z: number }} camera.target
+ * @param {number} [configVersion] - Version of `config` (see config-schema.js)
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeShareState(config, defaults, camera, configVersion = UNVERSIONED_CONFIG) {
+  const payload = { v: SHARE_STATE_VERSION, cv: configVersion, c: diffConfig(config, defaults) };
+  if (camera) {
+    payload.p = roundVector(camera.position);
+    payload.t = roundVector(camera.target);
+  }
+  return HASH_PREFIX + toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Read a URL hash produced by encodeShareState.
+ * @returns {{ config: Object, configVersion: number, camera: { position: Object, target: Object } | null } | null}
+ *   The config diff, its config version and the camera view, or null if the
+ *   hash holds no valid state
+ */
+export function decodeShareState(hash) {
+  if (typeof hash !== 'string' || !hash.startsWith(HASH_PREFIX)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.v !== SHARE_STATE_VERSION || typeof payload.c !== 'object' || payload.c === null) {
+    return null;
+  }
+
+  const position = parseVector(payload.p);
+  const target = parseVector(payload.t);
+  return {
+    config: payload.c,
+    configVersion: Number.isInteger(payload.cv) ? payload.cv : UNVERSIONED_CONFIG,
+    camera: position && target ? { position, target } : null
+  };
+}
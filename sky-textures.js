@@ -0,0 +1,196 @@
+/**
+ * Sky Background Textures
+ *
+ * Loads images for the lensed background: an equirectangular panorama
+ * (.hdr, .exr, or an ordinary image such as .png/.jpg) or a cubemap of six
+ * faces (.hdr or ordinary images). Also loads star catalogs into the
+ * textures the catalog background searches. Until the user picks their own,
+ * the bundled samples in public/sky/ and public/catalogs/ are used, so these
+ * backgrounds work offline.
+ */
+
+import * as THREE from 'three/webgpu';
+import { HDRLoader } from 'three/addons/loaders/HDRLoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { HDRCubeTextureLoader } from 'three/addons/loaders/HDRCubeTextureLoader.js';
+import { parseStarCatalog, buildStarGrid } from './star-catalog.js';
+
+const CUBE_FACES = ['px', 'nx', 'py', 'ny', 'pz', 'nz'];
+
+// Sample sky shipped in public/ (see scripts/make-sample-sky.js)
+const SAMPLE_SKY = {
+  equirect: [`${import.meta.env.BASE_URL}sky/milky-way.hdr`],
+  cubemap: CUBE_FACES.map((face) => `${import.meta.env.BASE_URL}sky/milky-way-cube/${face}.hdr`),
+  catalog: [`${import.meta.env.BASE_URL}catalogs/bright-stars.csv`]
+};
+
+// Names accepted for each face, in three's order (+X, -X, +Y, -Y, +Z, -Z)
+const CUBE_FACE_NAMES = [
+  ['px', 'posx', 'right', 'rt'],
+  ['nx', 'negx', 'left', 'lf'],
+  ['py', 'posy', 'top', 'up'],
+  ['ny', 'negy', 'bottom', 'dn'],
+  ['pz', 'posz', 'front', 'ft'],
+  ['nz', 'negz', 'back', 'bk']
+];
+
+/**
+ * File types the background file picker accepts.
+ */
+export const BACKGROUND_FILE_TYPES = '.hdr,.exr,.png,.jpg,.jpeg,.webp';
+
+/**
+ * File types the star catalog picker accepts.
+ */
+export const CATALOG_FILE_TYPES = '.csv,.tsv,.txt';
+
+const extensionOf = (name) => name.split('.').pop().toLowerCase();
+
+/**
+ * Load an equirectangular panorama.
+ * @param {string} url
+ * @param {string} [name=url] - File name, for picking the loader by extension
+ * @returns {Promise<THREE.Texture>}
+ */
+export async function loadEquirectTexture(url, name = url) {
+  const extension = extensionOf(name);
+  let texture;
+  if (extension === 'hdr') {
+    texture = await new HDRLoader().loadAsync(url);
+  } else if (extension === 'exr') {
+    texture = await new EXRLoader().loadAsync(url);
+  } else {
+    texture = await new THREE.TextureLoader().loadAsync(url);
+    texture.colorSpace = THREE.SRGBColorSpace;
+  }
+
+  // Wrap around horizontally so there's no seam where the panorama meets
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Load a cubemap from six faces in three's order (px, nx, py, ny, pz, nz).
+ * Faces must be all .hdr or all ordinary images.
+ * @param {string[]} urls
+ * @param {string[]} [names=urls] - File names, for picking the loader by extension
+ * @returns {Promise<THREE.CubeTexture>}
+ */
+export async function loadCubemapTexture(urls, names = urls) {
+  const hdrFaces = names.filter((name) => extensionOf(name) === 'hdr').length;
+  if (hdrFaces === 6) {
+    return new HDRCubeTextureLoader().loadAsync(urls);
+  }
+  if (hdrFaces > 0 || names.some((name) => extensionOf(name) === 'exr')) {
+    throw new Error('Cubemap faces must be all .hdr or all 8-bit images');
+  }
+  const texture = await new THREE.CubeTextureLoader().loadAsync(urls);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+/**
+ * Put six cubemap face files in three's order, going by their names
+ * (px/nx/..., posx/negx/..., or right/left/top/bottom/front/back).
+ * @param {File[]} files
+ * @returns {File[]}
+ */
+export function orderCubemapFiles(files) {
+  const ordered = CUBE_FACE_NAMES.map((aliases) => files.filter((file) => {
+    const tokens = file.name.toLowerCase().replace(/\.[^.]*$/, '').split(/[^a-z0-9]+/);
+    return tokens.some((token) => aliases.includes(token));
+  }));
+
+  if (ordered.some((matches) => matches.length !== 1)) {
+    throw new Error('Name the six cubemap faces px, nx, py, ny, pz, nz (or right, left, top, bottom, front, back)');
+  }
+  return ordered.map(([file]) => file);
+}
+
+/**
+ * Load the files chosen in the background picker: one panorama, or six
+ * cubemap faces.
+ * @param {File[]} files
+ * @returns {Promise<{ source: 'equirect'|'cubemap', texture: THREE.Texture }>}
+ */
+export async function loadBackgroundFiles(files) {
+  if (files.length !== 1 && files.length !== 6) {
+    throw new Error('Choose one panorama or six cubemap faces');
+  }
+
+  const ordered = files.length === 6 ? orderCubemapFiles(files) : files;
+  const urls = ordered.map((file) => URL.createObjectURL(file));
+  try {
+    if (files.length === 1) {
+      return { source: 'equirect', texture: await loadEquirectTexture(urls[0], ordered[0].name) };
+    }
+    return { source: 'cubemap', texture: await loadCubemapTexture(urls, ordered.map((file) => file.name)) };
+  } finally {
+    urls.forEach((url) => URL.revokeObjectURL(url));
+  }
+}
+
+function makeDataTexture({ width, height, data }) {
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+  texture.minFilter = THREE.NearestFilter;
+  texture.magFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Build the catalog background's textures from catalog text.
+ * @param {string} text - CSV/TSV with a header row (see parseStarCatalog())
+ * @returns {{ gridSize: number, radius: number, starCount: number, skipped: number,
+ *   cellTexture: THREE.DataTexture, entryTexture: THREE.DataTexture, dispose: Function }}
+ */
+export function createStarCatalog(text) {
+  const { stars, skipped } = parseStarCatalog(text);
+  if (stars.length === 0) {
+    throw new Error('No stars found in the catalog');
+  }
+
+  const grid = buildStarGrid(stars);
+  const cellTexture = makeDataTexture(grid.cells);
+  const entryTexture = makeDataTexture(grid.entries);
+  return {
+    gridSize: grid.gridSize,
+    radius: grid.radius,
+    starCount: grid.starCount,
+    skipped,
+    cellTexture,
+    entryTexture,
+    dispose() {
+      cellTexture.dispose();
+      entryTexture.dispose();
+    }
+  };
+}
+
+/**
+ * Load a star catalog file chosen in the catalog picker.
+ * @param {File} file
+ */
+export async function loadStarCatalogFile(file) {
+  return createStarCatalog(await file.text());
+}
+
+/**
+ * Load the bundled sample for a background source: the sample sky image,
+ * or the bright-star catalog for 'catalog'.
+ * @param {'equirect'|'cubemap'|'catalog'} source
+ * @returns {Promise<THREE.Texture|ReturnType<typeof createStarCatalog>>}
+ */
+export async function loadSampleSky(source) {
+  if (source === 'catalog') {
+    const response = await fetch(SAMPLE_SKY.catalog[0]);
+    if (!response.ok) {
+      throw new Error(`Couldn't load the sample star catalog (${response.status})`);
+    }
+    return createStarCatalog(await response.text());
+  }
+  return source === 'cubemap'
+    ? loadCubemapTexture(SAMPLE_SKY.cubemap)
+    : loadEquirectTexture(SAMPLE_SKY.equirect[0]);
+}
@@ -0,0 +1,244 @@
+/**
+ * Star Catalog
+ *
+ * Parses star catalogs (CSV/TSV exports of the Yale Bright Star Catalog,
+ * HYG, Hipparcos and the like) and packs them into a direction grid the
+ * shader can search: each ray only tests the stars in its own cell.
+ *
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+import { raDecToDirection, bvToTemperature, magnitudeToFlux } from './celestial.js';
+import { jsMath } from './shader-math.js';
+
+// Column names accepted for each field (lowercase, punctuation stripped)
+const COLUMNS = {
+  raHours: ['rahours', 'rah', 'rahms', 'rahour'],
+  ra: ['ra', 'radeg', 'raj2000', 'raicrs', 'rightascension'],
+  dec: ['dec', 'decdeg', 'de', 'dej2000', 'decj2000', 'deicrs', 'declination'],
+  mag: ['mag', 'vmag', 'v', 'hpmag', 'magnitude', 'appmag'],
+  bv: ['bv', 'bmv', 'ci', 'colorindex', 'bvcolor']
+};
+
+/** Texels per row in the packed textures */
+export const STAR_TEXTURE_WIDTH = 1024;
+
+/** Angular radius (radians) within which a star can light a ray */
+export const CATALOG_STAR_RADIUS = 0.02;
+
+/** Magnitude that gets unit flux; brighter stars exceed 1 */
+export const CATALOG_ZERO_POINT = 6;
+
+const normalizeHeader = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function splitLine(line, delimiter) {
+  if (delimiter === 'whitespace') return line.trim().split(/\s+/);
+
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+}
+
+function detectDelimiter(header) {
+  for (const delimiter of [',', '\t', ';', '|']) {
+    if (header.includes(delimiter)) return delimiter;
+  }
+  return 'whitespace';
+}
+
+/**
+ * Parse an angle written as a decimal ("101.287") or sexagesimal
+ * ("06 45 08.9", "-16:42:58", "06h45m08.9s").
+ * @returns {{ value: number, sexagesimal: boolean }|null}
+ */
+export function parseAngle(text) {
+  const trimmed = String(text).trim();
+  if (trimmed === '') return null;
+
+  const parts = trimmed.split(/[\s:hdms°'"]+/i).filter(Boolean);
+  if (parts.length === 1) {
+    const value = Number(parts[0]);
+    return Number.isFinite(value) ? { value, sexagesimal: false } : null;
+  }
+  if (parts.length > 3) return null;
+
+  const numbers = parts.map(Number);
+  if (numbers.some((n) => !Number.isFinite(n))) return null;
+  const sign = trimmed.startsWith('-') ? -1 : 1;
+  const [whole, minutes = 0, seconds = 0] = numbers.map(Math.abs);
+  return { value: sign * (whole + minutes / 60 + seconds / 3600), sexagesimal: true };
+}
+
+/**
+ * Parse catalog text with a header row. Rows missing a position or
+ * magnitude are skipped; a missing B-V gives a white star.
+ *
+ * RA is read in degrees unless the column is named for hours (ra_hours,
+ * RAh), written sexagesimally, or `raUnit` says 'hours'. With 'auto', an
+ * `ra` column (not `ra_deg`) that never exceeds 24 is taken as hours, as
+ * in HYG.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {'auto'|'degrees'|'hours'} [options.raUnit='auto']
+ * @returns {{ stars: Array<{ ra: number, dec: number, mag: number, bv: number|null }>, skipped: number }}
+ */
+export function parseStarCatalog(text, { raUnit = 'auto' } = {}) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '' && !line.startsWith('#'));
+  if (lines.length === 0) throw new Error('Star catalog is empty');
+
+  const delimiter = detectDelimiter(lines[0]);
+  const header = splitLine(lines[0], delimiter).map(normalizeHeader);
+  const find = (aliases) => header.findIndex((name) => aliases.includes(name));
+
+  const raHoursColumn = find(COLUMNS.raHours);
+  const raColumn = raHoursColumn >= 0 ? raHoursColumn : find(COLUMNS.ra);
+  const columns = { ra: raColumn, dec: find(COLUMNS.dec), mag: find(COLUMNS.mag), bv: find(COLUMNS.bv) };
+  const missing = ['ra', 'dec', 'mag'].filter((key) => columns[key] < 0);
+  if (missing.length > 0) {
+    throw new Error(`Star catalog has no ${missing.join(', ')} column`);
+  }
+
+  const rows = [];
+  let skipped = 0;
+  let sexagesimalRA = false;
+  let maxRA = 0;
+  for (const line of lines.slice(1)) {
+    const fields = splitLine(line, delimiter);
+    const ra = parseAngle(fields[columns.ra] ?? '');
+    const dec = parseAngle(fields[columns.dec] ?? '');
+    const mag = Number(fields[columns.mag]);
+    const bvText = columns.bv >= 0 ? fields[columns.bv] : '';
+    const bv = bvText === '' || bvText === undefined ? null : Number(bvText);
+
+    if (!ra || !dec || fields[columns.mag]?.trim() === '' || !Number.isFinite(mag)
+      || Math.abs(dec.value) > 90 || ra.value < 0 || ra.value >= 360) {
+      skipped++;
+      continue;
+    }
+    sexagesimalRA ||= ra.sexagesimal;
+    maxRA = Math.max(maxRA, ra.value);
+    rows.push({ ra: ra.value, dec: dec.value, mag, bv: Number.isFinite(bv) ? bv : null });
+  }
+
+  const namedDegrees = header[raColumn] === 'radeg';
+  const hours = raUnit === 'hours' || (raUnit === 'auto' && !namedDegrees
+    && (raHoursColumn >= 0 || sexagesimalRA || maxRA <= 24));
+  const stars = hours
+    ? rows.filter((star) => star.ra < 24).map((star) => ({ ...star, ra: star.ra * 15 }))
+    : rows;
+  return { stars, skipped: skipped + rows.length - stars.length };
+}
+
+/**
+ * Pack stars into a gridSize³ cell grid over direction space. Each star is
+ * listed in every cell its radius overlaps.
+ *
+ * Layout (RGBA floats, STAR_TEXTURE_WIDTH texels per row):
+ * - cells: one texel per cell, (first entry, entry count, 0, 0)
+ * - entries: two texels per entry, (direction, flux) then (color, 0)
+ *
+ * @param {Array<{ ra: number, dec: number, mag: number, bv: number|null }>} stars
+ * @param {Object} [options]
+ * @param {number} [options.radius=CATALOG_STAR_RADIUS]
+ * @returns {{ gridSize: number, radius: number, starCount: number,
+ *   cells: { width: number, height: number, data: Float32Array },
+ *   entries: { width: number, height: number, data: Float32Array } }}
+ */
+export function buildStarGrid(stars, { radius = CATALOG_STAR_RADIUS } = {}) {
+  const gridSize = Math.min(Math.max(Math.round(Math.sqrt(stars.length / (8 * Math.PI))), 4), 64);
+  const toCell = (v) => Math.min(Math.max(Math.floor((v * 0.5 + 0.5) * gridSize), 0), gridSize - 1);
+
+  const cellStars = new Map();
+  const packed = stars.map((star) => {
+    const dir = raDecToDirection(star.ra, star.dec);
+    const color = jsMath.blackbody(bvToTemperature(star.bv));
+    return { dir, color, flux: magnitudeToFlux(star.mag, CATALOG_ZERO_POINT) };
+  });
+
+  packed.forEach(({ dir }, index) => {
+    const [lo, hi] = [-radius, radius].map((offset) => dir.map((v) => toCell(v + offset)));
+    for (let z = lo[2]; z <= hi[2]; z++) {
+      for (let y = lo[1]; y <= hi[1]; y++) {
+        for (let x = lo[0]; x <= hi[0]; x++) {
+          const cell = (z * gridSize + y) * gridSize + x;
+          if (!cellStars.has(cell)) cellStars.set(cell, []);
+          cellStars.get(cell).push(index);
+        }
+      }
+    }
+  });
+
+  const cellCount = gridSize ** 3;
+  const cells = makeTexels(cellCount);
+  const entryCount = [...cellStars.values()].reduce((sum, list) => sum + list.length, 0);
+  const entries = makeTexels(entryCount * 2);
+
+  let next = 0;
+  for (let cell = 0; cell < cellCount; cell++) {
+    const list = cellStars.get(cell) ?? [];
+    cells.data.set([next, list.length], cell * 4);
+    for (const index of list) {
+      const { dir, color, flux } = packed[index];
+      entries.data.set([...dir, flux, ...color, 0], next * 8);
+      next++;
+    }
+  }
+
+  return { gridSize, radius, starCount: stars.length, cells, entries };
+}
+
+function makeTexels(count) {
+  const height = Math.max(Math.ceil(count / STAR_TEXTURE_WIDTH), 1);
+  return { width: STAR_TEXTURE_WIDTH, height, data: new Float32Array(STAR_TEXTURE_WIDTH * height * 4) };
+}
+
+/**
+ * Light a star grid adds along a sky direction: each star within range is
+ * a Gaussian of angular width `sigma`, scaled so its total light matches
+ * its flux when one pixel spans `pixelAngle`.
+ * @param {ReturnType<typeof buildStarGrid>} grid
+ * @param {number[]} dir - Unit direction in the sky's frame
+ * @param {number} sigma - Angular width (radians)
+ * @param {number} pixelAngle - Angle one pixel spans (radians)
+ * @returns {number[]} [r, g, b]
+ */
+export function sampleStarGrid(grid, dir, sigma, pixelAngle) {
+  const { gridSize, cells, entries } = grid;
+  const toCell = (v) => Math.min(Math.max(Math.floor((v * 0.5 + 0.5) * gridSize), 0), gridSize - 1);
+  const cell = (toCell(dir[2]) * gridSize + toCell(dir[1])) * gridSize + toCell(dir[0]);
+  const [start, count] = cells.data.subarray(cell * 4, cell * 4 + 2);
+
+  const normalization = pixelAngle * pixelAngle / (2 * Math.PI * sigma * sigma);
+  const color = [0, 0, 0];
+  for (let i = start; i < start + count; i++) {
+    const o = i * 8;
+    const d = entries.data;
+    const distanceSq = (dir[0] - d[o]) ** 2 + (dir[1] - d[o + 1]) ** 2 + (dir[2] - d[o + 2]) ** 2;
+    const weight = d[o + 3] * normalization * Math.exp(-distanceSq / (2 * sigma * sigma));
+    for (let c = 0; c < 3; c++) color[c] += d[o + 4 + c] * weight;
+  }
+  return color;
+}
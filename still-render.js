@@ -0,0 +1,184 @@
+/**
+ * Offline High-Resolution Still Renderer
+ *
+ * Renders the current view at an arbitrary resolution (e.g. 8K) by pushing
+ * it through the normal render pipeline one tile at a time, with optional
+ * supersampling and a higher ray step count, then saves the result as PNG.
+ */
+
+import * as THREE from 'three/webgpu';
+import { computeTileLayout, bloomMargin } from './tiles.js';
+
+// Used when the backend doesn't report its texture size limit
+const DEFAULT_MAX_TILE_SIZE = 4096;
+
+/**
+ * Largest square the renderer can draw in one pass.
+ */
+export function getMaxTileSize(renderer) {
+  return renderer.backend?.device?.limits?.maxTextureDimension2D ?? DEFAULT_MAX_TILE_SIZE;
+}
+
+/**
+ * Render one frame through post-processing when present, so the output
+ * pass matches the live view. Bloom spreads over a fixed number of rendered
+ * pixels, so at a larger size its halo covers less of the image.
+ */
+export function renderFrame(renderer, postProcessing, simulation, camera) {
+  if (postProcessing) {
+    postProcessing.render();
+  } else {
+    renderer.render(simulation.scene, camera);
+  }
+}
+
+/**
+ * Run `fn` with the renderer sized to width × height at pixel ratio 1 and
+ * the given ray-marching quality, then restore the live settings, even if
+ * `fn` throws. The camera aspect follows the output size.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGPURenderer} options.renderer
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {import('./blackhole.js').BlackHoleSimulation} options.simulation
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.raySteps] - Defaults to the live setting
+ * @param {number} [options.stepSize] - Defaults to the live setting
+ * @param {() => Promise<void>} fn
+ */
+export async function withRenderSettings({ renderer, camera, simulation, width, height, raySteps, stepSize }, fn) {
+  const config = simulation.config;
+
+  // Save live state
+  const savedSize = renderer.getSize(new THREE.Vector2());
+  const savedPixelRatio = renderer.getPixelRatio();
+  const savedAspect = camera.aspect;
+  const savedRaySteps = config.raySteps;
+  const savedStepSize = config.stepSize;
+
+  try {
+    if (raySteps !== undefined) config.raySteps = raySteps;
+    if (stepSize !== undefined) config.stepSize = stepSize;
+    simulation.updateUniforms({ stepSize: config.stepSize });
+    simulation.refreshShaderOptions();
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    simulation.updateCamera(camera);
+
+    await fn();
+  } finally {
+    // Restore live state
+    simulation.setTile();
+    config.raySteps = savedRaySteps;
+    config.stepSize = savedStepSize;
+    simulation.updateUniforms({ stepSize: config.stepSize });
+    simulation.refreshShaderOptions();
+
+    camera.aspect = savedAspect;
+    camera.updateProjectionMatrix();
+    renderer.setPixelRatio(savedPixelRatio);
+    renderer.setSize(savedSize.x, savedSize.y);
+  }
+}
+
+/**
+ * Render the simulation to an offscreen canvas at width × height.
+ *
+ * The caller must pause its own animation loop while this runs, since the
+ * renderer's canvas is resized and drawn into tile by tile.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGPURenderer} options.renderer
+ * @param {THREE.PostProcessing} [options.postProcessing] - Used when present for bloom and the output
+ *   pass; tiles then carry a margin as wide as the bloom reaches (see bloomMargin() in tiles.js).
+ *   Bloom is sized in rendered pixels, so with supersampling or above the live resolution
+ *   its halo is proportionally smaller than on screen
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {import('./blackhole.js').BlackHoleSimulation} options.simulation
+ * @param {number} options.width - Output width in pixels
+ * @param {number} options.height - Output height in pixels
+ * @param {number} [options.supersample=1] - Samples per output pixel along each axis
+ * @param {number} [options.raySteps] - Ray steps for the still (defaults to the live setting)
+ * @param {number} [options.stepSize] - Ray step length for the still (defaults to the live setting)
+ * @param {number} [options.maxTileSize] - Largest tile edge (defaults to the GPU limit)
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderStill({
+  renderer,
+  postProcessing,
+  camera,
+  simulation,
+  width,
+  height,
+  supersample = 1,
+  raySteps,
+  stepSize,
+  maxTileSize = getMaxTileSize(renderer),
+  onProgress
+}) {
+  const { bloomEnabled, bloomRadius } = simulation.config;
+  const margin = postProcessing && bloomEnabled ? bloomMargin(bloomRadius ?? 0) : 0;
+  const layout = computeTileLayout(width * supersample, height * supersample, maxTileSize, supersample, margin);
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  await withRenderSettings({ renderer, camera, simulation, width, height, raySteps, stepSize }, async () => {
+    for (const tile of layout.tiles) {
+      renderer.setSize(tile.renderWidth, tile.renderHeight, false);
+      simulation.setTile(tile.uvOffset, tile.uvScale);
+      renderFrame(renderer, postProcessing, simulation, camera);
+
+      // Copy before yielding: the canvas is only guaranteed to hold this frame
+      // until control returns to the browser. The margin is cropped away.
+      ctx.drawImage(
+        renderer.domElement,
+        tile.x - tile.renderX, tile.y - tile.renderY, tile.width, tile.height,
+        tile.x / supersample, tile.y / supersample,
+        tile.width / supersample, tile.height / supersample
+      );
+
+      onProgress?.(tile.index + 1, layout.tiles.length);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Download a Blob as a file.
+ */
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a canvas as a PNG file.
+ */
+export function saveCanvasAsPNG(canvas, filename) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to encode PNG'));
+        return;
+      }
+      saveBlob(blob, filename);
+      resolve();
+    }, 'image/png');
+  });
+}
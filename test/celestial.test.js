@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { raDecToDirection, skyOrientation } from '../celestial.js';
+import { assertClose } from './helpers.js';
+
+function assertDirection(actual, expected, message) {
+  actual.forEach((v, k) => assertClose(v, expected[k], 1e-12, `${message}[${k}]`));
+}
+
+test('RA 0h, Dec 0 lies along +X', () => {
+  assertDirection(raDecToDirection(0, 0), [1, 0, 0], 'RA 0 Dec 0');
+});
+
+test('the celestial poles are ±Y whatever the RA', () => {
+  for (const ra of [0, 90, 217.5]) {
+    assertDirection(raDecToDirection(ra, 90), [0, 1, 0], `north pole, RA ${ra}`);
+    assertDirection(raDecToDirection(ra, -90), [0, -1, 0], `south pole, RA ${ra}`);
+  }
+});
+
+test('RA 6h (90°) on the equator lies along -Z, RA 12h along -X', () => {
+  assertDirection(raDecToDirection(90, 0), [0, 0, -1], 'RA 6h');
+  assertDirection(raDecToDirection(180, 0), [-1, 0, 0], 'RA 12h');
+});
+
+test('directions are unit length and Dec sets the height', () => {
+  for (const [ra, dec] of [[101.287, -16.716], [279.23, 38.78], [10, 89.9]]) {
+    const dir = raDecToDirection(ra, dec);
+    assertClose(Math.hypot(...dir), 1, 1e-12, `|dir| at ${ra}, ${dec}`);
+    assertClose(dir[1], Math.sin((dec * Math.PI) / 180), 1e-12, `height at ${ra}, ${dec}`);
+  }
+});
+
+test('the default sky orientation is the identity', () => {
+  assert.deepEqual(skyOrientation(0, 0).map((v) => v + 0), [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+});
@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CONFIG_VERSION,
+  CONFIG_SCHEMA,
+  createDefaultConfig,
+  migrateConfig,
+  normalizeColorToHex,
+  parseConfig,
+  serializeConfig,
+  validateConfig
+} from '../config-schema.js';
+import { DEFAULT_CAMERA_KEYFRAMES } from '../camera-path.js';
+import { MAX_NEBULA_LAYERS } from '../nebula-layers.js';
+
+function keyframe(overrides = {}) {
+  return {
+    position: { x: 0, y: 2, z: 20 },
+    target: { x: 0, y: 0, z: 0 },
+    duration: 4,
+    ...overrides
+  };
+}
+
+test('the defaults validate cleanly and survive serialization', () => {
+  const defaults = createDefaultConfig();
+  assert.deepEqual(validateConfig(defaults), { config: defaults, errors: [] });
+  assert.deepEqual(parseConfig(serializeConfig(defaults)), { config: defaults, errors: [] });
+  assert.equal(serializeConfig(defaults).version, CONFIG_VERSION);
+});
+
+test('missing keys get their defaults', () => {
+  const { config, errors } = validateConfig({ blackHoleMass: 2 });
+  assert.deepEqual(errors, []);
+  assert.equal(config.blackHoleMass, 2);
+  assert.equal(config.raySteps, CONFIG_SCHEMA.raySteps.default);
+});
+
+test('out-of-range numbers are clamped and integers rounded', () => {
+  const { config, errors } = validateConfig({ blackHoleMass: 50, raySteps: 100.6, targetFps: 1 });
+  assert.equal(config.blackHoleMass, CONFIG_SCHEMA.blackHoleMass.max);
+  assert.equal(config.raySteps, 101);
+  assert.equal(config.targetFps, CONFIG_SCHEMA.targetFps.min);
+  assert.equal(errors.length, 3);
+});
+
+test('wrongly typed values fall back to their defaults', () => {
+  const { config, errors } = validateConfig({
+    blackHoleMass: 'heavy',
+    relativisticColor: 1,
+    starBackgroundColor: 'red',
+    qualityPreset: 'extreme'
+  });
+  for (const key of ['blackHoleMass', 'relativisticColor', 'starBackgroundColor', 'qualityPreset']) {
+    assert.equal(config[key], CONFIG_SCHEMA[key].default, key);
+  }
+  assert.equal(errors.length, 4);
+});
+
+test('unknown keys are dropped and reported', () => {
+  const { config, errors } = validateConfig({ warpDrive: true });
+  assert.equal('warpDrive' in config, false);
+  assert.deepEqual(errors, ['warpDrive: unknown setting ignored']);
+});
+
+test('normalizeColorToHex keeps strings and converts Tweakpane colors', () => {
+  assert.equal(normalizeColorToHex('#12abef'), '#12abef');
+  assert.equal(normalizeColorToHex({ r: 255, g: 8.4, b: 0 }), '#ff0800');
+  assert.equal(normalizeColorToHex({ r: 1 }), '#010000');
+  assert.equal(normalizeColorToHex(null), '#000000');
+  assert.equal(normalizeColorToHex(42), '#000000');
+});
+
+test('migration 1 → 2 drops removed keys and converts Tweakpane colors', () => {
+  const migrated = migrateConfig({
+    ringEnabled: true,
+    nebulaBrightness: 0.3,
+    blackHoleMass: 1.2,
+    starBackgroundColor: { r: 16, g: 32, b: 48 }
+  });
+  assert.equal('ringEnabled' in migrated, false);
+  assert.equal('nebulaBrightness' in migrated, false);
+  assert.equal(migrated.blackHoleMass, 1.2);
+  assert.equal(migrated.starBackgroundColor, '#102030');
+  assert.deepEqual(validateConfig(migrated).errors, []);
+});
+
+test('migration 2 → 3 turns the fixed nebula layers into a list', () => {
+  const migrated = migrateConfig({
+    version: 2,
+    config: {
+      nebula1Scale: 3,
+      nebula2Color: '#ff0000',
+      noiseOctaves: 8,
+      cameraTrackEasing: { nebula1Scale: 'linear', blackHoleMass: 'step' },
+      cameraKeyframes: [keyframe({ params: { nebula1Scale: 5, blackHoleMass: 1 } })]
+    }
+  });
+
+  const { config, errors } = validateConfig(migrated);
+  assert.deepEqual(errors, []);
+  assert.equal(config.nebulaLayers.length, 2);
+  assert.equal(config.nebulaLayers[0].scale, 3);
+  assert.equal(config.nebulaLayers[1].color, '#ff0000');
+  assert.deepEqual(config.nebulaLayers.map((layer) => layer.octaves), [4, 4]);
+  assert.equal('nebula1Scale' in config, false);
+  assert.deepEqual(config.cameraTrackEasing, { blackHoleMass: 'step' });
+  assert.deepEqual(config.cameraKeyframes[0].params, { blackHoleMass: 1 });
+});
+
+test('nebula layers are kept up to the limit, with bad fields fixed', () => {
+  const layers = Array.from({ length: 10 }, (_, i) => ({ scale: i + 1 }));
+  layers[9].density = 5;
+  const { config, errors } = validateConfig({ nebulaLayers: layers });
+
+  assert.equal(config.nebulaLayers.length, 10);
+  assert.deepEqual(config.nebulaLayers.map((layer) => layer.scale), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(config.nebulaLayers[9].density, 1);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /nebulaLayers\[9\]\.density/);
+});
+
+test('nebula layers past the limit are dropped and reported', () => {
+  const layers = Array.from({ length: 5000 }, () => ({}));
+  const { config, errors } = validateConfig({ nebulaLayers: layers });
+  assert.equal(config.nebulaLayers.length, MAX_NEBULA_LAYERS);
+  assert.deepEqual(errors, [`nebulaLayers: only the first ${MAX_NEBULA_LAYERS} layers kept`]);
+});
+
+test('migration 3 → 4 turns saved rolls by a half-turn so 0 is upright', () => {
+  const migrated = migrateConfig({
+    version: 3,
+    config: {
+      cameraRoll: 180,
+      cameraKeyframes: [
+        keyframe({ params: { cameraRoll: 170 } }),
+        keyframe({ params: { cameraRoll: -170 } }),
+        keyframe({ params: { cameraRoll: 0, blackHoleMass: 2 } })
+      ]
+    }
+  });
+
+  assert.equal(migrated.cameraRoll, 0);
+  assert.deepEqual(migrated.cameraKeyframes.map((k) => k.params.cameraRoll), [-10, 10, -180]);
+  assert.equal(migrated.cameraKeyframes[2].params.blackHoleMass, 2);
+  assert.equal('cameraRoll' in migrateConfig({ version: 3, config: {} }), false);
+  assert.equal(validateConfig(migrated).config.cameraRoll, 0);
+});
+
+test('a bare object is read as version 1, and newer versions are refused', () => {
+  assert.equal(migrateConfig({ ringScale: 2 }).ringScale, undefined);
+  assert.throws(() => migrateConfig({ version: CONFIG_VERSION + 1, config: {} }), /newer/);
+  assert.throws(() => migrateConfig([]));
+});
+
+test('a versioned config that is not an object is refused at every version', () => {
+  for (let version = 1; version <= CONFIG_VERSION; version++) {
+    for (const config of [null, [], 'x']) {
+      assert.throws(() => migrateConfig({ version, config }), /config must be an object/, `version ${version}`);
+    }
+  }
+});
+
+test('keyframe params are clamped to range', () => {
+  const { config, errors } = validateConfig({
+    cameraKeyframes: [keyframe({ params: { blackHoleMass: -4, diskBrightness: 1 } })]
+  });
+  assert.deepEqual(config.cameraKeyframes[0].params, {
+    blackHoleMass: CONFIG_SCHEMA.blackHoleMass.min,
+    diskBrightness: 1
+  });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /cameraKeyframes\[0\]\.params\.blackHoleMass/);
+});
+
+test('keyframe params for unknown or non-animatable settings are dropped', () => {
+  const { config, errors } = validateConfig({
+    cameraKeyframes: [keyframe({ params: { warpDrive: 1, qualityPreset: 'low', starBackgroundColor: 'blue' } })]
+  });
+  assert.deepEqual(config.cameraKeyframes[0].params, {
+    starBackgroundColor: CONFIG_SCHEMA.starBackgroundColor.default
+  });
+  // One report for the path, listing each problem
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].split('; ').length, 3);
+});
+
+test('an invalid keyframe is dropped without losing the rest of the path', () => {
+  const good = [keyframe({ duration: 2 }), keyframe({ duration: 3, easing: 'easeIn' })];
+  const { config, errors } = validateConfig({
+    cameraKeyframes: [good[0], keyframe({ duration: -1 }), { position: 'here' }, good[1]]
+  });
+  assert.deepEqual(config.cameraKeyframes, good);
+  assert.deepEqual(errors[0].split('; '), [
+    'cameraKeyframes[1]: invalid keyframe dropped',
+    'cameraKeyframes[2]: invalid keyframe dropped'
+  ]);
+});
+
+test('a path with no valid keyframes falls back to the default', () => {
+  for (const cameraKeyframes of [[], [null], 'path']) {
+    const { config, errors } = validateConfig({ cameraKeyframes });
+    assert.deepEqual(config.cameraKeyframes, DEFAULT_CAMERA_KEYFRAMES);
+    assert.ok(errors.length > 0);
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsMath } from '../shader-math.js';
+import { assertClose } from './helpers.js';
+
+const MASS = 1;
+
+// Disk sample at angle 0, i.e. (r, 0, 0). With a positive rotation speed
+// the turbulence pattern there moves toward -Z.
+function shift({ hitR = 6, rayDir, relativistic = 1, rotationSpeed = 0.3, dopplerStrength = 1 }) {
+  const [g, intensity, doppler] = jsMath.diskDopplerShift({
+    hitR,
+    hitAngle: 0,
+    rayDir,
+    mass: MASS,
+    innerRadius: 6,
+    rotationSpeed,
+    dopplerStrength,
+    relativistic
+  });
+  return { g, intensity, doppler };
+}
+
+// Rays from the camera: the photon travels back along -rayDir, so a camera
+// on the -Z side looks along +Z at gas coming toward it
+const APPROACHING = [0, 0, 1];
+const RECEDING = [0, 0, -1];
+const TRANSVERSE = [0, -1, 0];
+
+test('g at the ISCO matches sqrt(1 - rs/r) / (γ(1 - β cos θ)) with β = 0.5', () => {
+  const gravitational = Math.sqrt(1 - 2 / 6);
+  const gamma = 1 / Math.sqrt(1 - 0.25);
+  assertClose(shift({ rayDir: APPROACHING }).g, gravitational / (gamma * 0.5), 1e-9);
+  assertClose(shift({ rayDir: RECEDING }).g, gravitational / (gamma * 1.5), 1e-9);
+  assertClose(shift({ rayDir: TRANSVERSE }).g, gravitational / gamma, 1e-9);
+});
+
+test('intensity scales as g⁴', () => {
+  for (const rayDir of [APPROACHING, RECEDING, TRANSVERSE]) {
+    const { g, intensity } = shift({ rayDir });
+    assertClose(intensity, g ** 4, 1e-9);
+  }
+});
+
+test('far out, g tends to 1 from the gravitational and transverse shifts alone', () => {
+  assertClose(shift({ hitR: 1e6, rayDir: TRANSVERSE }).g, 1, 1e-5);
+});
+
+test('the Doppler strength scales β, and zero leaves only the gravitational shift', () => {
+  const { g } = shift({ rayDir: APPROACHING, dopplerStrength: 0 });
+  assertClose(g, Math.sqrt(1 - 2 / 6), 1e-9);
+});
+
+test('both modes brighten and blueshift the gas that moves toward the camera', () => {
+  for (const relativistic of [0, 1]) {
+    const approaching = shift({ rayDir: APPROACHING, relativistic });
+    const receding = shift({ rayDir: RECEDING, relativistic });
+    assert.ok(approaching.intensity > 1, `approaching side brighter (relativistic ${relativistic})`);
+    assert.ok(receding.intensity < 1, `receding side dimmer (relativistic ${relativistic})`);
+    assert.ok(approaching.doppler > 1 && receding.doppler < 1, `Doppler factor (relativistic ${relativistic})`);
+  }
+});
+
+test('reversing the disk rotation swaps the bright side', () => {
+  const forward = shift({ rayDir: APPROACHING });
+  const reversed = shift({ rayDir: APPROACHING, rotationSpeed: -0.3 });
+  assertClose(reversed.g, shift({ rayDir: RECEDING }).g, 1e-9);
+  assert.ok(reversed.intensity < forward.intensity);
+});
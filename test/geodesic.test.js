@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { traceRay, weakFieldDeflection, criticalImpactParameter } from '../geodesic.js';
+import { assertClose } from './helpers.js';
+
+// Far from the hole the deflection is 4M/b; the next term, 15πM²/(4b²), is
+// about 3M/b of it, so the first-order check uses impact parameters where
+// that is under 2%
+test('weak-field deflection matches 4M/b within 2% for b ≥ 200M', () => {
+  for (const b of [200, 500, 1000, 2000]) {
+    const { captured, deflection } = traceRay({ mass: 1, impactParameter: b });
+    assert.equal(captured, false);
+    const expected = weakFieldDeflection(1, b);
+    assertClose(deflection, expected, expected * 0.02, `b = ${b}M`);
+  }
+});
+
+test('deflection matches the second-order expansion within 0.5% for b ≥ 50M', () => {
+  for (const b of [50, 100, 200, 500, 1000]) {
+    const { deflection } = traceRay({ mass: 1, impactParameter: b });
+    const expected = 4 / b + (15 * Math.PI) / (4 * b * b);
+    assertClose(deflection, expected, expected * 0.005, `b = ${b}M`);
+  }
+});
+
+test('deflection scales with mass at a fixed b/M', () => {
+  const { deflection } = traceRay({ mass: 2, impactParameter: 1000 });
+  assertClose(deflection, weakFieldDeflection(2, 1000), weakFieldDeflection(2, 1000) * 0.02);
+});
+
+test('rays inside the critical impact parameter are captured', () => {
+  const critical = criticalImpactParameter(1);
+  assert.equal(traceRay({ mass: 1, impactParameter: critical * 0.95 }).captured, true);
+  assert.equal(traceRay({ mass: 1, impactParameter: critical * 1.05 }).captured, false);
+});
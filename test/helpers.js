@@ -0,0 +1,15 @@
+/**
+ * Shared assertions for the Node tests.
+ */
+
+import assert from 'node:assert/strict';
+
+/**
+ * Assert |actual - expected| <= tolerance.
+ */
+export function assertClose(actual, expected, tolerance, message = '') {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message ? `${message}: ` : ''}expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
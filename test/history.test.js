@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigHistory, COALESCE_WINDOW, diffSnapshots } from '../history.js';
+
+// Edit `config` and record the change at `time`
+function edit(history, config, values, options) {
+  const before = { ...config };
+  Object.assign(config, values);
+  history.record(diffSnapshots(before, config), options);
+}
+
+test('diffSnapshots lists only changed keys, with copies of both values', () => {
+  const before = { a: 1, b: { x: 1 }, c: 'same' };
+  const after = { a: 2, b: { x: 2 }, c: 'same' };
+  const changes = diffSnapshots(before, after);
+  assert.deepEqual(changes, { a: { before: 1, after: 2 }, b: { before: { x: 1 }, after: { x: 2 } } });
+  after.b.x = 3;
+  assert.equal(changes.b.after.x, 2);
+  assert.equal(diffSnapshots(before, { ...before }), null);
+});
+
+test('undo and redo step through separate edits', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1, spin: 0 };
+  edit(history, config, { mass: 2 }, { time: 0 });
+  edit(history, config, { spin: 0.5 }, { time: 10 });
+
+  assert.deepEqual(history.undo(), { spin: 0 });
+  assert.deepEqual(history.undo(), { mass: 1 });
+  assert.equal(history.undo(), null);
+  assert.equal(history.canUndo, false);
+
+  assert.deepEqual(history.redo(), { mass: 2 });
+  assert.deepEqual(history.redo(), { spin: 0.5 });
+  assert.equal(history.redo(), null);
+  assert.equal(history.canRedo, false);
+});
+
+test('edits of the same keys within the window coalesce', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1 };
+  edit(history, config, { mass: 2 }, { time: 0 });
+  edit(history, config, { mass: 3 }, { time: COALESCE_WINDOW });
+  edit(history, config, { mass: 4 }, { time: COALESCE_WINDOW * 2 });
+
+  assert.equal(history.undoStack.length, 1);
+  assert.deepEqual(history.undo(), { mass: 1 });
+});
+
+test('edits further apart than the window, or of other keys, stay separate', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1, spin: 0 };
+  edit(history, config, { mass: 2 }, { time: 0 });
+  edit(history, config, { mass: 3 }, { time: COALESCE_WINDOW + 1 });
+  edit(history, config, { spin: 0.1 }, { time: COALESCE_WINDOW + 2 });
+
+  assert.equal(history.undoStack.length, 3);
+  assert.deepEqual(history.undo(), { spin: 0 });
+  assert.deepEqual(history.undo(), { mass: 2 });
+});
+
+test('an ongoing drag is one entry however long it lasts', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1 };
+  for (let i = 1; i <= 10; i++) {
+    edit(history, config, { mass: 1 + i / 10 }, { time: i * COALESCE_WINDOW * 5, ongoing: i < 10 });
+  }
+  assert.equal(history.undoStack.length, 1);
+  assert.deepEqual(history.undo(), { mass: 1 });
+});
+
+test('dragging back to the starting value leaves nothing to undo', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1 };
+  edit(history, config, { mass: 2 }, { time: 0, ongoing: true });
+  edit(history, config, { mass: 1 }, { time: 5 });
+  assert.equal(history.canUndo, false);
+});
+
+test('a new edit clears the redo stack', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1, spin: 0 };
+  edit(history, config, { mass: 2 }, { time: 0 });
+  Object.assign(config, history.undo());
+  assert.equal(history.canRedo, true);
+
+  edit(history, config, { spin: 0.5 }, { time: 10 });
+  assert.equal(history.canRedo, false);
+  assert.equal(history.redo(), null);
+});
+
+test('an edit after undo does not merge into the entry undo returned to', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1 };
+  edit(history, config, { mass: 2 }, { time: 0 });
+  edit(history, config, { mass: 3 }, { time: COALESCE_WINDOW * 2 });
+  Object.assign(config, history.undo());
+
+  edit(history, config, { mass: 5 }, { time: COALESCE_WINDOW * 2 + 1 });
+  assert.equal(history.undoStack.length, 2);
+  assert.deepEqual(history.undo(), { mass: 2 });
+});
+
+test('batches recorded without coalescing are never merged', () => {
+  const history = new ConfigHistory();
+  const config = { mass: 1 };
+  edit(history, config, { mass: 2 }, { time: 0, coalesce: false });
+  edit(history, config, { mass: 3 }, { time: 1 });
+  assert.equal(history.undoStack.length, 2);
+});
+
+test('the oldest entries are dropped past the limit', () => {
+  const history = new ConfigHistory(3);
+  const config = { mass: 0 };
+  for (let i = 1; i <= 5; i++) {
+    edit(history, config, { mass: i }, { time: i * COALESCE_WINDOW * 2 });
+  }
+  assert.equal(history.undoStack.length, 3);
+  history.undo();
+  history.undo();
+  assert.deepEqual(history.undo(), { mass: 2 });
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { kerrISCO, kerrPhotonOrbitRadius, kerrHorizonRadius, kerrFrameDraggingRate } from '../kerr.js';
+import { assertClose } from './helpers.js';
+
+test('ISCO is 6M without spin, for either orbit direction', () => {
+  assertClose(kerrISCO(1, 0), 6, 1e-9);
+  assertClose(kerrISCO(1, 0, false), 6, 1e-9);
+  assertClose(kerrISCO(2.5, 0), 15, 1e-9, 'scales with mass');
+});
+
+test('prograde ISCO moves in to about 1.24M at a* = 0.998', () => {
+  assertClose(kerrISCO(1, 0.998), 1.237, 0.001);
+});
+
+test('retrograde ISCO moves out to 9M at a* = 1', () => {
+  // Spin is clamped to 0.998, which is within 0.01M of the extreme value
+  assertClose(kerrISCO(1, 1, false), 9, 0.01);
+});
+
+test('ISCO shrinks steadily with prograde spin', () => {
+  let previous = Infinity;
+  for (let spin = 0; spin <= 0.99; spin += 0.11) {
+    const isco = kerrISCO(1, spin);
+    assert.ok(isco < previous, `ISCO at a* = ${spin} should be inside the last`);
+    previous = isco;
+  }
+});
+
+test('photon orbit is 3M without spin', () => {
+  assertClose(kerrPhotonOrbitRadius(1, 0), 3, 1e-9);
+  assertClose(kerrPhotonOrbitRadius(1, 0, false), 3, 1e-9);
+});
+
+test('photon orbit tends to M prograde and 4M retrograde at the extremes', () => {
+  // a* = 0.998 is close to, not at, the a* → 1 limit
+  assertClose(kerrPhotonOrbitRadius(1, 1), 1, 0.1);
+  assertClose(kerrPhotonOrbitRadius(1, 1, false), 4, 0.01);
+});
+
+test('horizon is 2M without spin and M at the spin limit', () => {
+  assertClose(kerrHorizonRadius(1, 0), 2, 1e-9);
+  assertClose(kerrHorizonRadius(1, 1), 1, 0.07);
+});
+
+test('frame dragging falls off as 2J/r³', () => {
+  const r = 1000;
+  assertClose(kerrFrameDraggingRate(1, 0.5, r) * r ** 3, 2 * 0.5, 1e-3);
+  assert.equal(kerrFrameDraggingRate(1, 0, 10), 0);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTrack, evaluateTracks, buildTrack, catmullRom } from '../keyframe-tracks.js';
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { assertClose } from './helpers.js';
+
+// One-second keyframes carrying `key` values (null leaves the key unset)
+function keyframes(key, values) {
+  return values.map((value) => ({ duration: 1, params: value === null ? {} : { [key]: value } }));
+}
+
+test('catmullRom passes through its inner control points', () => {
+  assert.equal(catmullRom(0, 1, 3, 4, 0), 1);
+  assert.equal(catmullRom(0, 1, 3, 4, 1), 3);
+  assertClose(catmullRom(0, 1, 2, 3, 0.5), 1.5, 1e-12, 'evenly spaced points give a straight line');
+});
+
+test('every easing hits the keyframe values at keyframe times', () => {
+  const frames = keyframes('diskBrightness', [1, 3, 2, 5]);
+  for (const easing of ['catmullRom', 'linear', 'smooth', 'step']) {
+    [1, 3, 2, 5].forEach((value, i) => {
+      assertClose(evaluateTracks(frames, i, { easings: { diskBrightness: easing } }).diskBrightness, value, 1e-12, easing);
+    });
+  }
+});
+
+test('linear, smooth and step easing between two values', () => {
+  const samples = [{ time: 0, value: 0 }, { time: 2, value: 10 }];
+  assertClose(evaluateTrack(samples, 0.5, 4, 'linear'), 2.5, 1e-12);
+  assertClose(evaluateTrack(samples, 0.5, 4, 'smooth'), 5 * (1 - Math.cos(Math.PI / 4)), 1e-12);
+  assert.equal(evaluateTrack(samples, 1.9, 4, 'step'), 0);
+});
+
+test('keyframes without the key are skipped', () => {
+  const frames = keyframes('diskBrightness', [0, null, 4, null]);
+  assert.deepEqual(buildTrack(frames, 'diskBrightness'), [{ time: 0, value: 0 }, { time: 2, value: 4 }]);
+  assertClose(evaluateTracks(frames, 1, { easings: { diskBrightness: 'linear' } }).diskBrightness, 2, 1e-12);
+});
+
+test('a looping track wraps from the last value back to the first', () => {
+  const frames = keyframes('diskBrightness', [10, 20, 30]);
+  const easings = { diskBrightness: 'linear' };
+  assertClose(evaluateTracks(frames, 2.5, { easings }).diskBrightness, 20, 1e-12);
+});
+
+test('colors interpolate per channel', () => {
+  const frames = keyframes('starBackgroundColor', ['#000000', '#ff8000']);
+  const value = evaluateTracks(frames, 0.5, { easings: { starBackgroundColor: 'linear' } }).starBackgroundColor;
+  assert.equal(value, '#804000');
+});
+
+test('a single value holds for the whole path', () => {
+  assert.equal(evaluateTracks(keyframes('diskBrightness', [null, 7]), 0).diskBrightness, 7);
+});
+
+test('Catmull-Rom overshoot is clamped to the config range', () => {
+  // Between the two 0.1 values the curve dips to -0.1375 unclamped
+  const frames = keyframes('blackHoleMass', [0.1, 0.1, 2, 2]);
+  assert.ok(evaluateTracks(frames, 0.5).blackHoleMass < 0, 'the raw curve overshoots');
+
+  const { min, max } = CONFIG_SCHEMA.blackHoleMass;
+  for (let t = 0; t <= 4; t += 0.05) {
+    const { blackHoleMass } = evaluateTracks(frames, t, { ranges: CONFIG_SCHEMA });
+    assert.ok(blackHoleMass >= min && blackHoleMass <= max, `mass ${blackHoleMass} at t = ${t}`);
+  }
+  assert.equal(evaluateTracks(frames, 0.5, { ranges: CONFIG_SCHEMA }).blackHoleMass, min);
+});
+
+test('colors stay valid when the curve overshoots', () => {
+  const frames = keyframes('starBackgroundColor', ['#000000', '#000000', '#ffffff', '#ffffff']);
+  for (let t = 0; t <= 4; t += 0.25) {
+    assert.match(evaluateTracks(frames, t).starBackgroundColor, /^#[0-9a-f]{6}$/);
+  }
+});
+
+test("'once' and 'pingpong' hold the end values instead of wrapping", () => {
+  const frames = keyframes('diskBrightness', [null, 10, 20, 30]);
+  const easings = { diskBrightness: 'linear' };
+
+  // Looping, the start of the path is partway back from 30 to 10
+  assertClose(evaluateTracks(frames, 0, { easings }).diskBrightness, 20, 1e-12);
+
+  for (const mode of ['once', 'pingpong']) {
+    assert.equal(evaluateTracks(frames, 0, { easings, mode }).diskBrightness, 10, mode);
+    assert.equal(evaluateTracks(frames, 0.5, { easings, mode }).diskBrightness, 10, mode);
+    assert.equal(evaluateTracks(frames, 3, { easings, mode }).diskBrightness, 30, mode);
+    assert.equal(evaluateTracks(frames, 3.5, { easings, mode }).diskBrightness, 30, mode);
+    assertClose(evaluateTracks(frames, 1.5, { easings, mode }).diskBrightness, 15, 1e-12, mode);
+  }
+});
+
+test('without looping, Catmull-Rom repeats the end values as neighbours', () => {
+  const frames = keyframes('diskBrightness', [0, 10, 20]);
+  // With p0 = p1 at the start and p2 = p3 at the end the curve eases in and
+  // out, symmetrically, rather than bending toward the far end of the path
+  assertClose(evaluateTracks(frames, 0.5, { mode: 'once' }).diskBrightness, 4.375, 1e-12);
+  assertClose(evaluateTracks(frames, 1.5, { mode: 'once' }).diskBrightness, 15.625, 1e-12);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityController } from '../quality.js';
+
+// Frame times (ms) for `seconds` of steady rendering at `fps`. The rates used
+// divide 1000 exactly so each second is one FPS sample.
+function frames(fps, seconds) {
+  return new Array(fps * seconds).fill(1000 / fps);
+}
+
+// Target 55 FPS: below 49.5 is slow, 55 and up is fast, in between holds
+const SLOW = 40;
+const FAST = 80;
+const STEADY = 50;
+
+function controller(level = 'medium') {
+  return new QualityController({ targetFps: 55, level });
+}
+
+test('steps down after two slow seconds', () => {
+  const quality = controller();
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 1)), null);
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 1)), 'low');
+  assert.equal(quality.level, 'low');
+});
+
+test('never steps below the lowest level', () => {
+  const quality = controller('low');
+  assert.equal(quality.updateFromFrameTimes(frames(20, 10)), null);
+  assert.equal(quality.level, 'low');
+});
+
+test('holds inside the tolerance band', () => {
+  const quality = controller();
+  assert.equal(quality.updateFromFrameTimes(frames(STEADY, 30)), null);
+  assert.equal(quality.level, 'medium');
+});
+
+test('hysteresis: isolated slow or fast seconds do not change the level', () => {
+  const quality = controller();
+  const sequence = [];
+  for (let i = 0; i < 10; i++) {
+    sequence.push(...frames(SLOW, 1), ...frames(FAST, 1));
+  }
+  assert.equal(quality.updateFromFrameTimes(sequence), null);
+  assert.equal(quality.level, 'medium');
+});
+
+test('ignores samples during the cooldown after a change', () => {
+  const quality = controller('high');
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 2)), 'medium');
+
+  // The shader rebuild hitch right after the change doesn't count
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 3)), null);
+  assert.equal(quality.level, 'medium');
+
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 2)), 'low');
+});
+
+test('steps up after five fast seconds', () => {
+  const quality = controller();
+  assert.equal(quality.updateFromFrameTimes(frames(FAST, 4)), null);
+  assert.equal(quality.updateFromFrameTimes(frames(FAST, 1)), 'high');
+});
+
+test('an upgrade undone soon after doubles the wait for the next one', () => {
+  const quality = controller();
+  assert.equal(quality.updateFromFrameTimes(frames(FAST, 5)), 'high');
+
+  // High can't hold the target: back down after the cooldown
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 5)), 'medium');
+  assert.equal(quality.upgradePenalty, 2);
+
+  // Cooldown, then ten fast seconds rather than five
+  quality.updateFromFrameTimes(frames(FAST, 3));
+  assert.equal(quality.updateFromFrameTimes(frames(FAST, 9)), null);
+  assert.equal(quality.updateFromFrameTimes(frames(FAST, 1)), 'high');
+});
+
+test('the upgrade penalty is capped at 8×', () => {
+  const quality = controller();
+  for (let i = 0; i < 5; i++) {
+    quality.updateFromFrameTimes(frames(FAST, 5 * quality.upgradePenalty + 3));
+    quality.updateFromFrameTimes(frames(SLOW, 5));
+  }
+  assert.equal(quality.upgradePenalty, 8);
+});
+
+test('a late downgrade carries no penalty', () => {
+  const quality = controller();
+  quality.updateFromFrameTimes(frames(FAST, 5));
+  quality.updateFromFrameTimes(frames(STEADY, 20));
+  assert.equal(quality.updateFromFrameTimes(frames(SLOW, 2)), 'medium');
+  assert.equal(quality.upgradePenalty, 1);
+});
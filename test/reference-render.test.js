@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// Golden images: each scene's settings (test/golden/<name>.json) rendered
+// by the CPU reference renderer and compared with <name>.ppm. After an
+// intended change to the image, regenerate a golden with
+//   npm run render:reference -- --config test/golden/<name>.json \
+//     --width 64 --height 36 --time 1.5 --out test/golden/<name>.ppm
+const SCENES = ['default', 'kerr-geodesic', 'catalog-sky'];
+
+// Per-channel 8-bit difference allowed, for floating-point differences
+// between platforms and Node versions
+const TOLERANCE = 2;
+
+const script = fileURLToPath(new URL('../scripts/render-reference.js', import.meta.url));
+const golden = (file) => fileURLToPath(new URL(`golden/${file}`, import.meta.url));
+
+for (const scene of SCENES) {
+  test(`${scene} matches its golden image`, () => {
+    const result = spawnSync(process.execPath, [
+      script,
+      '--config', golden(`${scene}.json`),
+      '--width', '64',
+      '--height', '36',
+      '--time', '1.5',
+      '--compare', golden(`${scene}.ppm`),
+      '--tolerance', String(TOLERANCE)
+    ], { encoding: 'utf8' });
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+  });
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsMath } from '../shader-math.js';
+import { BLACKBODY_COLORS } from '../blackbody.js';
+import { assertClose } from './helpers.js';
+
+const length = (v) => Math.hypot(...v);
+
+test('hash31 is deterministic and stays in [0, 1)', () => {
+  let total = 0;
+  for (let x = -10; x < 10; x++) {
+    for (let y = -10; y < 10; y++) {
+      const value = jsMath.hash31([x, y, 3]);
+      assert.ok(value >= 0 && value < 1, `hash31([${x}, ${y}, 3]) = ${value}`);
+      assert.equal(jsMath.hash31([x, y, 3]), value);
+      total += value;
+    }
+  }
+  assertClose(total / 400, 0.5, 0.05, 'mean');
+});
+
+test('hash31 differs between neighbouring cells', () => {
+  assert.notEqual(jsMath.hash31([0, 0, 0]), jsMath.hash31([1, 0, 0]));
+  assert.notEqual(jsMath.hash31([0, 0, 0]), jsMath.hash31([0, 1, 0]));
+  assert.notEqual(jsMath.hash31([0, 0, 0]), jsMath.hash31([0, 0, 1]));
+});
+
+test('noise3D stays in [0, 1] and equals the cell hash on lattice points', () => {
+  for (let i = 0; i < 200; i++) {
+    const p = [Math.sin(i) * 40, Math.cos(i * 1.3) * 40, i * 0.37];
+    const value = jsMath.noise3D(p);
+    assert.ok(value >= 0 && value <= 1, `noise3D(${p}) = ${value}`);
+  }
+  assert.equal(jsMath.noise3D([2, -3, 5]), jsMath.hash31([2, -3, 5]));
+});
+
+test('noise3D is continuous, including across cell boundaries', () => {
+  const eps = 1e-6;
+  for (const p of [[0.5, 0.5, 0.5], [1, 0.3, 0.7], [2.2, 4, 1.9], [-1, -2, 3]]) {
+    for (let axis = 0; axis < 3; axis++) {
+      const below = p.map((v, k) => (k === axis ? v - eps : v));
+      const above = p.map((v, k) => (k === axis ? v + eps : v));
+      assertClose(jsMath.noise3D(above), jsMath.noise3D(below), 1e-4, `at ${p}, axis ${axis}`);
+    }
+  }
+});
+
+test('blackbody reproduces the table at its temperatures', () => {
+  for (const temp of [1000, 3000, 5800, 6600, 10000, 40000]) {
+    const rgb = jsMath.blackbody(temp);
+    BLACKBODY_COLORS[temp].forEach((expected, k) => assertClose(rgb[k], expected, 1e-9, `${temp} K[${k}]`));
+  }
+});
+
+test('blackbody interpolates linearly between table entries', () => {
+  const rgb = jsMath.blackbody(5850);
+  const low = BLACKBODY_COLORS[5800];
+  const high = BLACKBODY_COLORS[5900];
+  rgb.forEach((v, k) => assertClose(v, (low[k] + high[k]) / 2, 1e-9, `channel ${k}`));
+});
+
+test('blackbody clamps to 1000-40000 K', () => {
+  assert.deepEqual(jsMath.blackbody(200), jsMath.blackbody(1000));
+  assert.deepEqual(jsMath.blackbody(1e6), jsMath.blackbody(40000));
+});
+
+test('bendStep turns the ray toward the centre by rs/r² × dt, then advances it', () => {
+  const pos = [0, 10, 0];
+  const dir = [1, 0, 0];
+  const { pos: newPos, dir: newDir } = jsMath.bendStep(pos, dir, 10, 0.5, 2, 1);
+
+  assertClose(length(newDir), 1, 1e-12, '|dir|');
+  assertClose(Math.atan2(-newDir[1], newDir[0]), Math.atan(0.01), 1e-12, 'turn angle');
+  newPos.forEach((v, k) => assertClose(v, pos[k] + newDir[k] * 0.5, 1e-12, `pos[${k}]`));
+});
+
+test('bendStep with zero lensing goes straight', () => {
+  const { pos, dir } = jsMath.bendStep([3, 4, 0], [0, 0, 1], 5, 0.25, 2, 0);
+  assert.deepEqual(dir, [0, 0, 1]);
+  assert.deepEqual(pos, [3, 4, 0.25]);
+});
+
+test('geodesicStep leaves radial rays and zero lensing straight', () => {
+  const radial = jsMath.geodesicStep([10, 0, 0], [-1, 0, 0], 0.1, 2, 1);
+  assert.deepEqual(radial.dir, [-1, 0, 0]);
+  assertClose(radial.pos[0], 9.9, 1e-12);
+
+  const unlensed = jsMath.geodesicStep([-20, 8, 0], [1, 0, 0], 0.1, 2, 0);
+  assert.deepEqual(unlensed.dir, [1, 0, 0]);
+  assertClose(unlensed.pos[0], -19.9, 1e-12);
+  assert.equal(unlensed.pos[1], 8);
+});
+
+test('geodesicStep bends a passing ray toward the hole', () => {
+  const { dir } = jsMath.geodesicStep([0, 8, 0], [1, 0, 0], 0.1, 2, 1);
+  assert.ok(dir[1] < 0);
+  assertClose(length(dir), 1, 1e-12, '|dir|');
+});
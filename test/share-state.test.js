@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SHARE_STATE_VERSION,
+  diffConfig,
+  applyConfigDiff,
+  encodeShareState,
+  decodeShareState
+} from '../share-state.js';
+import { CONFIG_VERSION, createDefaultConfig, migrateConfig, validateConfig } from '../config-schema.js';
+
+const camera = {
+  position: { x: 1.23456, y: -5, z: 20 },
+  target: { x: 0, y: 0.0004, z: 0 }
+};
+
+// A hash as an older app would have written it
+function legacyHash(payload) {
+  return '#view=' + Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+test('a config and camera survive the round trip', () => {
+  const defaults = createDefaultConfig();
+  const config = {
+    ...defaults,
+    blackHoleMass: 1.7,
+    relativisticColor: true,
+    starBackgroundColor: '#102030',
+    nebulaLayers: [{ ...defaults.nebulaLayers[0], driftSpeed: 0.2 }]
+  };
+
+  const state = decodeShareState(encodeShareState(config, defaults, camera, CONFIG_VERSION));
+  assert.equal(state.configVersion, CONFIG_VERSION);
+  assert.deepEqual(applyConfigDiff(defaults, state.config), config);
+  assert.deepEqual(state.camera, {
+    position: { x: 1.235, y: -5, z: 20 },
+    target: { x: 0, y: 0, z: 0 }
+  });
+});
+
+test('only settings that differ from the defaults are encoded', () => {
+  const defaults = createDefaultConfig();
+  assert.deepEqual(decodeShareState(encodeShareState(defaults, defaults)).config, {});
+
+  const config = { ...defaults, diskBrightness: defaults.diskBrightness + 1 };
+  assert.deepEqual(Object.keys(diffConfig(config, defaults)), ['diskBrightness']);
+});
+
+test('colors are compared as hex, so Tweakpane objects equal to the default are omitted', () => {
+  const defaults = { color: '#ff0000', other: '#000000' };
+  const diff = diffConfig({ color: { r: 255, g: 0, b: 0 }, other: { r: 0, g: 0, b: 16 } }, defaults);
+  assert.deepEqual(diff, { other: '#000010' });
+});
+
+test('the camera is optional', () => {
+  const defaults = createDefaultConfig();
+  assert.equal(decodeShareState(encodeShareState(defaults, defaults)).camera, null);
+});
+
+test('a hash with an older config version is migrated', () => {
+  const defaults = createDefaultConfig();
+  const hash = legacyHash({ v: SHARE_STATE_VERSION, cv: 2, c: { nebula2Brightness: 0.5, nebula1Color: '#ff0000' } });
+
+  const state = decodeShareState(hash);
+  assert.equal(state.configVersion, 2);
+
+  const diff = migrateConfig({ version: state.configVersion, config: state.config });
+  const { config, errors } = validateConfig(applyConfigDiff(defaults, diff));
+  assert.deepEqual(errors, []);
+  assert.equal(config.nebulaLayers.length, 2);
+  assert.equal(config.nebulaLayers[0].color, '#ff0000');
+  assert.equal(config.nebulaLayers[1].brightness, 0.5);
+  assert.equal('nebula2Brightness' in config, false);
+});
+
+test('a hash without a config version is read as version 1', () => {
+  const state = decodeShareState(legacyHash({ v: SHARE_STATE_VERSION, c: { blackHoleMass: 2 } }));
+  assert.equal(state.configVersion, 1);
+  assert.deepEqual(state.config, { blackHoleMass: 2 });
+});
+
+test('invalid hashes decode to null', () => {
+  assert.equal(decodeShareState(''), null);
+  assert.equal(decodeShareState('#other=abc'), null);
+  assert.equal(decodeShareState('#view=!!!not-base64'), null);
+  assert.equal(decodeShareState(legacyHash({ v: SHARE_STATE_VERSION + 1, c: {} })), null);
+  assert.equal(decodeShareState(legacyHash({ v: SHARE_STATE_VERSION, c: null })), null);
+});
+
+test('applyConfigDiff ignores unknown keys and mismatched types', () => {
+  const defaults = createDefaultConfig();
+  const config = applyConfigDiff(defaults, { noSuchKey: 1, blackHoleMass: 'heavy', raySteps: 99 });
+  assert.equal('noSuchKey' in config, false);
+  assert.equal(config.blackHoleMass, defaults.blackHoleMass);
+  assert.equal(config.raySteps, 99);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStarCatalog, parseAngle } from '../star-catalog.js';
+import { bvToTemperature } from '../celestial.js';
+import { assertClose } from './helpers.js';
+
+test('parseAngle reads decimal and sexagesimal angles', () => {
+  assert.deepEqual(parseAngle('101.287'), { value: 101.287, sexagesimal: false });
+  assertClose(parseAngle('06 45 08.9').value, 6 + 45 / 60 + 8.9 / 3600, 1e-12);
+  assertClose(parseAngle('06h45m08.9s').value, 6 + 45 / 60 + 8.9 / 3600, 1e-12);
+  assertClose(parseAngle('-16:42:58').value, -(16 + 42 / 60 + 58 / 3600), 1e-12);
+  assert.equal(parseAngle('06 45 08.9').sexagesimal, true);
+  assert.equal(parseAngle(''), null);
+  assert.equal(parseAngle('north'), null);
+});
+
+test('a negative sexagesimal angle keeps its sign when the degrees are zero', () => {
+  assertClose(parseAngle('-00 30 00').value, -0.5, 1e-12);
+});
+
+test('sexagesimal RA is read as hours', () => {
+  const { stars, skipped } = parseStarCatalog([
+    'Name,RA,Dec,Vmag,B-V',
+    'Sirius,06 45 08.9,-16 42 58,-1.46,0.00'
+  ].join('\n'));
+
+  assert.equal(skipped, 0);
+  assert.equal(stars.length, 1);
+  assertClose(stars[0].ra, (6 + 45 / 60 + 8.9 / 3600) * 15, 1e-9, 'ra');
+  assertClose(stars[0].dec, -(16 + 42 / 60 + 58 / 3600), 1e-9, 'dec');
+  assert.equal(stars[0].mag, -1.46);
+  assert.equal(stars[0].bv, 0);
+});
+
+test('decimal RA is read in degrees from a ra_deg column', () => {
+  const { stars } = parseStarCatalog('ra_deg,dec_deg,mag\n101.287,-16.716,-1.46\n10.5,41.2,3.4');
+  assert.deepEqual(stars.map((star) => star.ra), [101.287, 10.5]);
+  assert.deepEqual(stars.map((star) => star.dec), [-16.716, 41.2]);
+});
+
+test('a plain ra column that never exceeds 24 is taken as hours, unless told otherwise', () => {
+  const text = 'ra,dec,mag\n6.752,-16.716,-1.46\n18.6,38.8,0.03';
+  assert.deepEqual(parseStarCatalog(text).stars.map((star) => star.ra), [6.752 * 15, 18.6 * 15]);
+  assert.deepEqual(parseStarCatalog(text, { raUnit: 'degrees' }).stars.map((star) => star.ra), [6.752, 18.6]);
+
+  const degrees = parseStarCatalog('ra,dec,mag\n101.287,-16.716,-1.46\n6.0,1.0,2.0');
+  assert.deepEqual(degrees.stars.map((star) => star.ra), [101.287, 6]);
+});
+
+test('tab and whitespace separated catalogs with quoted fields parse', () => {
+  const tsv = parseStarCatalog('RAh\tDE\tVmag\n"06 45 08.9"\t-16.716\t-1.46');
+  assertClose(tsv.stars[0].ra, 101.287, 1e-3);
+
+  const spaced = parseStarCatalog('ra_deg dec mag bv\n101.287 -16.716 -1.46 0.0');
+  assert.equal(spaced.stars[0].ra, 101.287);
+  assert.equal(spaced.stars[0].bv, 0);
+});
+
+test('rows without a usable position or magnitude are skipped and counted', () => {
+  const { stars, skipped } = parseStarCatalog([
+    'ra_deg,dec,mag,bv',
+    '# comment lines are ignored',
+    '10,20,3.0,0.5',
+    ',20,3.0,0.5',
+    '10,,3.0,0.5',
+    '10,20,,0.5',
+    '10,95,3.0,0.5',
+    '360,20,3.0,0.5',
+    'abc,20,3.0,0.5',
+    '10,20,bright,0.5',
+    '',
+    '30,-40,4.5,'
+  ].join('\n'));
+
+  assert.equal(stars.length, 2);
+  assert.equal(skipped, 7);
+  assert.deepEqual(stars[1], { ra: 30, dec: -40, mag: 4.5, bv: null });
+});
+
+test('an empty catalog or one without required columns throws', () => {
+  assert.throws(() => parseStarCatalog('\n# only a comment\n'), /empty/);
+  assert.throws(() => parseStarCatalog('name,ra,dec\nVega,279.2,38.8'), /no mag column/);
+  assert.throws(() => parseStarCatalog('name,vmag\nVega,0.03'), /no ra, dec column/);
+});
+
+test('B-V converts to temperature: the Sun near 5780 K, Vega near 10000 K', () => {
+  assertClose(bvToTemperature(0.65), 5780, 30, 'Sun');
+  assertClose(bvToTemperature(0.0), 10125, 10, 'Vega');
+  assert.ok(bvToTemperature(1.5) < 4000, 'red giants are cool');
+});
+
+test('B-V is clamped to [-0.4, 2.0] and a missing value gives 6500 K', () => {
+  assert.equal(bvToTemperature(5), bvToTemperature(2.0));
+  assert.equal(bvToTemperature(-3), bvToTemperature(-0.4));
+  assert.equal(bvToTemperature(null), 6500);
+  assert.equal(bvToTemperature(NaN), 6500);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTileLayout, tileToImageUV, bloomMargin } from '../tiles.js';
+import { assertClose } from './helpers.js';
+
+// Count how many tiles cover each pixel (the sizes here are small)
+function coverage(layout, width, height) {
+  const counts = new Uint8Array(width * height);
+  for (const tile of layout.tiles) {
+    for (let y = tile.y; y < tile.y + tile.height; y++) {
+      for (let x = tile.x; x < tile.x + tile.width; x++) {
+        counts[y * width + x]++;
+      }
+    }
+  }
+  return counts;
+}
+
+test('an image within the limit is a single tile', () => {
+  const { columns, rows, tiles } = computeTileLayout(800, 600, 1024);
+  assert.equal(columns, 1);
+  assert.equal(rows, 1);
+  assert.deepEqual(tiles[0].uvOffset, [0, 0]);
+  assert.deepEqual(tiles[0].uvScale, [1, 1]);
+});
+
+test('tiles cover every pixel exactly once, in row-major order', () => {
+  const layout = computeTileLayout(1000, 700, 256);
+  assert.equal(layout.columns, 4);
+  assert.equal(layout.rows, 3);
+  assert.ok(coverage(layout, 1000, 700).every((count) => count === 1));
+  layout.tiles.forEach((tile, i) => {
+    assert.equal(tile.index, i);
+    assert.equal(tile.row * layout.columns + tile.column, i);
+  });
+});
+
+test('tiles never exceed the maximum size and are near-equal', () => {
+  const { tiles } = computeTileLayout(1000, 700, 256);
+  const widths = tiles.map((tile) => tile.width);
+  for (const tile of tiles) {
+    assert.ok(tile.width <= 256 && tile.height <= 256);
+  }
+  assert.ok(Math.max(...widths) - Math.min(...widths) <= 1);
+});
+
+test('tile edges fall on multiples of the alignment', () => {
+  const { tiles } = computeTileLayout(3000, 1500, 1000, 3);
+  for (const tile of tiles) {
+    for (const value of [tile.x, tile.y, tile.width, tile.height]) {
+      assert.equal(value % 3, 0);
+    }
+  }
+});
+
+test('rejects sizes that are not multiples of the alignment, or empty', () => {
+  assert.throws(() => computeTileLayout(1001, 600, 512, 2));
+  assert.throws(() => computeTileLayout(0, 600, 512));
+  assert.throws(() => computeTileLayout(800, 600, 1, 2));
+});
+
+test('tileToImageUV maps tile corners onto the tile in the full image', () => {
+  const width = 1000;
+  const height = 700;
+  for (const tile of computeTileLayout(width, height, 256).tiles) {
+    const [u0, v0] = tileToImageUV(tile, 0, 0);
+    const [u1, v1] = tileToImageUV(tile, 1, 1);
+    assertClose(u0 * width, tile.x, 1e-9);
+    assertClose(v0 * height, tile.y, 1e-9);
+    assertClose(u1 * width, tile.x + tile.width, 1e-9);
+    assertClose(v1 * height, tile.y + tile.height, 1e-9);
+  }
+});
+
+test('margins pad each tile inside the image and stay within the maximum', () => {
+  const width = 1000;
+  const height = 700;
+  const margin = 40;
+  const layout = computeTileLayout(width, height, 256, 1, margin);
+  assert.ok(coverage(layout, width, height).every((count) => count === 1));
+
+  for (const tile of layout.tiles) {
+    assert.ok(tile.renderWidth <= 256 && tile.renderHeight <= 256);
+    assert.equal(tile.renderX, Math.max(tile.x - margin, 0));
+    assert.equal(tile.renderY, Math.max(tile.y - margin, 0));
+    assert.equal(tile.renderX + tile.renderWidth, Math.min(tile.x + tile.width + margin, width));
+    assert.equal(tile.renderY + tile.renderHeight, Math.min(tile.y + tile.height + margin, height));
+  }
+});
+
+test('with a margin, UVs span the rendered region', () => {
+  const width = 1000;
+  const height = 700;
+  const tile = computeTileLayout(width, height, 256, 1, 40).tiles[5];
+  const [u0, v0] = tileToImageUV(tile, 0, 0);
+  const [u1, v1] = tileToImageUV(tile, 1, 1);
+  assertClose(u0 * width, tile.renderX, 1e-9);
+  assertClose(v0 * height, tile.renderY, 1e-9);
+  assertClose(u1 * width, tile.renderX + tile.renderWidth, 1e-9);
+  assertClose(v1 * height, tile.renderY + tile.renderHeight, 1e-9);
+});
+
+test('rejects a margin that leaves no room for the tile', () => {
+  assert.throws(() => computeTileLayout(1000, 700, 256, 1, 128));
+});
+
+test('the bloom margin grows with the bloom radius and stays under the summed kernel reach', () => {
+  const margins = [0, 0.25, 0.5, 0.75, 1].map(bloomMargin);
+  for (let i = 1; i < margins.length; i++) {
+    assert.ok(margins[i] > margins[i - 1], `radius ${i / 4}: ${margins[i]} > ${margins[i - 1]}`);
+  }
+  // Adding up every mip's kernel radius in full-size pixels gives 1156
+  assert.ok(margins[0] > 400 && margins[4] < 700, `margins ${margins}`);
+});
+
+test('the bloom margin clamps the radius to [0, 1]', () => {
+  assert.equal(bloomMargin(-1), bloomMargin(0));
+  assert.equal(bloomMargin(3), bloomMargin(1));
+});
@@ -0,0 +1,173 @@
+/**
+ * Tile layout for high-resolution still rendering.
+ *
+ * Splits an image larger than the GPU can render in one pass into a grid of
+ * tiles. Each tile carries the screen-space offset and scale the shader uses
+ * to map its own screenUV (0..1 across the tile) onto the matching region
+ * of the full image, so the tiles line up without seams in ray generation.
+ *
+ * Screen-space effects such as bloom spread light across tile edges, so a
+ * tile can be rendered with a margin of extra pixels around it (clipped to
+ * the image) that is cropped away afterwards.
+ *
+ * Coordinates follow screenUV: origin at the top-left, Y pointing down.
+ * No DOM or Three.js dependencies so it can run in Node.
+ */
+
+/**
+ * @typedef {Object} Tile
+ * @property {number} index  - Position in render order (row-major)
+ * @property {number} column
+ * @property {number} row
+ * @property {number} x      - Left edge in pixels
+ * @property {number} y      - Top edge in pixels
+ * @property {number} width  - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {number} renderX      - Left edge of the rendered region, margin included
+ * @property {number} renderY      - Top edge of the rendered region, margin included
+ * @property {number} renderWidth  - Width of the rendered region
+ * @property {number} renderHeight - Height of the rendered region
+ * @property {number[]} uvOffset - [x, y] of the rendered region's top-left in full-image UV
+ * @property {number[]} uvScale  - [x, y] size of the rendered region in full-image UV
+ */
+
+/**
+ * Compute a grid of tiles covering a width × height image.
+ *
+ * Tiles are as equal in size as possible, and never exceed maxTileSize on
+ * either axis with their margin included. Tile edges fall on multiples of
+ * `align` (e.g. the supersampling factor) so every tile downsamples to
+ * whole pixels; width and height must be multiples of `align`.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxTileSize - Largest tile edge the GPU can render
+ * @param {number} [align=1]
+ * @param {number} [margin=0] - Extra pixels rendered on each side of a tile
+ * @returns {{ columns: number, rows: number, tiles: Tile[] }}
+ */
+export function computeTileLayout(width, height, maxTileSize, align = 1, margin = 0) {
+  if (!(width > 0 && height > 0)) {
+    throw new Error(`Invalid image size: ${width}x${height}`);
+  }
+  if (width % align !== 0 || height % align !== 0) {
+    throw new Error(`Image size ${width}x${height} is not a multiple of ${align}`);
+  }
+
+  const maxAligned = Math.floor((maxTileSize - 2 * margin) / align) * align;
+  if (maxAligned < align) {
+    throw new Error(`Tile size ${maxTileSize} leaves no room for alignment ${align} with margin ${margin}`);
+  }
+
+  const columns = Math.ceil(width / maxAligned);
+  const rows = Math.ceil(height / maxAligned);
+  const xEdges = splitEdges(width, columns, align);
+  const yEdges = splitEdges(height, rows, align);
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = xEdges[column];
+      const y = yEdges[row];
+      const tileWidth = xEdges[column + 1] - x;
+      const tileHeight = yEdges[row + 1] - y;
+      const renderX = Math.max(x - margin, 0);
+      const renderY = Math.max(y - margin, 0);
+      const renderWidth = Math.min(x + tileWidth + margin, width) - renderX;
+      const renderHeight = Math.min(y + tileHeight + margin, height) - renderY;
+
+      tiles.push({
+        index: tiles.length,
+        column,
+        row,
+        x,
+        y,
+        width: tileWidth,
+        height: tileHeight,
+        renderX,
+        renderY,
+        renderWidth,
+        renderHeight,
+        uvOffset: [renderX / width, renderY / height],
+        uvScale: [renderWidth / width, renderHeight / height]
+      });
+    }
+  }
+
+  return { columns, rows, tiles };
+}
+
+/**
+ * Split [0, size] into `count` near-equal spans with edges on multiples of align.
+ */
+function splitEdges(size, count, align) {
+  const units = size / align;
+  const edges = [];
+  for (let i = 0; i <= count; i++) {
+    edges.push(Math.round((units * i) / count) * align);
+  }
+  return edges;
+}
+
+/**
+ * Map a UV across the tile's rendered region to full-image UV, as the
+ * shader does.
+ */
+export function tileToImageUV(tile, u, v) {
+  return [
+    tile.uvOffset[0] + u * tile.uvScale[0],
+    tile.uvOffset[1] + v * tile.uvScale[1]
+  ];
+}
+
+// ============================================================================
+// BLOOM MARGIN
+// ============================================================================
+
+// three's BloomNode: five mips at 1/2 to 1/32 resolution, each blurring the
+// one before with a Gaussian (σ = kernel radius / 3) in its own pixels. The
+// mips are summed with these factors, which `radius` mirrors toward the
+// coarse end (factor → 1.2 - factor).
+const BLOOM_KERNEL_RADII = [6, 10, 14, 18, 22];
+const BLOOM_FACTORS = [1.0, 0.8, 0.6, 0.4, 0.2];
+
+// Share of an edge's full bloom still spilling past it where the margin stops
+const BLOOM_CUTOFF = 1 / 512;
+
+// Upper tail of the standard normal, Q(z) = erfc(z/√2)/2 (Abramowitz &
+// Stegun 7.1.26, error below 1e-7), for z ≥ 0
+function normalTail(z) {
+  const x = z / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return 0.5 * poly * Math.exp(-x * x);
+}
+
+/**
+ * How far bloom carries light past a bright edge, in rendered pixels, for
+ * a bloom `radius` in [0, 1]: the distance at which what spills over falls
+ * below 1/512 of the bloom at the edge. Tiles need this much margin.
+ *
+ * Bloom works in rendered pixels, so it reaches the same number of pixels
+ * at any output size: relative to the image, a supersampled or larger still
+ * has a smaller halo than the live view.
+ */
+export function bloomMargin(radius) {
+  const mix = Math.min(Math.max(radius, 0), 1);
+  let variance = 0;
+  const mips = BLOOM_KERNEL_RADII.map((kernelRadius, i) => {
+    variance += ((kernelRadius / 3) * 2 ** (i + 1)) ** 2;
+    const factor = BLOOM_FACTORS[i];
+    return { sigma: Math.sqrt(variance), weight: factor + (1.2 - 2 * factor) * mix };
+  });
+  const total = mips.reduce((sum, mip) => sum + mip.weight, 0);
+  const spill = (distance) =>
+    mips.reduce((sum, { sigma, weight }) => sum + weight * normalTail(distance / sigma), 0) / total;
+
+  // Half the bloom spills past an edge, so this starts above the cutoff
+  let margin = 0;
+  while (spill(margin) > BLOOM_CUTOFF) {
+    margin++;
+  }
+  return margin;
+}
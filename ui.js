@@ -6,6 +6,15 @@
  */
 
 import { Pane } from 'tweakpane';
+import { kerrISCO } from './kerr.js';
+import { RENDER_MODES } from './blackhole-shader.js';
+import { VIDEO_FORMATS } from './video-export.js';
+import { BACKGROUND_FILE_TYPES, CATALOG_FILE_TYPES } from './sky-textures.js';
+import { getTrackKeys, TRACK_EASINGS } from './keyframe-tracks.js';
+import { SEGMENT_EASINGS } from './camera-path.js';
+import { getBindingParams } from './config-schema.js';
+import { ConfigHistory, diffSnapshots } from './history.js';
+import { MAX_NEBULA_LAYERS, NEBULA_LAYER_SCHEMA, createNebulaLayer } from './nebula-layers.js';
 
 export class BlackHoleUI {
   constructor(config, callbacks) {
@@ -13,19 +22,30 @@ export class BlackHoleUI {
     this.callbacks = callbacks;
     this.pane = new Pane({ title: 'Black Hole Controls' });
     this.bloomPassNode = null;
-    this.perfParams = { fps: 60 };
+    this.perfParams = { fps: 60, activeQuality: config.qualityPreset === 'auto' ? 'medium' : config.qualityPreset };
 
     this.setupUI();
+    this.setupHistory();
   }
 
   setupUI() {
     this.setupCameraFolder();
     this.setupConfigFolder();
+    this.setupExportFolder();
     this.setupPerformanceFolder();
     this.setupBlackHoleFolder();
     this.setupStarsFolder();
     this.setupNebulaFolder();
+    this.setupExposureFolder();
     this.setupBloomFolder();
+    this.setupDebugFolder();
+  }
+
+  /**
+   * Bind a config slider whose range and step come from the config schema.
+   */
+  addConfigBinding(folder, key, params) {
+    return folder.addBinding(this.config, key, { ...getBindingParams(key), ...params });
   }
 
   // ==========================================================================
@@ -62,6 +82,269 @@ export class BlackHoleUI {
       parse: (v) => String(v),
       value: 'Smooth camera flythrough'
     });
+
+    this.addConfigBinding(cameraFolder, 'cameraFov', {
+      label: 'FOV (°)'
+    }).on('change', () => {
+      this.callbacks.onCameraFovChange?.(this.config.cameraFov);
+    });
+
+    this.addConfigBinding(cameraFolder, 'cameraRoll', {
+      label: 'Roll (°)'
+    });
+
+    this.setupKeyframeEditor(cameraFolder);
+  }
+
+  /**
+   * Editor for the cinematic camera path: add, delete, reorder and time
+   * keyframes, and scrub through the animation.
+   */
+  setupKeyframeEditor(cameraFolder) {
+    this.keyframeFolder = cameraFolder.addFolder({
+      title: 'Keyframes',
+      expanded: false
+    });
+
+    this.keyframeParams = { time: 0, newDuration: 4 };
+    this.keyframeBlades = [];
+    this.timelineBinding = null;
+
+    this.keyframeFolder.addBinding(this.config, 'cameraPlaybackMode', {
+      options: {
+        'Loop': 'loop',
+        'Play Once': 'once',
+        'Ping-Pong': 'pingpong'
+      },
+      label: 'Playback'
+    }).on('change', () => {
+      this.callbacks.onCameraPlaybackChange?.();
+      this.rebuildTimeline();
+    });
+
+    // Uniform speed along the whole path instead of per-keyframe timing
+    this.keyframeFolder.addBinding(this.config, 'cameraConstantSpeed', {
+      label: 'Constant Speed'
+    }).on('change', () => {
+      this.callbacks.onCameraPlaybackChange?.();
+    });
+
+    // Transition between the user's view and the path on start/stop
+    this.addConfigBinding(this.keyframeFolder, 'cameraBlendDuration', {
+      label: 'Blend (s)'
+    }).on('change', () => {
+      this.callbacks.onCameraPlaybackChange?.();
+    });
+
+    this.keyframeFolder.addBinding(this.keyframeParams, 'newDuration', {
+      min: 0,
+      max: 30,
+      step: 0.5,
+      label: 'New Duration (s)'
+    });
+
+    this.keyframeFolder.addButton({
+      title: 'Add Keyframe at Current View'
+    }).on('click', () => {
+      const index = this.callbacks.onAddCameraKeyframe?.(this.keyframeParams.newDuration);
+      this.commitHistory();
+      this.rebuildKeyframeList(index);
+      this.showNotification(`Added keyframe ${index + 1}`);
+    });
+
+    this.rebuildKeyframeList();
+  }
+
+  /**
+   * Recreate the timeline slider, whose range is the path's total duration.
+   */
+  rebuildTimeline() {
+    this.timelineBinding?.dispose();
+
+    const duration = this.callbacks.getCameraAnimationDuration?.() ?? 0;
+    this.keyframeParams.time = Math.min(this.callbacks.getCameraAnimationTime?.() ?? 0, duration);
+
+    this.timelineBinding = this.keyframeFolder.addBinding(this.keyframeParams, 'time', {
+      min: 0,
+      max: Math.max(duration, 0.01),
+      step: 0.01,
+      label: 'Timeline (s)',
+      index: 0
+    }).on('change', (ev) => {
+      if (this.updatingTimeline) return;
+      this.callbacks.onScrubCameraAnimation?.(ev.value);
+    });
+  }
+
+  /**
+   * Recreate the per-keyframe folders after the path changes shape.
+   * @param {number} [expandedIndex] - Keyframe folder to leave open
+   */
+  rebuildKeyframeList(expandedIndex = -1) {
+    for (const blade of this.keyframeBlades) {
+      blade.dispose();
+    }
+    this.keyframeBlades = [];
+    this.rebuildTimeline();
+
+    const keyframes = this.callbacks.getCameraKeyframes?.() ?? [];
+
+    keyframes.forEach((keyframe, index) => {
+      const folder = this.keyframeFolder.addFolder({
+        title: `Keyframe ${index + 1}`,
+        expanded: index === expandedIndex
+      });
+      this.keyframeBlades.push(folder);
+
+      // Time to travel on to the next keyframe
+      folder.addBinding(keyframe, 'duration', {
+        min: 0,
+        max: 30,
+        step: 0.5,
+        label: 'Duration (s)'
+      }).on('change', (ev) => {
+        this.callbacks.onCameraKeyframeDurationChange?.(index, ev.value);
+        if (ev.last) {
+          this.rebuildTimeline();
+        }
+      });
+
+      // Pacing from this keyframe to the next
+      const easing = { easing: keyframe.easing ?? 'linear' };
+      folder.addBinding(easing, 'easing', {
+        options: Object.fromEntries(SEGMENT_EASINGS.map((name) => [name, name])),
+        label: 'Easing'
+      }).on('change', (ev) => {
+        this.callbacks.onKeyframeEasingChange?.(index, ev.value);
+      });
+
+      folder.addButton({ title: 'Go To' }).on('click', () => {
+        const time = this.callbacks.getCameraKeyframeTime?.(index) ?? 0;
+        this.callbacks.onScrubCameraAnimation?.(time);
+        this.updateCameraTimeline(time);
+      });
+
+      const moveUp = folder.addButton({ title: 'Move Earlier' }).on('click', () => {
+        const newIndex = this.callbacks.onMoveCameraKeyframe?.(index, -1);
+        this.commitHistory();
+        this.rebuildKeyframeList(newIndex);
+      });
+      moveUp.disabled = index === 0;
+
+      const moveDown = folder.addButton({ title: 'Move Later' }).on('click', () => {
+        const newIndex = this.callbacks.onMoveCameraKeyframe?.(index, 1);
+        this.commitHistory();
+        this.rebuildKeyframeList(newIndex);
+      });
+      moveDown.disabled = index === keyframes.length - 1;
+
+      folder.addButton({ title: 'Delete' }).on('click', () => {
+        this.callbacks.onRemoveCameraKeyframe?.(index);
+        this.commitHistory();
+        this.rebuildKeyframeList(Math.min(index, keyframes.length - 2));
+        this.syncAnimationButton();
+      });
+
+      this.addKeyframeParams(folder, keyframe, index);
+    });
+
+    this.addTrackEasingFolder(keyframes);
+  }
+
+  /**
+   * Parameter values carried by a keyframe (e.g. disk temperature), which
+   * are interpolated along the path while it plays.
+   */
+  addKeyframeParams(folder, keyframe, index) {
+    const options = {};
+    for (const key of this.callbacks.getAnimatableParams?.() ?? []) {
+      options[key] = key;
+    }
+    const keys = Object.keys(options);
+    if (keys.length === 0) return;
+
+    const paramsFolder = folder.addFolder({
+      title: 'Parameters',
+      expanded: keyframe.params !== undefined
+    });
+
+    const selection = { key: keys[0] };
+    paramsFolder.addBinding(selection, 'key', {
+      options,
+      label: 'Parameter'
+    });
+
+    paramsFolder.addButton({
+      title: 'Add Current Value'
+    }).on('click', () => {
+      this.callbacks.onSetKeyframeParam?.(index, selection.key, this.config[selection.key]);
+      this.commitHistory();
+      this.rebuildKeyframeList(index);
+    });
+
+    for (const key of Object.keys(keyframe.params ?? {})) {
+      paramsFolder.addBinding(keyframe.params, key, {
+        label: key
+      }).on('change', (ev) => {
+        this.callbacks.onSetKeyframeParam?.(index, key, ev.value);
+      });
+
+      paramsFolder.addButton({
+        title: `Remove ${key}`
+      }).on('click', () => {
+        this.callbacks.onRemoveKeyframeParam?.(index, key);
+        this.commitHistory();
+        this.rebuildKeyframeList(index);
+      });
+    }
+  }
+
+  /**
+   * Easing choice for each parameter track on the path.
+   */
+  addTrackEasingFolder(keyframes) {
+    const trackKeys = getTrackKeys(keyframes);
+    if (trackKeys.length === 0) return;
+
+    const easingFolder = this.keyframeFolder.addFolder({
+      title: 'Track Easing',
+      expanded: false
+    });
+    this.keyframeBlades.push(easingFolder);
+
+    const easing = this.callbacks.getTrackEasing?.() ?? {};
+    const options = Object.fromEntries(TRACK_EASINGS.map((name) => [name, name]));
+
+    for (const key of trackKeys) {
+      easing[key] = easing[key] ?? 'catmullRom';
+      easingFolder.addBinding(easing, key, {
+        options,
+        label: key
+      }).on('change', (ev) => {
+        this.callbacks.onTrackEasingChange?.(key, ev.value);
+      });
+    }
+  }
+
+  /**
+   * Move the timeline slider without scrubbing the camera.
+   */
+  updateCameraTimeline(time) {
+    if (!this.timelineBinding) return;
+    this.keyframeParams.time = time;
+    this.updatingTimeline = true;
+    this.timelineBinding.refresh();
+    this.updatingTimeline = false;
+  }
+
+  /**
+   * Match the cinematic mode button to the animation state
+   * (e.g. deleting the last keyframe stops playback).
+   */
+  syncAnimationButton() {
+    const isPlaying = this.callbacks.getCameraAnimationState?.() ?? false;
+    this.cameraAnimState.playing = isPlaying;
+    this.animButton.title = isPlaying ? 'Stop Cinematic Mode' : 'Start Cinematic Mode';
   }
 
   // ==========================================================================
@@ -87,13 +370,53 @@ export class BlackHoleUI {
       },
       reset: () => {
         if (confirm('Reset all settings to defaults?')) {
-          this.callbacks.onResetToDefaults?.();
-          this.pane.refresh();
+          this.recordHistoryBatch(() => {
+            this.callbacks.onResetToDefaults?.();
+            this.syncDiskInnerRadius();
+            this.rebuildKeyframeList();
+            this.rebuildNebulaLayers();
+            this.pane.refresh();
+          });
           this.showNotification('Reset to defaults');
         }
+      },
+      share: async () => {
+        try {
+          await this.callbacks.onCopyShareLink?.();
+          this.showNotification('Share link copied!');
+        } catch (e) {
+          console.warn('Failed to copy share link:', e);
+          this.showNotification('Could not copy share link');
+        }
+      },
+      exportJSON: () => {
+        this.callbacks.onExportConfig?.();
+      },
+      importJSON: () => {
+        this.configFileInput.click();
       }
     };
 
+    // Hidden file picker for Import JSON
+    this.configFileInput = document.createElement('input');
+    this.configFileInput.type = 'file';
+    this.configFileInput.accept = '.json,application/json';
+    this.configFileInput.addEventListener('change', () => {
+      const file = this.configFileInput.files[0];
+      this.configFileInput.value = '';
+      if (file) {
+        this.importConfigFile(file);
+      }
+    });
+
+    configFolder.addButton({
+      title: 'Undo (Ctrl+Z)'
+    }).on('click', () => this.undo());
+
+    configFolder.addButton({
+      title: 'Redo (Ctrl+Shift+Z)'
+    }).on('click', () => this.redo());
+
     configFolder.addButton({
       title: 'Save Settings'
     }).on('click', buttonParams.save);
@@ -105,6 +428,439 @@ export class BlackHoleUI {
     configFolder.addButton({
       title: 'Reset to Defaults'
     }).on('click', buttonParams.reset);
+
+    configFolder.addButton({
+      title: 'Copy Share Link'
+    }).on('click', buttonParams.share);
+
+    configFolder.addButton({
+      title: 'Export JSON'
+    }).on('click', buttonParams.exportJSON);
+
+    configFolder.addButton({
+      title: 'Import JSON'
+    }).on('click', buttonParams.importJSON);
+
+    this.setupPresetFolder(configFolder);
+  }
+
+  /**
+   * Named presets: built-in looks plus the user's own, which can be saved,
+   * renamed and deleted. Loading one crossfades to it.
+   */
+  setupPresetFolder(configFolder) {
+    this.presetFolder = configFolder.addFolder({
+      title: 'Presets',
+      expanded: true
+    });
+
+    this.presetParams = { selected: '', name: '' };
+    this.presetList = null;
+
+    this.presetNameBinding = this.presetFolder.addBinding(this.presetParams, 'name', {
+      label: 'Name'
+    });
+
+    // Run a preset action, reporting failures (e.g. a taken name) to the user
+    const run = (action) => {
+      try {
+        action();
+      } catch (e) {
+        this.showNotification(e.message);
+      }
+    };
+
+    this.presetFolder.addButton({
+      title: 'Load'
+    }).on('click', () => run(() => {
+      const name = this.presetParams.selected;
+      this.recordHistoryBatch(() => {
+        this.callbacks.onLoadPreset?.(name);
+        this.syncDiskInnerRadius();
+        this.rebuildNebulaLayers();
+        this.pane.refresh();
+      });
+      this.showNotification(`Loaded "${name}"`);
+    }));
+
+    this.presetFolder.addButton({
+      title: 'Save As'
+    }).on('click', () => run(() => {
+      const name = this.callbacks.onSavePreset?.(this.presetParams.name);
+      this.rebuildPresetList(name);
+      this.showNotification(`Saved preset "${name}"`);
+    }));
+
+    this.presetFolder.addButton({
+      title: 'Rename'
+    }).on('click', () => run(() => {
+      const name = this.callbacks.onRenamePreset?.(this.presetParams.selected, this.presetParams.name);
+      this.rebuildPresetList(name);
+      this.showNotification(`Renamed to "${name}"`);
+    }));
+
+    this.presetFolder.addButton({
+      title: 'Delete'
+    }).on('click', () => run(() => {
+      const name = this.presetParams.selected;
+      if (!confirm(`Delete preset "${name}"?`)) return;
+      this.callbacks.onDeletePreset?.(name);
+      this.rebuildPresetList();
+      this.showNotification(`Deleted "${name}"`);
+    }));
+
+    this.rebuildPresetList();
+  }
+
+  /**
+   * Refill the preset dropdown, selecting `selected` (or keeping the current
+   * choice if it still exists).
+   */
+  rebuildPresetList(selected = this.presetParams.selected) {
+    const presets = this.callbacks.getPresets?.() ?? [];
+    const names = presets.map((preset) => preset.name);
+    this.presetParams.selected = names.includes(selected) ? selected : (names[0] ?? '');
+    this.presetParams.name = this.presetParams.selected;
+
+    this.presetList?.dispose();
+    this.presetList = this.presetFolder.addBinding(this.presetParams, 'selected', {
+      index: 0,
+      label: 'Preset',
+      options: Object.fromEntries(presets.map((preset) => [
+        preset.builtIn ? `${preset.name} (built-in)` : preset.name,
+        preset.name
+      ]))
+    }).on('change', (ev) => {
+      // Start from the selected name when renaming or saving a variation
+      this.presetParams.name = ev.value;
+      this.presetNameBinding.refresh();
+    });
+    this.presetNameBinding.refresh();
+  }
+
+  /**
+   * Apply a config file chosen with Import JSON. Invalid values are replaced
+   * by the app (and listed in the console); unreadable files change nothing.
+   */
+  async importConfigFile(file) {
+    let errors;
+    try {
+      const text = await file.text();
+      errors = this.recordHistoryBatch(() => {
+        const corrections = this.callbacks.onImportConfig?.(text) ?? [];
+        this.syncDiskInnerRadius();
+        this.rebuildKeyframeList();
+        this.rebuildNebulaLayers();
+        this.pane.refresh();
+        return corrections;
+      });
+    } catch (e) {
+      console.warn('Failed to import config:', e);
+      this.showNotification(`Import failed: ${e.message}`);
+      return;
+    }
+
+    if (errors.length > 0) {
+      console.warn('Imported config had invalid values:', errors);
+      this.showNotification(`Imported with ${errors.length} correction(s) - see console`);
+    } else {
+      this.showNotification(`Imported ${file.name}`);
+    }
+  }
+
+  // ==========================================================================
+  // UNDO / REDO
+  // ==========================================================================
+
+  /**
+   * Record config edits for undo. Every change event from the pane is
+   * compared against a snapshot of the config, so side effects of an edit
+   * (e.g. the ISCO-pinned inner radius following the spin) land in the same
+   * entry. Slider drags are coalesced using Tweakpane's `last` flag.
+   */
+  setupHistory() {
+    this.history = new ConfigHistory();
+    this.historySnapshot = structuredClone(this.config);
+    this.historyPaused = false;
+
+    this.pane.on('change', (ev) => {
+      // The timeline following playback isn't an edit
+      if (this.historyPaused || this.updatingTimeline) return;
+      this.commitHistory({ ongoing: !ev.last });
+    });
+
+    window.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      // Leave text fields their own undo
+      if (event.target.closest?.('input, textarea')) return;
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+  }
+
+  /**
+   * Record whatever the config has changed since the last snapshot.
+   * @param {Object} [options] - See ConfigHistory.record
+   */
+  commitHistory(options) {
+    const changes = diffSnapshots(this.historySnapshot, this.config);
+    if (!changes) return;
+
+    for (const key of Object.keys(changes)) {
+      this.historySnapshot[key] = structuredClone(this.config[key]);
+    }
+    this.history.record(changes, options);
+  }
+
+  /**
+   * Run an action that changes many settings (reset, import, preset) and
+   * record it as a single entry.
+   */
+  recordHistoryBatch(action) {
+    this.historyPaused = true;
+    try {
+      return action();
+    } finally {
+      this.historyPaused = false;
+      this.commitHistory({ coalesce: false });
+    }
+  }
+
+  /**
+   * Run an action whose config changes aren't user edits
+   * (automatic quality, undo itself) without recording them.
+   */
+  withoutHistory(action) {
+    const before = structuredClone(this.config);
+    const wasPaused = this.historyPaused;
+    this.historyPaused = true;
+    try {
+      return action();
+    } finally {
+      this.historyPaused = wasPaused;
+      for (const key of Object.keys(diffSnapshots(before, this.config) ?? {})) {
+        this.historySnapshot[key] = structuredClone(this.config[key]);
+      }
+    }
+  }
+
+  undo() {
+    const values = this.history.undo();
+    if (values) {
+      this.applyHistoryValues(values);
+    } else {
+      this.showNotification('Nothing to undo');
+    }
+  }
+
+  redo() {
+    const values = this.history.redo();
+    if (values) {
+      this.applyHistoryValues(values);
+    } else {
+      this.showNotification('Nothing to redo');
+    }
+  }
+
+  /**
+   * Write values back to the config. Refreshing the pane fires the usual
+   * change handlers, which push them on to the simulation.
+   */
+  applyHistoryValues(values) {
+    this.withoutHistory(() => {
+      this.callbacks.onApplyHistory?.(values);
+      if ('cameraKeyframes' in values || 'cameraTrackEasing' in values) {
+        this.rebuildKeyframeList();
+        this.syncAnimationButton();
+      }
+      if ('nebulaLayers' in values) {
+        this.rebuildNebulaLayers();
+      }
+      this.pane.refresh();
+    });
+  }
+
+  // ==========================================================================
+  // EXPORT
+  // ==========================================================================
+
+  setupExportFolder() {
+    const exportFolder = this.pane.addFolder({
+      title: 'Export',
+      expanded: false
+    });
+
+    this.stillParams = {
+      resolution: '3840x2160',
+      supersample: 2,
+      raySteps: 256,
+      stepSize: 0.3
+    };
+
+    exportFolder.addBinding(this.stillParams, 'resolution', {
+      options: {
+        '1080p (1920×1080)': '1920x1080',
+        '1440p (2560×1440)': '2560x1440',
+        '4K (3840×2160)': '3840x2160',
+        '8K (7680×4320)': '7680x4320',
+        'Square 4K (4096×4096)': '4096x4096'
+      },
+      label: 'Resolution'
+    });
+
+    exportFolder.addBinding(this.stillParams, 'supersample', {
+      min: 1,
+      max: 4,
+      step: 1,
+      label: 'Supersample'
+    });
+
+    exportFolder.addBinding(this.stillParams, 'raySteps', {
+      min: 16,
+      max: 1024,
+      step: 1,
+      label: 'Ray Steps'
+    });
+
+    exportFolder.addBinding(this.stillParams, 'stepSize', {
+      min: 0.05,
+      max: 2.0,
+      step: 0.01,
+      label: 'Step Size'
+    });
+
+    const stillButton = exportFolder.addButton({
+      title: 'Render Still'
+    }).on('click', async () => {
+      const [width, height] = this.stillParams.resolution.split('x').map(Number);
+      stillButton.disabled = true;
+      try {
+        await this.callbacks.onRenderStill?.(
+          { ...this.stillParams, width, height },
+          (done, total) => {
+            stillButton.title = `Rendering tile ${done}/${total}...`;
+          }
+        );
+        this.showNotification(`Saved ${width}×${height} still`);
+      } catch (e) {
+        console.error('Still render failed:', e);
+        this.showNotification('Still render failed');
+      } finally {
+        stillButton.title = 'Render Still';
+        stillButton.disabled = false;
+      }
+    });
+
+    this.setupVideoExport(exportFolder);
+  }
+
+  /**
+   * Fixed frame rate video export of the cinematic camera path.
+   */
+  setupVideoExport(exportFolder) {
+    const videoFolder = exportFolder.addFolder({
+      title: 'Video',
+      expanded: true
+    });
+
+    this.videoParams = {
+      resolution: '1920x1080',
+      fps: 30,
+      duration: 0,
+      format: VIDEO_FORMATS.WEBM,
+      raySteps: 128,
+      stepSize: 0.6
+    };
+
+    videoFolder.addBinding(this.videoParams, 'resolution', {
+      options: {
+        '720p (1280×720)': '1280x720',
+        '1080p (1920×1080)': '1920x1080',
+        '1440p (2560×1440)': '2560x1440',
+        '4K (3840×2160)': '3840x2160'
+      },
+      label: 'Resolution'
+    });
+
+    videoFolder.addBinding(this.videoParams, 'fps', {
+      options: { '24': 24, '30': 30, '60': 60 },
+      label: 'Frame Rate'
+    });
+
+    // 0 renders one full cycle of the camera path
+    videoFolder.addBinding(this.videoParams, 'duration', {
+      min: 0,
+      max: 120,
+      step: 0.5,
+      label: 'Duration (s)'
+    });
+
+    videoFolder.addBinding(this.videoParams, 'format', {
+      options: {
+        'WebM (VP9)': VIDEO_FORMATS.WEBM,
+        'PNG Sequence': VIDEO_FORMATS.PNG_SEQUENCE
+      },
+      label: 'Format'
+    });
+
+    videoFolder.addBinding(this.videoParams, 'raySteps', {
+      min: 16,
+      max: 1024,
+      step: 1,
+      label: 'Ray Steps'
+    });
+
+    videoFolder.addBinding(this.videoParams, 'stepSize', {
+      min: 0.05,
+      max: 2.0,
+      step: 0.01,
+      label: 'Step Size'
+    });
+
+    let abortController = null;
+
+    const videoButton = videoFolder.addButton({
+      title: 'Export Video'
+    }).on('click', async () => {
+      const [width, height] = this.videoParams.resolution.split('x').map(Number);
+      abortController = new AbortController();
+      videoButton.disabled = true;
+      cancelButton.disabled = false;
+      try {
+        await this.callbacks.onExportVideo?.(
+          { ...this.videoParams, width, height },
+          (done, total) => {
+            videoButton.title = `Rendering frame ${done}/${total}...`;
+          },
+          abortController.signal
+        );
+        this.showNotification('Video export finished');
+      } catch (e) {
+        if (e.name === 'AbortError') {
+          this.showNotification('Video export cancelled');
+        } else {
+          console.error('Video export failed:', e);
+          this.showNotification('Video export failed');
+        }
+      } finally {
+        abortController = null;
+        videoButton.title = 'Export Video';
+        videoButton.disabled = false;
+        cancelButton.disabled = true;
+      }
+    });
+
+    const cancelButton = videoFolder.addButton({
+      title: 'Cancel Export'
+    }).on('click', () => {
+      abortController?.abort();
+    });
+    cancelButton.disabled = true;
   }
 
   /**
@@ -151,6 +907,72 @@ export class BlackHoleUI {
       readonly: true,
       label: 'FPS'
     });
+
+    perfFolder.addBinding(this.config, 'qualityPreset', {
+      options: {
+        'Low': 'low',
+        'Medium': 'medium',
+        'High': 'high',
+        'Ultra': 'ultra',
+        'Auto': 'auto'
+      },
+      label: 'Quality'
+    }).on('change', () => {
+      this.callbacks.onQualityPresetChange?.(this.config.qualityPreset);
+      this.pane.refresh();
+    });
+
+    perfFolder.addBinding(this.perfParams, 'activeQuality', {
+      readonly: true,
+      label: 'Active Level'
+    });
+
+    this.addConfigBinding(perfFolder, 'targetFps', {
+      label: 'Target FPS'
+    }).on('change', () => {
+      this.callbacks.onTargetFpsChange?.(this.config.targetFps);
+    });
+
+    this.addConfigBinding(perfFolder, 'pixelRatio', {
+      label: 'Pixel Ratio'
+    }).on('change', () => {
+      this.callbacks.onPixelRatioChange?.(this.config.pixelRatio);
+    });
+
+    this.addConfigBinding(perfFolder, 'noiseOctaves', {
+      label: 'Noise Octaves'
+    }).on('change', (ev) => {
+      if (ev.last) {
+        this.callbacks.onShaderOptionChange?.();
+      }
+    });
+
+    // Loop length is compiled into the shader, so changing it rebuilds the material
+    this.addConfigBinding(perfFolder, 'raySteps', {
+      label: 'Ray Steps'
+    }).on('change', (ev) => {
+      if (ev.last) {
+        this.callbacks.onShaderOptionChange?.();
+      }
+    });
+
+    this.addConfigBinding(perfFolder, 'stepSize', {
+      label: 'Step Size'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('stepSize', this.config.stepSize);
+    });
+
+    this.addConfigBinding(perfFolder, 'adaptiveMinStep', {
+      label: 'Min Step'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('adaptiveMinStep', this.config.adaptiveMinStep);
+    });
+
+    this.addConfigBinding(perfFolder, 'maxRayDistance', {
+      label: 'Escape Radius'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('maxRayDistance', this.config.maxRayDistance);
+    });
   }
 
   // ==========================================================================
@@ -160,177 +982,235 @@ export class BlackHoleUI {
   setupBlackHoleFolder() {
     const bhFolder = this.pane.addFolder({ title: 'Black Hole' });
 
-    bhFolder.addBinding(this.config, 'blackHoleMass', {
-      min: 0.1,
-      max: 3.0,
-      step: 0.1,
+    this.addConfigBinding(bhFolder, 'blackHoleMass', {
       label: 'Mass'
     }).on('change', () => {
       this.callbacks.onUniformChange('blackHoleMass', this.config.blackHoleMass);
+      this.syncDiskInnerRadius();
+    });
+
+    this.addConfigBinding(bhFolder, 'blackHoleSpin', {
+      label: 'Spin (a/M)'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('blackHoleSpin', this.config.blackHoleSpin);
+      this.syncDiskInnerRadius();
+    });
+
+    bhFolder.addBinding(this.config, 'integrator', {
+      options: {
+        'Classic': 0,
+        'Geodesic (RK4)': 1
+      },
+      label: 'Integrator'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('integrator', this.config.integrator);
     });
 
-    bhFolder.addBinding(this.config, 'gravitationalLensing', {
-      min: 0.5,
-      max: 3.0,
-      step: 0.1,
+    this.addConfigBinding(bhFolder, 'gravitationalLensing', {
       label: 'Grav. Lensing'
     }).on('change', () => {
       this.callbacks.onUniformChange('gravitationalLensing', this.config.gravitationalLensing);
     });
 
-    bhFolder.addBinding(this.config, 'dopplerStrength', {
-      min: 0.0,
-      max: 2.0,
-      step: 0.1,
+    this.addConfigBinding(bhFolder, 'dopplerStrength', {
       label: 'Doppler Beaming'
     }).on('change', () => {
       this.callbacks.onUniformChange('dopplerStrength', this.config.dopplerStrength);
     });
 
+    bhFolder.addBinding(this.config, 'relativisticColor', {
+      label: 'Relativistic Color'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('relativisticColor', this.config.relativisticColor);
+    });
+
     // === Disk Geometry ===
     const geometryFolder = bhFolder.addFolder({
       title: 'Geometry',
       expanded: false
     });
 
-    geometryFolder.addBinding(this.config, 'diskInnerRadius', {
-      min: 2.0,
-      max: 5.0,
-      step: 0.1,
+    geometryFolder.addBinding(this.config, 'diskInnerAtISCO', {
+      label: 'Inner at ISCO'
+    }).on('change', () => {
+      this.syncDiskInnerRadius();
+    });
+
+    this.diskInnerRadiusBinding = this.addConfigBinding(geometryFolder, 'diskInnerRadius', {
       label: 'Inner Radius'
     }).on('change', () => {
       this.callbacks.onUniformChange('diskInnerRadius', this.config.diskInnerRadius);
     });
 
-    geometryFolder.addBinding(this.config, 'diskOuterRadius', {
-      min: 6.0,
-      max: 20.0,
-      step: 0.5,
+    this.addConfigBinding(geometryFolder, 'diskOuterRadius', {
       label: 'Outer Radius'
     }).on('change', () => {
       this.callbacks.onUniformChange('diskOuterRadius', this.config.diskOuterRadius);
     });
 
+    geometryFolder.addBinding(this.config, 'diskVolumetric', {
+      label: 'Volumetric'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('diskVolumetric', this.config.diskVolumetric);
+    });
+
+    this.addConfigBinding(geometryFolder, 'diskThickness', {
+      label: 'Thickness'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('diskThickness', this.config.diskThickness);
+    });
+
+    this.addConfigBinding(geometryFolder, 'diskInnerThickness', {
+      label: 'Inner Thickness'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('diskInnerThickness', this.config.diskInnerThickness);
+    });
+
+    this.addConfigBinding(geometryFolder, 'diskOuterThickness', {
+      label: 'Outer Thickness'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('diskOuterThickness', this.config.diskOuterThickness);
+    });
+
+    this.addConfigBinding(geometryFolder, 'heightDensityFalloff', {
+      label: 'Height Falloff'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('heightDensityFalloff', this.config.heightDensityFalloff);
+    });
+
+    this.addConfigBinding(geometryFolder, 'diskDensity', {
+      label: 'Density'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('diskDensity', this.config.diskDensity);
+    });
+
     // === Disk Appearance ===
     const appearanceFolder = bhFolder.addFolder({
       title: 'Appearance',
       expanded: true
     });
 
-    appearanceFolder.addBinding(this.config, 'diskBrightness', {
-      min: 0.5,
-      max: 5.0,
-      step: 0.1,
+    this.addConfigBinding(appearanceFolder, 'diskBrightness', {
       label: 'Brightness'
     }).on('change', () => {
       this.callbacks.onUniformChange('diskBrightness', this.config.diskBrightness);
     });
 
-    appearanceFolder.addBinding(this.config, 'diskTemperature', {
-      min: 1,
-      max: 50,
-      step: 1,
+    this.addConfigBinding(appearanceFolder, 'diskTemperature', {
       label: 'Peak Temp (kK)',
       format: (v) => `${v.toFixed(0)}k K`
     }).on('change', () => {
       this.callbacks.onUniformChange('diskTemperature', this.config.diskTemperature);
     });
 
-    appearanceFolder.addBinding(this.config, 'temperatureFalloff', {
-      min: 0.25,
-      max: 15.0,
-      step: 0.01,
+    this.addConfigBinding(appearanceFolder, 'temperatureFalloff', {
       label: 'Temp Falloff'
     }).on('change', () => {
       this.callbacks.onUniformChange('temperatureFalloff', this.config.temperatureFalloff);
     });
 
-    appearanceFolder.addBinding(this.config, 'diskEdgeSoftnessInner', {
-      min: 0.0,
-      max: 0.5,
-      step: 0.01,
+    this.addConfigBinding(appearanceFolder, 'diskEdgeSoftnessInner', {
       label: 'Inner Softness'
     }).on('change', () => {
       this.callbacks.onUniformChange('diskEdgeSoftnessInner', this.config.diskEdgeSoftnessInner);
     });
 
-    appearanceFolder.addBinding(this.config, 'diskEdgeSoftnessOuter', {
-      min: 0.0,
-      max: 0.5,
-      step: 0.01,
+    this.addConfigBinding(appearanceFolder, 'diskEdgeSoftnessOuter', {
       label: 'Outer Softness'
     }).on('change', () => {
       this.callbacks.onUniformChange('diskEdgeSoftnessOuter', this.config.diskEdgeSoftnessOuter);
     });
 
+    // === Disk Image Orders ===
+    const imagesFolder = bhFolder.addFolder({
+      title: 'Photon Ring',
+      expanded: false
+    });
+
+    this.addConfigBinding(imagesFolder, 'primaryImageIntensity', {
+      label: 'Primary'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('primaryImageIntensity', this.config.primaryImageIntensity);
+    });
+
+    this.addConfigBinding(imagesFolder, 'secondaryImageIntensity', {
+      label: 'Secondary'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('secondaryImageIntensity', this.config.secondaryImageIntensity);
+    });
+
+    this.addConfigBinding(imagesFolder, 'higherOrderImageIntensity', {
+      label: 'Tertiary+'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('higherOrderImageIntensity', this.config.higherOrderImageIntensity);
+    });
+
     // === Turbulence Pattern ===
     const turbulenceFolder = bhFolder.addFolder({
       title: 'Turbulence',
       expanded: true
     });
 
-    turbulenceFolder.addBinding(this.config, 'turbulenceScale', {
-      min: 0.1,
-      max: 2.0,
-      step: 0.01,
+    this.addConfigBinding(turbulenceFolder, 'turbulenceScale', {
       label: 'Scale'
     }).on('change', () => {
       this.callbacks.onUniformChange('turbulenceScale', this.config.turbulenceScale);
     });
 
-    turbulenceFolder.addBinding(this.config, 'turbulenceStretch', {
-      min: 0.1,
-      max: 10.0,
-      step: 0.01,
+    this.addConfigBinding(turbulenceFolder, 'turbulenceStretch', {
       label: 'Arc Stretch'
     }).on('change', () => {
       this.callbacks.onUniformChange('turbulenceStretch', this.config.turbulenceStretch);
     });
 
-    turbulenceFolder.addBinding(this.config, 'turbulenceSharpness', {
-      min: 0.1,
-      max: 10.0,
-      step: 0.1,
+    this.addConfigBinding(turbulenceFolder, 'turbulenceSharpness', {
       label: 'Sharpness'
     }).on('change', () => {
       this.callbacks.onUniformChange('turbulenceSharpness', this.config.turbulenceSharpness);
     });
 
-    turbulenceFolder.addBinding(this.config, 'diskRotationSpeed', {
-      min: -20.0,
-      max: 20.0,
-      step: 0.1,
+    this.addConfigBinding(turbulenceFolder, 'diskRotationSpeed', {
       label: 'Rotation Speed'
     }).on('change', () => {
       this.callbacks.onUniformChange('diskRotationSpeed', this.config.diskRotationSpeed);
     });
 
-    turbulenceFolder.addBinding(this.config, 'turbulenceCycleTime', {
-      min: 5.0,
-      max: 30.0,
-      step: 1.0,
+    this.addConfigBinding(turbulenceFolder, 'turbulenceCycleTime', {
       label: 'Cycle Time (s)'
     }).on('change', () => {
       this.callbacks.onUniformChange('turbulenceCycleTime', this.config.turbulenceCycleTime);
     });
 
-    turbulenceFolder.addBinding(this.config, 'turbulenceLacunarity', {
-      min: 1.0,
-      max: 4.0,
-      step: 0.1,
+    this.addConfigBinding(turbulenceFolder, 'turbulenceLacunarity', {
       label: 'Lacunarity'
     }).on('change', () => {
       this.callbacks.onUniformChange('turbulenceLacunarity', this.config.turbulenceLacunarity);
     });
 
-    turbulenceFolder.addBinding(this.config, 'turbulencePersistence', {
-      min: 0.1,
-      max: 1.0,
-      step: 0.05,
+    this.addConfigBinding(turbulenceFolder, 'turbulencePersistence', {
       label: 'Persistence'
     }).on('change', () => {
       this.callbacks.onUniformChange('turbulencePersistence', this.config.turbulencePersistence);
     });
+
+    this.syncDiskInnerRadius();
+  }
+
+  /**
+   * Pin the disk inner edge to the prograde ISCO of the current mass and spin.
+   * The inner radius slider is disabled while pinned.
+   */
+  syncDiskInnerRadius() {
+    const locked = Boolean(this.config.diskInnerAtISCO);
+    if (this.diskInnerRadiusBinding) {
+      this.diskInnerRadiusBinding.disabled = locked;
+    }
+    if (!locked) return;
+
+    const isco = kerrISCO(this.config.blackHoleMass, this.config.blackHoleSpin ?? 0);
+    this.config.diskInnerRadius = Math.round(isco * 100) / 100;
+    this.callbacks.onUniformChange('diskInnerRadius', this.config.diskInnerRadius);
+    this.diskInnerRadiusBinding?.refresh();
   }
 
   // ==========================================================================
@@ -343,6 +1223,76 @@ export class BlackHoleUI {
       expanded: false
     });
 
+    // Sky image in place of the procedural stars and nebula, or catalog
+    // stars in place of the procedural ones. Without a loaded image or
+    // catalog, the bundled sample is used.
+    starsFolder.addBinding(this.config, 'backgroundSource', {
+      options: {
+        'Procedural': 'procedural',
+        'Image (Equirect)': 'equirect',
+        'Cubemap': 'cubemap',
+        'Star Catalog': 'catalog'
+      },
+      label: 'Sky'
+    }).on('change', () => {
+      this.callbacks.onBackgroundSourceChange?.();
+    });
+
+    // Hidden file picker: one panorama or six cubemap faces
+    this.backgroundFileInput = document.createElement('input');
+    this.backgroundFileInput.type = 'file';
+    this.backgroundFileInput.accept = BACKGROUND_FILE_TYPES;
+    this.backgroundFileInput.multiple = true;
+    this.backgroundFileInput.addEventListener('change', () => {
+      const files = [...this.backgroundFileInput.files];
+      this.backgroundFileInput.value = '';
+      if (files.length > 0) {
+        this.loadBackgroundFiles(files);
+      }
+    });
+
+    starsFolder.addButton({
+      title: 'Load Sky Image'
+    }).on('click', () => {
+      this.backgroundFileInput.click();
+    });
+
+    // Hidden file picker: a star catalog as CSV/TSV
+    this.catalogFileInput = document.createElement('input');
+    this.catalogFileInput.type = 'file';
+    this.catalogFileInput.accept = CATALOG_FILE_TYPES;
+    this.catalogFileInput.addEventListener('change', () => {
+      const [file] = this.catalogFileInput.files;
+      this.catalogFileInput.value = '';
+      if (file) {
+        this.loadStarCatalog(file);
+      }
+    });
+
+    starsFolder.addButton({
+      title: 'Load Star Catalog'
+    }).on('click', () => {
+      this.catalogFileInput.click();
+    });
+
+    this.addConfigBinding(starsFolder, 'backgroundRotation', {
+      label: 'Sky Rotation'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('backgroundRotation', this.config.backgroundRotation);
+    });
+
+    this.addConfigBinding(starsFolder, 'backgroundTilt', {
+      label: 'Sky Tilt'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('backgroundTilt', this.config.backgroundTilt);
+    });
+
+    this.addConfigBinding(starsFolder, 'backgroundExposure', {
+      label: 'Sky Exposure'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('backgroundExposure', this.config.backgroundExposure);
+    });
+
     starsFolder.addBinding(this.config, 'starsEnabled', {
       label: 'Enable Stars'
     }).on('change', () => {
@@ -355,34 +1305,66 @@ export class BlackHoleUI {
       this.callbacks.onUniformChange('starBackgroundColor', this.config.starBackgroundColor);
     });
 
-    starsFolder.addBinding(this.config, 'starDensity', {
-      min: 0.001,
-      max: 0.1,
-      step: 0.001,
+    this.addConfigBinding(starsFolder, 'starDensity', {
       label: 'Density'
     }).on('change', () => {
       this.callbacks.onUniformChange('starDensity', this.config.starDensity);
     });
 
-    starsFolder.addBinding(this.config, 'starSize', {
-      min: 0.5,
-      max: 5.0,
-      step: 0.1,
+    this.addConfigBinding(starsFolder, 'starSize', {
       label: 'Size'
     }).on('change', () => {
       this.callbacks.onUniformChange('starSize', this.config.starSize);
     });
 
-    starsFolder.addBinding(this.config, 'starBrightness', {
-      min: 0.1,
-      max: 3.0,
-      step: 0.1,
+    this.addConfigBinding(starsFolder, 'starBrightness', {
       label: 'Brightness'
     }).on('change', () => {
       this.callbacks.onUniformChange('starBrightness', this.config.starBrightness);
     });
   }
 
+  /**
+   * Load sky images chosen with Load Sky Image and switch the background
+   * to them.
+   */
+  async loadBackgroundFiles(files) {
+    let source;
+    try {
+      source = await this.callbacks.onLoadBackgroundFiles?.(files);
+    } catch (e) {
+      console.warn('Failed to load sky image:', e);
+      this.showNotification(`Could not load sky: ${e.message}`);
+      return;
+    }
+    if (!source) return;
+
+    this.config.backgroundSource = source;
+    this.pane.refresh();
+    this.showNotification(source === 'cubemap' ? 'Cubemap loaded' : 'Sky image loaded');
+  }
+
+  /**
+   * Load a star catalog chosen with Load Star Catalog and switch the
+   * background to it.
+   */
+  async loadStarCatalog(file) {
+    let result;
+    try {
+      result = await this.callbacks.onLoadStarCatalog?.(file);
+    } catch (e) {
+      console.warn('Failed to load star catalog:', e);
+      this.showNotification(`Could not load catalog: ${e.message}`);
+      return;
+    }
+    if (!result) return;
+
+    this.config.backgroundSource = 'catalog';
+    this.pane.refresh();
+    const skipped = result.skipped > 0 ? ` (${result.skipped} rows skipped)` : '';
+    this.showNotification(`Loaded ${result.starCount} stars${skipped}`);
+  }
+
   // ==========================================================================
   // NEBULA
   // ==========================================================================
@@ -399,83 +1381,139 @@ export class BlackHoleUI {
       this.callbacks.onUniformChange('nebulaEnabled', this.config.nebulaEnabled);
     });
 
-    // Layer 1 subfolder
-    const layer1Folder = nebulaFolder.addFolder({
-      title: 'Layer 1',
-      expanded: false
-    });
+    this.nebulaFolder = nebulaFolder;
+    this.nebulaBlades = [];
+    this.rebuildNebulaLayers();
+  }
 
-    layer1Folder.addBinding(this.config, 'nebula1Scale', {
-      min: 0.5,
-      max: 10.0,
-      step: 0.5,
-      label: 'Scale'
-    }).on('change', () => {
-      this.callbacks.onUniformChange('nebula1Scale', this.config.nebula1Scale);
-    });
+  /**
+   * Bind a nebula layer slider whose range and step come from NEBULA_LAYER_SCHEMA.
+   */
+  addLayerBinding(folder, layer, field, params) {
+    const { min, max, step } = NEBULA_LAYER_SCHEMA[field];
+    return folder.addBinding(layer, field, { min, max, step, ...params });
+  }
 
-    layer1Folder.addBinding(this.config, 'nebula1Density', {
-      min: -1.0,
-      max: 1.0,
-      step: 0.05,
-      label: 'Density'
-    }).on('change', () => {
-      this.callbacks.onUniformChange('nebula1Density', this.config.nebula1Density);
+  /**
+   * Recreate the per-layer folders after layers are added or removed, or
+   * the whole list is replaced (undo, import, presets).
+   * @param {number} [expandedIndex] - Layer folder to leave open
+   */
+  rebuildNebulaLayers(expandedIndex = -1) {
+    for (const blade of this.nebulaBlades) {
+      blade.dispose();
+    }
+    this.nebulaBlades = [];
+
+    const layers = this.config.nebulaLayers;
+    const pushLayers = () => this.callbacks.onUniformChange('nebulaLayers', layers);
+
+    layers.forEach((layer, index) => {
+      const folder = this.nebulaFolder.addFolder({
+        title: `Layer ${index + 1}`,
+        expanded: index === expandedIndex
+      });
+      this.nebulaBlades.push(folder);
+
+      this.addLayerBinding(folder, layer, 'scale', { label: 'Scale' }).on('change', pushLayers);
+      this.addLayerBinding(folder, layer, 'density', { label: 'Density' }).on('change', pushLayers);
+      this.addLayerBinding(folder, layer, 'brightness', { label: 'Brightness' }).on('change', pushLayers);
+      folder.addBinding(layer, 'color', { label: 'Color' }).on('change', pushLayers);
+      folder.addBinding(layer, 'offset', { step: 0.1, label: 'Offset' }).on('change', pushLayers);
+
+      // Compiled into the shader
+      this.addLayerBinding(folder, layer, 'octaves', { label: 'Octaves' }).on('change', (ev) => {
+        if (ev.last) {
+          this.callbacks.onShaderOptionChange?.();
+        }
+      });
+
+      // Noise units per second; keep it small for a slow crawl
+      this.addLayerBinding(folder, layer, 'driftSpeed', { label: 'Drift Speed' }).on('change', pushLayers);
+
+      folder.addButton({ title: 'Remove Layer' }).on('click', () => {
+        layers.splice(index, 1);
+        pushLayers();
+        this.callbacks.onShaderOptionChange?.();
+        this.commitHistory();
+        this.rebuildNebulaLayers();
+      });
     });
 
-    layer1Folder.addBinding(this.config, 'nebula1Brightness', {
-      min: 0.0,
-      max: 1.0,
-      step: 0.01,
-      label: 'Brightness'
-    }).on('change', () => {
-      this.callbacks.onUniformChange('nebula1Brightness', this.config.nebula1Brightness);
+    // Say why the button is disabled rather than just greying it out
+    const full = layers.length >= MAX_NEBULA_LAYERS;
+    const addButton = this.nebulaFolder.addButton({
+      title: full ? `Add Layer (limit of ${MAX_NEBULA_LAYERS} reached)` : 'Add Layer'
+    }).on('click', () => {
+      layers.push(createNebulaLayer());
+      pushLayers();
+      this.callbacks.onShaderOptionChange?.();
+      this.commitHistory();
+      this.rebuildNebulaLayers(layers.length - 1);
     });
+    addButton.disabled = full;
+    this.nebulaBlades.push(addButton);
+  }
 
-    layer1Folder.addBinding(this.config, 'nebula1Color', {
-      label: 'Color'
-    }).on('change', () => {
-      this.callbacks.onUniformChange('nebula1Color', this.config.nebula1Color);
-    });
+  // ==========================================================================
+  // EXPOSURE & TONE MAPPING
+  // ==========================================================================
 
-    // Layer 2 subfolder
-    const layer2Folder = nebulaFolder.addFolder({
-      title: 'Layer 2',
+  setupExposureFolder() {
+    const exposureFolder = this.pane.addFolder({
+      title: 'Exposure',
       expanded: false
     });
 
-    layer2Folder.addBinding(this.config, 'nebula2Scale', {
-      min: 0.5,
-      max: 20.0,
-      step: 0.5,
-      label: 'Scale'
+    exposureFolder.addBinding(this.config, 'exposureMode', {
+      options: {
+        'Manual': 'manual',
+        'Auto': 'auto'
+      },
+      label: 'Mode'
     }).on('change', () => {
-      this.callbacks.onUniformChange('nebula2Scale', this.config.nebula2Scale);
+      this.syncExposureMode();
     });
 
-    layer2Folder.addBinding(this.config, 'nebula2Density', {
-      min: -1.0,
-      max: 1.0,
-      step: 0.05,
-      label: 'Density'
+    this.exposureBinding = this.addConfigBinding(exposureFolder, 'exposure', {
+      label: 'Exposure (EV)'
     }).on('change', () => {
-      this.callbacks.onUniformChange('nebula2Density', this.config.nebula2Density);
+      this.callbacks.onExposureChange?.(this.config.exposure);
     });
 
-    layer2Folder.addBinding(this.config, 'nebula2Brightness', {
-      min: 0.0,
-      max: 1.0,
-      step: 0.01,
-      label: 'Brightness'
-    }).on('change', () => {
-      this.callbacks.onUniformChange('nebula2Brightness', this.config.nebula2Brightness);
+    this.exposureCompensationBinding = this.addConfigBinding(exposureFolder, 'exposureCompensation', {
+      label: 'Compensation'
+    });
+
+    this.exposureAdaptSpeedBinding = this.addConfigBinding(exposureFolder, 'exposureAdaptSpeed', {
+      label: 'Adapt Speed'
     });
 
-    layer2Folder.addBinding(this.config, 'nebula2Color', {
-      label: 'Color'
+    exposureFolder.addBinding(this.config, 'toneMapping', {
+      options: {
+        'ACES Filmic': 'aces',
+        'AgX': 'agx',
+        'Reinhard': 'reinhard',
+        'Neutral': 'neutral',
+        'None': 'none'
+      },
+      label: 'Tone Mapping'
     }).on('change', () => {
-      this.callbacks.onUniformChange('nebula2Color', this.config.nebula2Color);
+      this.callbacks.onOutputChange?.();
     });
+
+    this.syncExposureMode();
+  }
+
+  /**
+   * Enable the controls that apply in the current exposure mode: the EV
+   * slider in manual, compensation and adapt speed in auto.
+   */
+  syncExposureMode() {
+    const auto = this.config.exposureMode === 'auto';
+    this.exposureBinding.disabled = auto;
+    this.exposureCompensationBinding.disabled = !auto;
+    this.exposureAdaptSpeedBinding.disabled = !auto;
   }
 
   // ==========================================================================
@@ -485,34 +1523,60 @@ export class BlackHoleUI {
   setupBloomFolder() {
     const bloomFolder = this.pane.addFolder({ title: 'Bloom' });
 
-    bloomFolder.addBinding(this.config, 'bloomStrength', {
-      min: 0,
-      max: 3,
-      step: 0.01,
+    bloomFolder.addBinding(this.config, 'bloomEnabled', {
+      label: 'Enable Bloom'
+    }).on('change', () => {
+      this.callbacks.onBloomToggle?.();
+    });
+
+    this.addConfigBinding(bloomFolder, 'bloomStrength', {
       label: 'Strength'
     }).on('change', () => {
       this.callbacks.onBloomChange('strength', this.config.bloomStrength);
     });
 
-    bloomFolder.addBinding(this.config, 'bloomRadius', {
-      min: 0,
-      max: 1,
-      step: 0.01,
+    this.addConfigBinding(bloomFolder, 'bloomRadius', {
       label: 'Radius'
     }).on('change', () => {
       this.callbacks.onBloomChange('radius', this.config.bloomRadius);
     });
 
-    bloomFolder.addBinding(this.config, 'bloomThreshold', {
-      min: 0,
-      max: 1,
-      step: 0.01,
+    this.addConfigBinding(bloomFolder, 'bloomThreshold', {
       label: 'Threshold'
     }).on('change', () => {
       this.callbacks.onBloomChange('threshold', this.config.bloomThreshold);
     });
   }
 
+  // ==========================================================================
+  // DEBUG VIEWS
+  // ==========================================================================
+
+  setupDebugFolder() {
+    const debugFolder = this.pane.addFolder({
+      title: 'Debug',
+      expanded: false
+    });
+
+    debugFolder.addBinding(this.config, 'renderMode', {
+      options: {
+        'Final': RENDER_MODES.FINAL,
+        'Image Order': RENDER_MODES.IMAGE_ORDER,
+        'Step Count': RENDER_MODES.STEP_COUNT,
+        'Ray Fate': RENDER_MODES.RAY_FATE,
+        'Deflection': RENDER_MODES.DEFLECTION,
+        'Disk Hit Radius': RENDER_MODES.DISK_RADIUS,
+        'Disk Hit Angle': RENDER_MODES.DISK_ANGLE,
+        'Temperature': RENDER_MODES.TEMPERATURE,
+        'Doppler Factor': RENDER_MODES.DOPPLER
+      },
+      label: 'View'
+    }).on('change', () => {
+      this.callbacks.onUniformChange('renderMode', this.config.renderMode);
+      this.callbacks.onOutputChange?.();
+    });
+  }
+
   // ==========================================================================
   // PUBLIC METHODS
   // ==========================================================================
@@ -522,6 +1586,14 @@ export class BlackHoleUI {
     this.pane.refresh();
   }
 
+  /**
+   * Show the preset level in effect (differs from the selection in Auto mode).
+   */
+  updateQualityLevel(level) {
+    this.perfParams.activeQuality = level;
+    this.pane.refresh();
+  }
+
   setBloomNode(bloomNode) {
     this.bloomPassNode = bloomNode;
   }
@@ -0,0 +1,227 @@
+/**
+ * Deterministic Video Export
+ *
+ * Renders an animation frame by frame at a fixed frame rate, independent of
+ * how long each frame takes on the GPU, so the same settings always produce
+ * the same video. Frames are encoded to WebM with WebCodecs, or written as a
+ * numbered PNG sequence into a folder chosen by the user.
+ */
+
+import { WebMWriter, WEBM_CODECS } from './webm-writer.js';
+import { withRenderSettings, renderFrame } from './still-render.js';
+
+export const VIDEO_FORMATS = {
+  WEBM: 'webm',
+  PNG_SEQUENCE: 'png'
+};
+
+// Keep a few frames in flight so rendering and encoding overlap
+const MAX_ENCODE_QUEUE = 4;
+
+// Seconds between key frames (each starts a seekable WebM cluster)
+const KEY_FRAME_INTERVAL = 2;
+
+/**
+ * Whether this browser can encode WebM through WebCodecs.
+ */
+export function isWebMExportSupported() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+/**
+ * Whether this browser can write a PNG sequence into a folder.
+ */
+export function isPNGSequenceExportSupported() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Ask the user for a folder to write a PNG sequence into.
+ * Must be called from a user gesture (e.g. a button click).
+ */
+export function pickPNGSequenceDirectory() {
+  if (!isPNGSequenceExportSupported()) {
+    throw new Error('PNG sequence export needs the File System Access API');
+  }
+  return window.showDirectoryPicker({ id: 'blackhole-frames', mode: 'readwrite' });
+}
+
+/**
+ * Pick the first WebM codec the encoder supports at this size.
+ */
+async function configureEncoder(encoder, width, height, fps, bitrate) {
+  for (const codec of Object.keys(WEBM_CODECS)) {
+    const encoderConfig = {
+      codec: WEBM_CODECS[codec].encoderCodec,
+      width,
+      height,
+      bitrate,
+      framerate: fps
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+    if (supported) {
+      encoder.configure(encoderConfig);
+      return codec;
+    }
+  }
+  throw new Error(`No supported WebM codec for ${width}x${height}`);
+}
+
+function canvasToPNG(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode PNG'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Render and encode a fixed-rate frame sequence.
+ *
+ * The caller owns the scene state and must pause its own animation loop while
+ * this runs. Before each frame `advanceFrame(dt)` is called to step the
+ * simulation and camera: with dt = 0 for the first frame, then exactly
+ * 1 / fps for every frame after it.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGPURenderer} options.renderer
+ * @param {THREE.PostProcessing} [options.postProcessing]
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {import('./blackhole.js').BlackHoleSimulation} options.simulation
+ * @param {(deltaTime: number) => void} options.advanceFrame - Steps the scene by deltaTime seconds
+ * @param {number} options.width - Frame width in pixels (rounded down to even for WebM)
+ * @param {number} options.height - Frame height in pixels (rounded down to even for WebM)
+ * @param {number} options.fps
+ * @param {number} options.duration - Length in seconds
+ * @param {string} [options.format='webm'] - One of VIDEO_FORMATS
+ * @param {FileSystemDirectoryHandle} [options.directory] - Output folder for PNG sequences
+ * @param {number} [options.bitrate] - WebM bits per second (defaults to ~0.15 bits per pixel)
+ * @param {number} [options.raySteps] - Defaults to the live setting
+ * @param {number} [options.stepSize] - Defaults to the live setting
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<Blob|null>} The WebM file, or null for PNG sequences
+ */
+export async function exportVideo({
+  renderer,
+  postProcessing,
+  camera,
+  simulation,
+  advanceFrame,
+  width,
+  height,
+  fps,
+  duration,
+  format = VIDEO_FORMATS.WEBM,
+  directory,
+  bitrate,
+  raySteps,
+  stepSize,
+  signal,
+  onProgress
+}) {
+  const totalFrames = Math.max(1, Math.round(duration * fps));
+  const frameDuration = 1 / fps;
+
+  let writeFrame;
+  let finish;
+
+  if (format === VIDEO_FORMATS.WEBM) {
+    if (!isWebMExportSupported()) {
+      throw new Error('WebM export needs WebCodecs (VideoEncoder)');
+    }
+    // 4:2:0 chroma subsampling needs even dimensions
+    width -= width % 2;
+    height -= height % 2;
+
+    let encoderError = null;
+    let writer = null;
+    const encoder = new VideoEncoder({
+      output: (chunk, metadata) => writer.addChunk(chunk, metadata),
+      error: (e) => { encoderError = e; }
+    });
+    const codec = await configureEncoder(encoder, width, height, fps, bitrate ?? Math.round(width * height * fps * 0.15));
+    writer = new WebMWriter({ width, height, frameRate: fps, codec });
+
+    const keyFrameInterval = Math.max(1, Math.round(KEY_FRAME_INTERVAL * fps));
+
+    writeFrame = async (index) => {
+      if (encoderError) throw encoderError;
+
+      // Timestamps come from the frame index, never the clock
+      const frame = new VideoFrame(renderer.domElement, {
+        timestamp: Math.round((index * 1e6) / fps),
+        duration: Math.round(1e6 / fps)
+      });
+      encoder.encode(frame, { keyFrame: index % keyFrameInterval === 0 });
+      frame.close();
+
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+    };
+
+    finish = async (completed) => {
+      if (completed) {
+        await encoder.flush();
+      }
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+      if (encoderError) throw encoderError;
+      return completed ? writer.toBlob() : null;
+    };
+  } else if (format === VIDEO_FORMATS.PNG_SEQUENCE) {
+    if (!directory) {
+      throw new Error('PNG sequence export needs an output folder');
+    }
+
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const ctx = frameCanvas.getContext('2d');
+    const digits = Math.max(5, String(totalFrames - 1).length);
+
+    writeFrame = async (index) => {
+      // Copy before yielding: the canvas is only guaranteed to hold this frame
+      // until control returns to the browser
+      ctx.drawImage(renderer.domElement, 0, 0, width, height);
+      const blob = await canvasToPNG(frameCanvas);
+
+      const name = `frame_${String(index).padStart(digits, '0')}.png`;
+      const file = await directory.getFileHandle(name, { create: true });
+      const stream = await file.createWritable();
+      await stream.write(blob);
+      await stream.close();
+    };
+
+    finish = async () => null;
+  } else {
+    throw new Error(`Unknown video format: ${format}`);
+  }
+
+  try {
+    await withRenderSettings({ renderer, camera, simulation, width, height, raySteps, stepSize }, async () => {
+      for (let index = 0; index < totalFrames; index++) {
+        signal?.throwIfAborted();
+
+        advanceFrame(index === 0 ? 0 : frameDuration);
+        renderFrame(renderer, postProcessing, simulation, camera);
+        await writeFrame(index);
+
+        onProgress?.(index + 1, totalFrames);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    });
+  } catch (e) {
+    // Release the encoder; the original error is the one worth reporting
+    await finish(false).catch(() => {});
+    throw e;
+  }
+
+  return finish(true);
+}
@@ -0,0 +1,311 @@
+/**
+ * Minimal WebM Muxer
+ *
+ * Packs encoded video chunks (from WebCodecs' VideoEncoder) into a WebM file.
+ * Supports a single video track, which is all the frame exporter needs.
+ * Everything is buffered in memory so element sizes, duration and cues are
+ * written exactly and the result is seekable.
+ *
+ * WebM is a subset of Matroska, stored as EBML (a binary XML-like format):
+ * each element is an ID, a variable-length size, then its payload.
+ * No DOM dependencies apart from Blob so it can run in Node.
+ */
+
+// Element IDs (already include their length marker bits)
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1
+};
+
+// WebCodecs codec strings and their Matroska codec IDs
+export const WEBM_CODECS = {
+  vp9: { encoderCodec: 'vp09.00.10.08', codecId: 'V_VP9' },
+  vp8: { encoderCodec: 'vp8', codecId: 'V_VP8' }
+};
+
+// Block timecodes are signed 16-bit offsets from their cluster (in ms)
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+function idBytes(id) {
+  const bytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) {
+    bytes.unshift(v & 0xff);
+  }
+  return bytes;
+}
+
+/**
+ * Encode an element size as an EBML variable-length integer.
+ */
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) {
+    length++;
+  }
+  const bytes = new Array(length);
+  let v = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  let v = value;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  return bytes;
+}
+
+function floatBytes(value) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+  return Array.from(new Uint8Array(view.buffer));
+}
+
+function stringBytes(value) {
+  return Array.from(new TextEncoder().encode(value));
+}
+
+/**
+ * Flatten an element tree into bytes.
+ * Elements are { id, data } where data is a number (uint), a string,
+ * { float: n }, a Uint8Array, or an array of child elements.
+ */
+function encodeElement({ id, data }) {
+  let payload;
+  if (Array.isArray(data)) {
+    payload = concatBytes(data.map(encodeElement));
+  } else if (data instanceof Uint8Array) {
+    payload = data;
+  } else if (typeof data === 'number') {
+    payload = Uint8Array.from(uintBytes(data));
+  } else if (typeof data === 'string') {
+    payload = Uint8Array.from(stringBytes(data));
+  } else if (data && typeof data.float === 'number') {
+    payload = Uint8Array.from(floatBytes(data.float));
+  } else {
+    throw new Error(`Unsupported EBML data for element 0x${id.toString(16)}`);
+  }
+
+  return concatBytes([
+    Uint8Array.from(idBytes(id)),
+    Uint8Array.from(sizeBytes(payload.length)),
+    payload
+  ]);
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Collects encoded chunks and writes a WebM file.
+ */
+export class WebMWriter {
+  /**
+   * @param {Object} options
+   * @param {number} options.width
+   * @param {number} options.height
+   * @param {number} options.frameRate
+   * @param {string} [options.codec='vp9'] - Key of WEBM_CODECS
+   */
+  constructor({ width, height, frameRate, codec = 'vp9' }) {
+    if (!WEBM_CODECS[codec]) {
+      throw new Error(`Unsupported WebM codec: ${codec}`);
+    }
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.codecId = WEBM_CODECS[codec].codecId;
+    this.codecPrivate = null;
+    this.clusters = [];
+    this.lastTimestampMs = 0;
+  }
+
+  /**
+   * Add one encoded frame.
+   * @param {Uint8Array} data - Encoded frame bytes
+   * @param {number} timestamp - Presentation time in microseconds
+   * @param {boolean} keyFrame
+   */
+  addFrame(data, timestamp, keyFrame) {
+    const timeMs = Math.round(timestamp / 1000);
+    let cluster = this.clusters[this.clusters.length - 1];
+
+    // Start a new cluster on each key frame, or when block offsets would overflow
+    if (!cluster || keyFrame || timeMs - cluster.timeMs > MAX_CLUSTER_SPAN_MS) {
+      if (!cluster && !keyFrame) {
+        throw new Error('The first frame of a WebM file must be a key frame');
+      }
+      cluster = { timeMs, blocks: [] };
+      this.clusters.push(cluster);
+    }
+
+    const relative = timeMs - cluster.timeMs;
+    const header = Uint8Array.from([
+      0x81, // track number 1 as a vint
+      (relative >> 8) & 0xff,
+      relative & 0xff,
+      keyFrame ? 0x80 : 0x00
+    ]);
+    cluster.blocks.push(concatBytes([header, data]));
+    this.lastTimestampMs = Math.max(this.lastTimestampMs, timeMs);
+  }
+
+  /**
+   * Add an EncodedVideoChunk from WebCodecs.
+   * Pass the encoder's metadata so codec configuration is picked up.
+   */
+  addChunk(chunk, metadata) {
+    const description = metadata?.decoderConfig?.description;
+    if (description && !this.codecPrivate) {
+      this.codecPrivate = new Uint8Array(description.buffer ?? description);
+    }
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this.addFrame(data, chunk.timestamp, chunk.type === 'key');
+  }
+
+  /**
+   * Build the finished file.
+   * @returns {Uint8Array}
+   */
+  toBytes() {
+    const frameDurationMs = 1000 / this.frameRate;
+
+    const header = encodeElement({
+      id: ID.EBML,
+      data: [
+        { id: ID.EBMLVersion, data: 1 },
+        { id: ID.EBMLReadVersion, data: 1 },
+        { id: ID.EBMLMaxIDLength, data: 4 },
+        { id: ID.EBMLMaxSizeLength, data: 8 },
+        { id: ID.DocType, data: 'webm' },
+        { id: ID.DocTypeVersion, data: 2 },
+        { id: ID.DocTypeReadVersion, data: 2 }
+      ]
+    });
+
+    const info = encodeElement({
+      id: ID.Info,
+      data: [
+        { id: ID.TimecodeScale, data: 1000000 }, // 1 ms
+        { id: ID.Duration, data: { float: this.lastTimestampMs + frameDurationMs } },
+        { id: ID.MuxingApp, data: 'webgpu-black-hole' },
+        { id: ID.WritingApp, data: 'webgpu-black-hole' }
+      ]
+    });
+
+    const trackEntry = [
+      { id: ID.TrackNumber, data: 1 },
+      { id: ID.TrackUID, data: 1 },
+      { id: ID.TrackType, data: 1 }, // video
+      { id: ID.FlagLacing, data: 0 },
+      { id: ID.CodecID, data: this.codecId },
+      { id: ID.DefaultDuration, data: Math.round(1e9 / this.frameRate) },
+      {
+        id: ID.Video,
+        data: [
+          { id: ID.PixelWidth, data: this.width },
+          { id: ID.PixelHeight, data: this.height }
+        ]
+      }
+    ];
+    if (this.codecPrivate) {
+      trackEntry.push({ id: ID.CodecPrivate, data: this.codecPrivate });
+    }
+    const tracks = encodeElement({ id: ID.Tracks, data: [{ id: ID.TrackEntry, data: trackEntry }] });
+
+    // Cluster positions are relative to the start of the Segment payload
+    const clusters = [];
+    const cuePoints = [];
+    let position = info.length + tracks.length;
+    for (const cluster of this.clusters) {
+      const bytes = encodeElement({
+        id: ID.Cluster,
+        data: [
+          { id: ID.Timecode, data: cluster.timeMs },
+          ...cluster.blocks.map((block) => ({ id: ID.SimpleBlock, data: block }))
+        ]
+      });
+      cuePoints.push({
+        id: ID.CuePoint,
+        data: [
+          { id: ID.CueTime, data: cluster.timeMs },
+          {
+            id: ID.CueTrackPositions,
+            data: [
+              { id: ID.CueTrack, data: 1 },
+              { id: ID.CueClusterPosition, data: position }
+            ]
+          }
+        ]
+      });
+      clusters.push(bytes);
+      position += bytes.length;
+    }
+    const cues = cuePoints.length > 0 ? encodeElement({ id: ID.Cues, data: cuePoints }) : new Uint8Array(0);
+
+    const segmentPayload = concatBytes([info, tracks, ...clusters, cues]);
+    const segment = concatBytes([
+      Uint8Array.from(idBytes(ID.Segment)),
+      Uint8Array.from(sizeBytes(segmentPayload.length)),
+      segmentPayload
+    ]);
+
+    return concatBytes([header, segment]);
+  }
+
+  /**
+   * Build the finished file as a Blob.
+   */
+  toBlob() {
+    return new Blob([this.toBytes()], { type: 'video/webm' });
+  }
+}